@@ -0,0 +1,407 @@
+import inquirer from 'inquirer';
+import chalk from 'chalk';
+import ora from 'ora';
+import { IPC_MESSAGE_TYPES, Keystore } from '@daemon-wallet/core';
+import { DaemonLink } from '../daemon-link.js';
+import { printNotices } from '../notices.js';
+
+export class AccountCommands {
+  constructor(keystore, config) {
+    this.keystore = keystore;
+    this.config = config;
+  }
+
+  async addWatch(address, options = {}) {
+    console.log(chalk.blue('👁️  Adding watch-only account...'));
+    console.log();
+
+    try {
+      const result = await this._changeAccount(address, IPC_MESSAGE_TYPES.ADD_WATCH_ACCOUNT, {
+        progress: 'Saving account...',
+        done: 'Watch-only account added',
+        failed: 'Failed to add account'
+      }, {
+        daemon: (ipcClient) => ipcClient.requestAddWatchAccount(address, {
+          vault: this.keystore.vault,
+          label: options.label
+        }),
+        local: (password) => this.keystore.addWatchOnlyAccount(address, password, {
+          label: options.label
+        })
+      });
+      if (!result) {
+        return;
+      }
+
+      console.log();
+      console.log(chalk.green('✅ Watching:'), result.account.address);
+      console.log(chalk.blue('🏷️  Label:'), result.account.label);
+      console.log(chalk.gray('   No private key is stored; signing for this address is refused'));
+      this._printSavedBy(result);
+
+    } catch (err) {
+      console.log(chalk.red('❌ Error:'), err.message);
+    }
+  }
+
+  async importKey(options = {}) {
+    console.log(chalk.blue('🔑 Importing private key into the wallet...'));
+    console.log();
+
+    try {
+      const { privateKey } = await inquirer.prompt([
+        {
+          type: 'password',
+          name: 'privateKey',
+          message: 'Enter the private key to import:',
+          mask: '*',
+          validate: (input) => {
+            if (!input.startsWith('0x') || input.length !== 66) {
+              return 'Private key must start with 0x and be 64 characters long';
+            }
+            return true;
+          }
+        }
+      ]);
+
+      const result = await this._changeAccount(null, IPC_MESSAGE_TYPES.IMPORT_PRIVATE_KEY, {
+        progress: 'Saving account...',
+        done: (account) => account.upgraded ? 'Watch-only account upgraded' : 'Private key imported',
+        failed: 'Failed to import private key'
+      }, {
+        daemon: (ipcClient) => ipcClient.requestImportPrivateKey(privateKey, {
+          vault: this.keystore.vault,
+          label: options.label
+        }),
+        local: (password) => this.keystore.importPrivateKey(privateKey, password, {
+          label: options.label
+        })
+      });
+      if (!result) {
+        return;
+      }
+
+      console.log();
+      console.log(chalk.green('✅ Account:'), result.account.address);
+      console.log(chalk.blue('🏷️  Label:'), result.account.label);
+      console.log(chalk.yellow('⚠️  Imported keys are not covered by the recovery phrase - back them up separately'));
+      this._printSavedBy(result);
+
+    } catch (err) {
+      console.log(chalk.red('❌ Error:'), err.message);
+    }
+  }
+
+  async remove(address) {
+    console.log(chalk.blue('🗑️  Removing account...'));
+    console.log();
+
+    try {
+      const result = await this._changeAccount(address, IPC_MESSAGE_TYPES.REMOVE_ACCOUNT, {
+        progress: 'Removing account...',
+        done: 'Account removed',
+        failed: 'Failed to remove account'
+      }, {
+        prepare: (details) => this._confirmRemoval(details),
+        daemon: (ipcClient, details) => ipcClient.requestRemoveAccount(details.address),
+        local: (password, details) => this.keystore.removeAccount(details.address, password)
+      });
+      if (!result) {
+        return;
+      }
+
+      console.log();
+      console.log(chalk.green('✅ Removed:'), result.account.address);
+      this._printSavedBy(result);
+
+    } catch (err) {
+      console.log(chalk.red('❌ Error:'), err.message);
+    }
+  }
+
+  // Shows what removing the account loses; false when the user backs out
+  async _confirmRemoval(details) {
+    console.log(chalk.blue('📄 Account:'), details.address, chalk.bold(details.label || ''));
+    if (details.origin === 'imported') {
+      console.log(chalk.red('⚠️  Its private key is deleted from the wallet and cannot be recovered from the recovery phrase.'));
+      console.log(chalk.yellow(`   Export it first if you still need it: wallet-cli export-account ${details.address}`));
+    } else if (details.origin === 'hd') {
+      console.log(chalk.gray(`   Derived from ${details.path}; the index is not reused by create-account`));
+    } else {
+      console.log(chalk.gray('   Watch-only: no key is stored for it'));
+    }
+    console.log();
+
+    const { confirmed } = await inquirer.prompt([
+      {
+        type: 'confirm',
+        name: 'confirmed',
+        message: 'Remove this account from the wallet?',
+        default: false
+      }
+    ]);
+
+    if (!confirmed) {
+      console.log(chalk.blue('👍 Removal cancelled'));
+      return false;
+    }
+
+    if (details.origin === 'imported') {
+      await inquirer.prompt([
+        {
+          type: 'input',
+          name: 'doubleConfirm',
+          message: 'Type "REMOVE" to delete the private key:',
+          validate: (input) => {
+            return input === 'REMOVE' ? true : 'You must type "REMOVE" exactly';
+          }
+        }
+      ]);
+    }
+    return true;
+  }
+
+  // position is 1-based, as shown by "wallet-cli list"
+  async move(address, position) {
+    console.log(chalk.blue('↕️  Moving account...'));
+    console.log();
+
+    try {
+      const result = await this._changeAccount(address, IPC_MESSAGE_TYPES.MOVE_ACCOUNT, {
+        progress: 'Saving account order...',
+        done: 'Account order saved',
+        failed: 'Failed to move account'
+      }, {
+        daemon: (ipcClient) => ipcClient.requestMoveAccount(address, position - 1),
+        local: async (password) => {
+          await this.keystore.moveAccount(address, position - 1, password);
+          return { order: this.keystore.getAllAccountDetails(true) };
+        }
+      });
+      if (!result) {
+        return;
+      }
+
+      console.log();
+      console.log(chalk.blue('📋 Account order (DApps see the first visible account first):'));
+      for (const [i, account] of result.account.order.entries()) {
+        const marker = account.address.toLowerCase() === address.toLowerCase() ? chalk.green('→') : ' ';
+        console.log(marker, chalk.green(`${i + 1}.`), chalk.bold(account.address), account.label || '',
+          account.visible === false ? chalk.gray('[hidden]') : '');
+      }
+      this._printSavedBy(result);
+
+    } catch (err) {
+      console.log(chalk.red('❌ Error:'), err.message);
+    }
+  }
+
+  // Adds tags, or removes them with options.remove; options.clear drops all
+  async tag(address, tags = [], options = {}) {
+    console.log(chalk.blue('🏷️  Tagging account...'));
+    console.log();
+
+    try {
+      if (tags.length === 0 && !options.clear) {
+        console.log(chalk.red('❌ Give at least one tag, or --clear to remove all tags'));
+        return;
+      }
+
+      // The new list builds on the account's current tags
+      let next;
+      const result = await this._changeAccount(address, IPC_MESSAGE_TYPES.SET_ACCOUNT_TAGS, {
+        progress: 'Saving tags...',
+        done: 'Tags saved',
+        failed: 'Failed to save tags'
+      }, {
+        prepare: (details) => {
+          const wanted = tags.map(tag => tag.toLowerCase());
+          if (options.clear) {
+            next = [];
+          } else if (options.remove) {
+            next = details.tags.filter(tag => !wanted.includes(tag));
+          } else {
+            next = [...details.tags, ...wanted];
+          }
+        },
+        daemon: (ipcClient, details) => ipcClient.requestSetAccountTags(details.address, next),
+        local: async (password, details) => {
+          await this.keystore.setAccountTags(details.address, next, password);
+        }
+      });
+      if (!result) {
+        return;
+      }
+
+      console.log();
+      console.log(chalk.green('✅ Account:'), result.account.address);
+      console.log(chalk.blue('🏷️  Tags:'), result.account.tags.length > 0 ? result.account.tags.join(', ') : chalk.gray('none'));
+      console.log(chalk.blue('💡 List a group with: wallet-cli list --tag <tag>'));
+      this._printSavedBy(result);
+
+    } catch (err) {
+      console.log(chalk.red('❌ Error:'), err.message);
+    }
+  }
+
+  async label(address, label) {
+    console.log(chalk.blue('🏷️  Labelling account...'));
+    console.log();
+
+    try {
+      const result = await this._changeAccount(address, IPC_MESSAGE_TYPES.SET_ACCOUNT_LABEL, {
+        progress: 'Saving label...',
+        done: 'Label saved',
+        failed: 'Failed to save label'
+      }, {
+        daemon: (ipcClient) => ipcClient.requestSetAccountLabel(address, label),
+        local: (password) => this.keystore.setAccountLabel(address, label, password)
+      });
+      if (!result) {
+        return;
+      }
+
+      console.log();
+      console.log(chalk.green('✅ Account:'), result.account.address);
+      console.log(chalk.blue('🏷️  Label:'), result.account.label);
+      this._printSavedBy(result);
+
+    } catch (err) {
+      console.log(chalk.red('❌ Error:'), err.message);
+    }
+  }
+
+  // Hidden accounts stay in the wallet but are not offered to DApps
+  async setVisibility(address, visible) {
+    console.log(chalk.blue(visible ? '👁️  Showing account...' : '🙈 Hiding account...'));
+    console.log();
+
+    try {
+      const type = visible ? IPC_MESSAGE_TYPES.SHOW_ACCOUNT : IPC_MESSAGE_TYPES.HIDE_ACCOUNT;
+      const result = await this._changeAccount(address, type, {
+        progress: 'Saving account...',
+        done: visible ? 'Account shown' : 'Account hidden',
+        failed: visible ? 'Failed to show account' : 'Failed to hide account'
+      }, {
+        daemon: (ipcClient) => visible
+          ? ipcClient.requestShowAccount(address)
+          : ipcClient.requestHideAccount(address),
+        local: (password) => visible
+          ? this.keystore.showAccount(address, password)
+          : this.keystore.hideAccount(address, password)
+      });
+      if (!result) {
+        return;
+      }
+
+      console.log();
+      console.log(chalk.green('✅ Account:'), result.account.address, chalk.bold(result.account.label || ''));
+      if (visible) {
+        console.log(chalk.blue('👁️  DApps see this account again'));
+      } else {
+        console.log(chalk.blue('🙈 DApps no longer see this account'));
+        console.log(chalk.gray(`   Show it again with: wallet-cli account show ${result.account.address}`));
+      }
+      this._printSavedBy(result);
+
+    } catch (err) {
+      console.log(chalk.red('❌ Error:'), err.message);
+    }
+  }
+
+  // Runs the change in the daemon when it has the vault unlocked, otherwise
+  // on the keystore file after a password prompt. change.prepare gets the
+  // account's current details first, for confirmations; returning false
+  // cancels. Returns the changed account, or null when nothing was changed.
+  async _changeAccount(address, type, messages, change) {
+    const ipcClient = await DaemonLink.connectUnlocked(this.config, this.keystore.vault, type);
+
+    let password = null;
+    if (!ipcClient) {
+      password = await this._unlockWithPrompt();
+      if (!password) {
+        return null;
+      }
+    }
+
+    try {
+      let details = null;
+      if (change.prepare) {
+        details = ipcClient
+          ? await this._daemonAccountDetails(ipcClient, address)
+          : this.keystore.getAccountDetails(address);
+        if (!details) {
+          throw new Error(`Account not found: ${address}`);
+        }
+        if (await change.prepare(details) === false) {
+          return null;
+        }
+      }
+
+      const spinner = ora(messages.progress).start();
+      try {
+        let account;
+        if (ipcClient) {
+          ({ account } = await change.daemon(ipcClient, details));
+        } else {
+          // A removed account is only in what the keystore returned
+          const changed = await change.local(password, details);
+          account = { ...changed, ...this.keystore.getAccountDetails(changed?.address ?? address) };
+        }
+        spinner.succeed(typeof messages.done === 'function' ? messages.done(account) : messages.done);
+        return { account, viaDaemon: !!ipcClient };
+      } catch (err) {
+        spinner.fail(messages.failed);
+        throw err;
+      }
+    } finally {
+      if (ipcClient) {
+        ipcClient.disconnect();
+      } else {
+        this.keystore.lock();
+      }
+    }
+  }
+
+  async _daemonAccountDetails(ipcClient, address) {
+    const vaults = await ipcClient.requestAccountDetails({ vault: this.keystore.vault, includeHidden: true });
+    return vaults.flatMap(({ accounts }) => accounts)
+      .find(account => account.address.toLowerCase() === address.toLowerCase()) ?? null;
+  }
+
+  _printSavedBy(result) {
+    if (result.viaDaemon) {
+      console.log(chalk.gray(`   Saved by the daemon in vault "${result.account.vault}"`));
+    } else {
+      console.log(chalk.yellow('💡 The daemon will automatically reload the updated keystore'));
+    }
+  }
+
+  // Returns the password once the keystore is unlocked, null otherwise
+  async _unlockWithPrompt() {
+    await this.keystore.init();
+    if (!this.keystore.hasKeystore()) {
+      console.log(chalk.red('❌ No wallet found'));
+      console.log(chalk.yellow('💡 Create a wallet first: make create-wallet'));
+      return null;
+    }
+
+    const { password } = await inquirer.prompt([
+      {
+        type: 'password',
+        name: 'password',
+        message: 'Enter wallet password:',
+        mask: '*'
+      }
+    ]);
+
+    const unlocked = await this.keystore.unlock(password);
+    if (!unlocked) {
+      console.log(chalk.red('❌ Invalid password'));
+      return null;
+    }
+    printNotices(Keystore.unlockNotices(unlocked));
+
+    return password;
+  }
+}
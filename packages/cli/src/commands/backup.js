@@ -0,0 +1,381 @@
+import inquirer from 'inquirer';
+import chalk from 'chalk';
+import ora from 'ora';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { WalletBackup } from '@daemon-wallet/core';
+
+export class BackupCommands {
+  constructor(keystore, config) {
+    this.keystore = keystore;
+    this.config = config;
+  }
+
+  async create(file, options = {}) {
+    const filePath = path.resolve(file);
+    console.log(chalk.blue('💾 Creating encrypted wallet backup...'));
+    console.log(chalk.gray('   Recovery phrase, keys, labels, derivation settings, networks and security settings'));
+    console.log();
+
+    try {
+      await this.keystore.init();
+      if (!this.keystore.hasKeystore()) {
+        console.log(chalk.red('❌ No wallet found'));
+        console.log(chalk.yellow('💡 Create a wallet first: make create-wallet'));
+        return;
+      }
+
+      if (!options.force && await this._exists(filePath)) {
+        const { overwrite } = await inquirer.prompt([
+          {
+            type: 'confirm',
+            name: 'overwrite',
+            message: `${filePath} already exists. Overwrite it?`,
+            default: false
+          }
+        ]);
+        if (!overwrite) {
+          console.log(chalk.blue('👍 Backup cancelled'));
+          return;
+        }
+      }
+
+      const { password, backupPassword, confirmBackupPassword } = await inquirer.prompt([
+        {
+          type: 'password',
+          name: 'password',
+          message: 'Enter wallet password:',
+          mask: '*'
+        },
+        {
+          type: 'password',
+          name: 'backupPassword',
+          message: 'Password for the backup file:',
+          mask: '*',
+          validate: (input) => {
+            if (input.length < 8) {
+              return 'Password must be at least 8 characters';
+            }
+            return true;
+          }
+        },
+        {
+          type: 'password',
+          name: 'confirmBackupPassword',
+          message: 'Confirm backup password:',
+          mask: '*'
+        }
+      ]);
+
+      if (backupPassword !== confirmBackupPassword) {
+        console.log(chalk.red('❌ Passwords do not match'));
+        return;
+      }
+
+      const spinner = ora('Encrypting backup...').start();
+
+      try {
+        const archive = await this.keystore.exportBackup(password, backupPassword, {
+          config: this.config
+        });
+        await WalletBackup.writeFile(filePath, archive);
+        spinner.succeed('Backup written');
+      } catch (err) {
+        spinner.fail('Failed to create backup');
+        throw err;
+      }
+
+      console.log();
+      console.log(chalk.green('✅ Backup file:'), filePath);
+      console.log(chalk.blue('📂 Vault:'), this.keystore.vault);
+      console.log(chalk.blue('👥 Accounts:'), this.keystore.getAccounts(true).length);
+      console.log(chalk.yellow('⚠️  Anyone with this file and its password controls the wallet.'));
+      console.log(chalk.yellow('   Without the backup password the file cannot be restored.'));
+      console.log(chalk.blue('💡 Restore with: wallet-cli backup restore'), file);
+
+    } catch (err) {
+      console.log(chalk.red('❌ Error:'), err.message);
+    }
+  }
+
+  async restore(file, options = {}) {
+    const filePath = path.resolve(file);
+    console.log(chalk.blue('📦 Restoring wallet backup...'));
+    console.log();
+
+    try {
+      const archive = await WalletBackup.readFile(filePath);
+
+      const { backupPassword } = await inquirer.prompt([
+        {
+          type: 'password',
+          name: 'backupPassword',
+          message: 'Enter backup file password:',
+          mask: '*'
+        }
+      ]);
+
+      const spinner = ora('Verifying backup...').start();
+      let payload;
+      try {
+        payload = await WalletBackup.decrypt(archive, backupPassword);
+        spinner.succeed('Backup verified: every account matches its key');
+      } catch (err) {
+        spinner.fail('Backup verification failed');
+        throw err;
+      }
+
+      await this.keystore.init();
+      const summary = WalletBackup.summarize(archive, payload);
+      this._printRestoreSummary(summary);
+
+      if (options.dryRun) {
+        console.log(chalk.blue('🔍 Dry run: nothing was changed'));
+        return;
+      }
+
+      const { proceed } = await inquirer.prompt([
+        {
+          type: 'confirm',
+          name: 'proceed',
+          message: this.keystore.hasKeystore()
+            ? `Replace the wallet in vault "${this.keystore.vault}" with this backup?`
+            : `Restore this backup into vault "${this.keystore.vault}"?`,
+          default: false
+        }
+      ]);
+
+      if (!proceed) {
+        console.log(chalk.blue('👍 Restore cancelled, nothing was changed'));
+        return;
+      }
+
+      let restoreConfig = false;
+      if (payload.config) {
+        ({ restoreConfig } = await inquirer.prompt([
+          {
+            type: 'confirm',
+            name: 'restoreConfig',
+            message: 'Also restore networks and security settings?',
+            default: true
+          }
+        ]));
+      }
+
+      const { password, confirmPassword } = await inquirer.prompt([
+        {
+          type: 'password',
+          name: 'password',
+          message: 'New wallet password for the restored wallet:',
+          mask: '*',
+          validate: (input) => {
+            if (input.length < 8) {
+              return 'Password must be at least 8 characters';
+            }
+            return true;
+          }
+        },
+        {
+          type: 'password',
+          name: 'confirmPassword',
+          message: 'Confirm password:',
+          mask: '*'
+        }
+      ]);
+
+      if (password !== confirmPassword) {
+        console.log(chalk.red('❌ Passwords do not match'));
+        return;
+      }
+
+      const replaced = this.keystore.hasKeystore();
+      const restoreSpinner = ora('Restoring wallet...').start();
+
+      try {
+        await this.keystore.restoreFromBackup(payload, password);
+        if (restoreConfig) {
+          await WalletBackup.applyConfig(this.config, payload.config);
+        }
+        restoreSpinner.succeed('Wallet restored');
+      } catch (err) {
+        restoreSpinner.fail('Failed to restore wallet');
+        throw err;
+      }
+
+      console.log();
+      console.log(chalk.green('✅ Restored'), `${summary.accounts.length} account(s) into vault "${this.keystore.vault}"`);
+      if (restoreConfig) {
+        console.log(chalk.green('✅ Restored settings:'), summary.config.sections.join(', '));
+      }
+      if (replaced) {
+        console.log(chalk.gray('   The replaced keystore is kept in the history: wallet-cli keystore restore 1'));
+      }
+      console.log(chalk.yellow('💡 The daemon will automatically reload the updated keystore'));
+
+    } catch (err) {
+      console.log(chalk.red('❌ Error:'), err.message);
+    }
+  }
+
+  _printRestoreSummary(summary) {
+    console.log();
+    console.log(chalk.cyan('📋 Backup contents'));
+    console.log(chalk.blue('   Created:'), new Date(summary.createdAt).toLocaleString());
+    console.log(chalk.blue('   From vault:'), summary.vault);
+    if (summary.mnemonic) {
+      console.log(chalk.blue('   Recovery phrase:'), `${summary.mnemonic.words} words (${summary.mnemonic.language})`,
+        summary.passphrase ? chalk.yellow('+ BIP-39 passphrase') : '');
+      console.log(chalk.blue('   Derivation path:'), summary.derivationPath);
+    } else {
+      console.log(chalk.blue('   Recovery phrase:'), 'none (private key wallet)');
+    }
+
+    console.log(chalk.blue(`   Accounts (${summary.accounts.length}):`));
+    for (const account of summary.accounts) {
+      const tags = [account.origin === 'hd' ? account.path : account.origin];
+      if (!account.visible) {
+        tags.push('hidden');
+      }
+      console.log(`     ${account.address}`, chalk.bold(account.label || ''), chalk.gray(`[${tags.join(', ')}]`));
+    }
+
+    if (summary.config) {
+      console.log(chalk.blue('   Settings:'), summary.config.sections.join(', '));
+      console.log(chalk.blue('   Networks:'), summary.config.networks.join(', '),
+        chalk.gray(`(default: ${summary.config.defaultNetwork})`));
+    }
+
+    console.log();
+    if (this.keystore.hasKeystore()) {
+      const current = this.keystore.getAccounts(true).length;
+      console.log(chalk.yellow(`⚠️  Vault "${this.keystore.vault}" already has a wallet with ${current} account(s); restoring replaces it`));
+    } else {
+      console.log(chalk.blue(`📂 Restores into the empty vault "${this.keystore.vault}"`));
+    }
+    console.log();
+  }
+
+  async shamir(options = {}) {
+    const threshold = options.threshold ?? 3;
+    const count = options.shares ?? 5;
+
+    console.log(chalk.blue(`🧩 Shamir backup: ${count} shares, any ${threshold} restore the wallet`));
+    console.log(chalk.yellow('⚠️  Each share is shown once. Write it down and store each one in a different place.'));
+    console.log();
+
+    try {
+      await this.keystore.init();
+      if (!this.keystore.hasKeystore()) {
+        console.log(chalk.red('❌ No wallet found'));
+        console.log(chalk.yellow('💡 Create a wallet first: make create-wallet'));
+        return;
+      }
+
+      const { password } = await inquirer.prompt([
+        {
+          type: 'password',
+          name: 'password',
+          message: 'Enter wallet password:',
+          mask: '*'
+        }
+      ]);
+
+      const spinner = ora('Creating shares...').start();
+      let backup;
+      try {
+        backup = await this.keystore.createShamirBackup(password, threshold, count);
+        spinner.succeed(`${count} shares created`);
+      } catch (err) {
+        spinner.fail('Failed to create shares');
+        throw err;
+      }
+
+      this._printCoverage(backup);
+
+      const { ready } = await inquirer.prompt([
+        {
+          type: 'confirm',
+          name: 'ready',
+          message: 'Make sure nobody can see your screen. Show the shares now?',
+          default: true
+        }
+      ]);
+
+      if (!ready) {
+        console.log(chalk.blue('👍 Backup cancelled, no share was shown'));
+        return;
+      }
+
+      for (const [i, share] of backup.shares.entries()) {
+        console.clear();
+        console.log(chalk.cyan(`🔑 Share ${i + 1} of ${count}`), chalk.gray(`(any ${threshold} restore the wallet)`));
+        console.log();
+        console.log(this._formatWords(share));
+        console.log();
+        console.log(chalk.gray('Press any key once it is written down...'));
+
+        await this._waitForKeypress();
+      }
+
+      console.clear();
+      console.log(chalk.green(`✅ Shamir backup complete: ${count} shares, threshold ${threshold}`));
+      console.log(chalk.blue('💡 Restore with: wallet-cli import --shamir'));
+      this._printCoverage(backup);
+
+    } catch (err) {
+      console.log(chalk.red('❌ Error:'), err.message);
+    }
+  }
+
+  _printCoverage(backup) {
+    console.log();
+    console.log(chalk.blue('📦 Shares contain:'),
+      backup.type === 'mnemonic' ? 'the recovery phrase' : 'the private key of the wallet');
+    if (backup.passphrase) {
+      console.log(chalk.yellow('⚠️  The BIP-39 passphrase is NOT part of the shares - back it up separately'));
+    }
+    if (backup.notCovered.length > 0) {
+      console.log(chalk.yellow(`⚠️  ${backup.notCovered.length} imported account(s) are NOT covered - back their keys up separately:`));
+      for (const address of backup.notCovered) {
+        console.log(chalk.gray(`   ${address}`));
+      }
+    }
+    if (backup.watchOnly > 0) {
+      console.log(chalk.gray(`   ${backup.watchOnly} watch-only account(s) hold no key and need no backup`));
+    }
+    console.log();
+  }
+
+  // Numbered, four words per row
+  _formatWords(share) {
+    const words = share.split(' ');
+    const rows = [];
+    for (let i = 0; i < words.length; i += 4) {
+      rows.push(words.slice(i, i + 4)
+        .map((word, j) => `${String(i + j + 1).padStart(2)}. ${chalk.bold(word.padEnd(10))}`)
+        .join(' '));
+    }
+    return rows.join('\n');
+  }
+
+  async _exists(filePath) {
+    try {
+      await fs.access(filePath);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  async _waitForKeypress() {
+    return new Promise((resolve) => {
+      process.stdin.setRawMode(true);
+      process.stdin.resume();
+      process.stdin.once('data', () => {
+        process.stdin.setRawMode(false);
+        process.stdin.pause();
+        resolve();
+      });
+    });
+  }
+}
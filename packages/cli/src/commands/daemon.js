@@ -5,12 +5,15 @@ import { spawn } from 'node:child_process';
 import path from 'node:path';
 import { fileURLToPath } from 'node:url';
 import fs from 'node:fs/promises';
+import { IPC_REQUEST_TYPES, IPC_MESSAGE_TYPES, IPC_EVENTS } from '@daemon-wallet/core';
+import { printNotices } from '../notices.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
 export class DaemonCommands {
-  constructor(ipcClient) {
+  constructor(ipcClient, config) {
     this.ipcClient = ipcClient;
+    this.config = config;
   }
 
   async checkDaemonAndWallet(requireUnlocked = false) {
@@ -74,14 +77,24 @@ export class DaemonCommands {
         console.log(chalk.blue('👥 Accounts:'), status.accounts?.length || 0);
         console.log(chalk.blue('🔗 Active sessions:'), status.activeSessions || 0);
         console.log(chalk.blue('🗄️  Keystores on disk:'), status.keystoreCount || 0);
+
+        if (status.vaults?.length > 0) {
+          console.log(chalk.blue('🗃️  Vaults:'));
+          for (const vault of status.vaults) {
+            const marker = vault.active ? chalk.green('*') : ' ';
+            const state = !vault.hasKeystore
+              ? chalk.yellow('no wallet')
+              : vault.locked ? chalk.red('locked') : chalk.green('unlocked');
+            console.log(`   ${marker} ${chalk.bold(vault.name)}`, state, chalk.gray(`${vault.accounts.length} account(s)`));
+          }
+        }
+
+        this._printCompatibility();
         
         this.ipcClient.disconnect();
         
       } catch (err) {
-        spinner.fail('Daemon not running');
-        console.log();
-        console.log(chalk.red('❌ Daemon is not running'));
-        console.log(chalk.yellow('💡 Start the daemon with: wallet-cli daemon start'));
+        this._connectFailed(spinner, err);
       }
       
     } catch (err) {
@@ -89,9 +102,11 @@ export class DaemonCommands {
     }
   }
 
-  async unlock() {
+  async unlock(options = {}) {
+    const vault = options.vault || this.config.getActiveVault();
+
     try {
-      console.log(chalk.blue('🔓 Unlocking wallet...'));
+      console.log(chalk.blue(`🔓 Unlocking vault "${vault}"...`));
       
       const spinner = ora('Connecting to daemon...').start();
       
@@ -116,13 +131,14 @@ export class DaemonCommands {
         const unlockSpinner = ora('Unlocking wallet...').start();
         
         try {
-          const result = await this.ipcClient.requestUnlock(password);
+          const result = await this.ipcClient.requestUnlock(password, vault);
           
           if (result.success) {
             unlockSpinner.succeed('Wallet unlocked');
             console.log();
             console.log(chalk.green('✅ Wallet unlocked successfully!'));
             console.log(chalk.blue('👥 Accounts available:'), result.accounts?.length || 0);
+            printNotices(result.notices);
           } else {
             unlockSpinner.fail('Unlock failed');
             console.log();
@@ -140,10 +156,7 @@ export class DaemonCommands {
         this.ipcClient.disconnect();
         
       } catch (err) {
-        spinner.fail('Daemon not running');
-        console.log();
-        console.log(chalk.red('❌ Daemon is not running'));
-        console.log(chalk.yellow('💡 Start the daemon with: wallet-cli daemon start'));
+        this._connectFailed(spinner, err);
       }
       
     } catch (err) {
@@ -151,9 +164,72 @@ export class DaemonCommands {
     }
   }
 
-  async lock() {
+  async openHidden(options = {}) {
+    const vault = options.vault || this.config.getActiveVault();
+
+    try {
+      console.log(chalk.blue(`🕵️  Opening hidden wallet in vault "${vault}"...`));
+      console.log(chalk.gray('   Accounts are derived from the vault\'s recovery phrase with another BIP-39 passphrase'));
+
+      const spinner = ora('Connecting to daemon...').start();
+
+      // Add error handler to prevent unhandled errors
+      this.ipcClient.on('error', () => {
+        // Silently handle to prevent unhandled error events
+      });
+
+      try {
+        await this.ipcClient.connect();
+        spinner.succeed('Connected to daemon');
+      } catch (err) {
+        this._connectFailed(spinner, err);
+        return;
+      }
+
+      const { passphrase } = await inquirer.prompt([
+        {
+          type: 'password',
+          name: 'passphrase',
+          message: 'Enter hidden wallet passphrase:',
+          mask: '*',
+          validate: (input) => input.length > 0 || 'Passphrase cannot be empty'
+        }
+      ]);
+
+      const openSpinner = ora('Deriving hidden accounts...').start();
+
+      try {
+        const result = await this.ipcClient.requestOpenHiddenWallet(passphrase, vault, options.accounts || 1);
+
+        if (result.success) {
+          openSpinner.succeed('Hidden wallet opened');
+          console.log();
+          for (const account of result.accounts) {
+            console.log(chalk.green(`${account.index}.`), account.address, chalk.gray(account.path));
+          }
+          console.log();
+          console.log(chalk.yellow('💡 Hidden accounts are kept in memory only and close when the vault is locked'));
+        } else {
+          openSpinner.fail('Failed to open hidden wallet');
+          console.log();
+          // Validation failures (e.g. vault locked) come back as { code, message }
+          console.log(chalk.red('❌ Error:'), result.error || result.message || 'Unknown error');
+        }
+      } catch (err) {
+        openSpinner.fail('Failed to open hidden wallet');
+        throw err;
+      } finally {
+        this.ipcClient.disconnect();
+      }
+
+    } catch (err) {
+      console.log(chalk.red('❌ Error:'), err.message);
+    }
+  }
+
+  async lock(options = {}) {
     try {
-      console.log(chalk.blue('🔒 Locking wallet...'));
+      console.log(chalk.blue(options.vault ? `🔒 Locking vault "${options.vault}"...` : '🔒 Locking wallet...'));
       
       const spinner = ora('Connecting to daemon...').start();
       
@@ -166,7 +242,7 @@ export class DaemonCommands {
         await this.ipcClient.connect();
         spinner.succeed('Connected to daemon');
         
-        await this.ipcClient.requestLock();
+        await this.ipcClient.requestLock(options.vault || null);
         
         console.log();
         console.log(chalk.green('✅ Wallet locked successfully'));
@@ -174,10 +250,7 @@ export class DaemonCommands {
         this.ipcClient.disconnect();
         
       } catch (err) {
-        spinner.fail('Daemon not running');
-        console.log();
-        console.log(chalk.red('❌ Daemon is not running'));
-        console.log(chalk.yellow('💡 Start the daemon with: wallet-cli daemon start'));
+        this._connectFailed(spinner, err);
       }
       
     } catch (err) {
@@ -197,6 +270,11 @@ export class DaemonCommands {
         console.log(chalk.blue('💡 Check status with: wallet-cli daemon status'));
         return;
       } catch (err) {
+        // A daemon that refuses us is still running
+        if (err.code === 'IPC_REJECTED') {
+          console.log(chalk.yellow('⚠️  Daemon is already running but refused the connection:'), err.message);
+          return;
+        }
         // Daemon not running, continue with start
       }
 
@@ -257,6 +335,10 @@ export class DaemonCommands {
         this.ipcClient.disconnect();
         
       } catch (err) {
+        if (err.code === 'IPC_REJECTED') {
+          this._connectFailed(spinner, err);
+          return;
+        }
         spinner.fail('Daemon not running');
         console.log();
         console.log(chalk.blue('💡 Daemon was not running'));
@@ -266,4 +348,143 @@ export class DaemonCommands {
       console.log(chalk.red('❌ Error:'), err.message);
     }
   }
-}
\ No newline at end of file
+
+  // Streams daemon events until Ctrl+C or the daemon stops
+  async watch(options = {}) {
+    const events = options.events ? options.events.split(',').map(event => event.trim()).filter(Boolean) : null;
+    // JSON lines go to stdout alone, so the output can be piped
+    const spinner = ora({ text: 'Connecting to daemon...', isSilent: options.json }).start();
+
+    this.ipcClient.on('error', () => {
+      // Silently handle to prevent unhandled error events
+    });
+
+    try {
+      await this.ipcClient.connect();
+    } catch (err) {
+      this._connectFailed(spinner, err);
+      return;
+    }
+
+    if (!this.ipcClient.supports(IPC_MESSAGE_TYPES.SUBSCRIBE)) {
+      spinner.fail('The running daemon has no live events');
+      console.log(chalk.blue('💡 Restart it to load the installed version: wallet-cli daemon stop && wallet-cli daemon start'));
+      this.ipcClient.disconnect();
+      return;
+    }
+
+    try {
+      await this.ipcClient.subscribe(events);
+    } catch (err) {
+      spinner.fail('Could not subscribe to daemon events');
+      console.log(chalk.red('❌ Error:'), err.message);
+      this.ipcClient.disconnect();
+      return;
+    }
+    spinner.succeed('Watching daemon events (Ctrl+C to stop)');
+
+    this.ipcClient.on('event', (event) => {
+      console.log(options.json ? JSON.stringify(event) : this._formatEvent(event));
+    });
+
+    await new Promise((resolve) => {
+      const stop = () => {
+        this.ipcClient.removeListener('disconnect', stopped);
+        this.ipcClient.disconnect();
+        resolve();
+      };
+      const stopped = () => {
+        process.removeListener('SIGINT', stop);
+        if (!options.json) {
+          console.log(chalk.yellow('🛑 Daemon closed the connection'));
+        }
+        resolve();
+      };
+      process.once('SIGINT', stop);
+      this.ipcClient.once('disconnect', stopped);
+    });
+  }
+
+  _formatEvent({ event, data = {}, timestamp }) {
+    const time = chalk.gray(`[${new Date(timestamp).toLocaleTimeString()}]`);
+    const vault = data.vault ? chalk.bold(data.vault) : '';
+
+    switch (event) {
+      case IPC_EVENTS.STATE_CHANGED:
+        return `${time} 🔄 State: ${chalk.gray(data.from)} → ${chalk.bold(data.to)}`;
+      case IPC_EVENTS.KEYSTORE_LOADED:
+        return `${time} 📦 Keystore loaded ${vault}`;
+      case IPC_EVENTS.KEYSTORE_CHANGED: {
+        const change = data.removed ? 'removed' : data.replaced ? 'replaced by another wallet' : 'updated';
+        return `${time} 🔄 Keystore ${vault} ${change}`;
+      }
+      case IPC_EVENTS.VAULT_UNLOCKED:
+        return `${time} 🔓 Vault ${vault} unlocked ${chalk.gray(`(${data.accounts?.length ?? 0} account(s) available)`)}`;
+      case IPC_EVENTS.VAULT_LOCKED:
+        return `${time} 🔒 Vault ${vault} locked`;
+      case IPC_EVENTS.SESSION_ADDED:
+        return `${time} 🔗 Browser extension connected ${chalk.gray(`(${data.activeSessions} active)`)}`;
+      case IPC_EVENTS.SESSION_REMOVED:
+        return `${time} 🔌 Browser extension disconnected ${chalk.gray(`(${data.activeSessions} active)`)}`;
+      case IPC_EVENTS.APPROVAL_REQUESTED:
+        return `${time} ⏳ Approval requested: ${chalk.bold(data.kind)} ${chalk.gray(this._approvalSummary(data))}`;
+      case IPC_EVENTS.APPROVAL_RESOLVED:
+        return data.approved
+          ? `${time} 👍 Approved: ${chalk.bold(data.kind)}`
+          : `${time} 👎 Rejected: ${chalk.bold(data.kind)}`;
+      case IPC_EVENTS.SIGNING_RESULT:
+        return data.success
+          ? `${time} ✍️  Signed ${chalk.bold(data.kind)} for ${data.address}${data.hash ? chalk.gray(` - tx ${data.hash}`) : ''}`
+          : `${time} ❌ ${chalk.bold(data.kind)} for ${data.address} failed: ${data.error}`;
+      case IPC_EVENTS.ERROR:
+        return `${time} ❌ Daemon error: ${data.message}`;
+      default:
+        return `${time} 📨 ${event} ${chalk.gray(JSON.stringify(data))}`;
+    }
+  }
+
+  _approvalSummary(data) {
+    if (data.origin) {
+      return `from ${data.origin}`;
+    }
+    if (data.transaction) {
+      const { from, to, value } = data.transaction;
+      return `${from} → ${to || 'contract creation'}${value ? `, value ${value}` : ''}`;
+    }
+    return data.address ? `for ${data.address}` : '';
+  }
+
+  // Version of the running daemon and whatever this CLI would ask of it that it can't do
+  _printCompatibility() {
+    const daemon = this.ipcClient.daemon;
+    console.log(chalk.blue('🏷️  Daemon version:'), daemon?.version ?? 'unknown (predates the IPC handshake)',
+      chalk.gray(`IPC protocol ${daemon?.protocolVersion ?? '?'}`));
+
+    const mismatch = this.ipcClient.protocolMismatch();
+    if (mismatch) {
+      console.log(chalk.yellow('⚠️ '), mismatch);
+    }
+
+    const missing = IPC_REQUEST_TYPES.filter(type => !this.ipcClient.supports(type));
+    if (missing.length > 0) {
+      console.log(chalk.yellow('⚠️  Not supported by the running daemon:'), missing.join(', '));
+      console.log(chalk.blue('💡 Restart it to load the installed version: wallet-cli daemon stop && wallet-cli daemon start'));
+    }
+  }
+
+  // A daemon that refuses the connection is running; say why instead
+  _connectFailed(spinner, err) {
+    if (err.code === 'IPC_REJECTED') {
+      spinner.fail('Daemon refused the connection');
+      console.log();
+      console.log(chalk.red('❌'), err.message);
+      console.log(chalk.yellow(`💡 Token file: ${this.config.getDaemonTokenFile()}`));
+      return;
+    }
+
+    spinner.fail('Daemon not running');
+    console.log();
+    console.log(chalk.red('❌ Daemon is not running'));
+    console.log(chalk.yellow('💡 Start the daemon with: wallet-cli daemon start'));
+  }
+}
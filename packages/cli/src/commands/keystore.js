@@ -0,0 +1,330 @@
+import inquirer from 'inquirer';
+import chalk from 'chalk';
+import ora from 'ora';
+import { CryptoUtils } from '@daemon-wallet/core';
+
+export class KeystoreCommands {
+  constructor(keystore, config) {
+    this.keystore = keystore;
+    this.config = config;
+  }
+
+  async backups() {
+    try {
+      await this.keystore.init();
+      const backups = await this.keystore.listBackups();
+
+      if (backups.length === 0) {
+        console.log(chalk.yellow('📭 No keystore backups found'));
+        console.log(chalk.gray('A backup is kept each time the keystore is rewritten'));
+        return;
+      }
+
+      console.log(chalk.blue('🗄️  Keystore backups (1 = most recent):'));
+      console.log();
+
+      for (const backup of backups) {
+        if (backup.error) {
+          console.log(chalk.red(`${backup.generation}.`), chalk.red(`unreadable (${backup.error})`));
+          continue;
+        }
+        console.log(
+          chalk.green(`${backup.generation}.`),
+          backup.modified.toLocaleString(),
+          chalk.gray(`id: ${backup.id}`)
+        );
+      }
+
+      console.log();
+      console.log(chalk.blue('💡 Restore with: wallet-cli keystore restore <generation>'));
+
+    } catch (err) {
+      console.log(chalk.red('❌ Error:'), err.message);
+    }
+  }
+
+  async restore(generation) {
+    console.log(chalk.blue(`♻️  Restoring keystore backup ${generation}...`));
+    console.log();
+
+    try {
+      await this.keystore.init();
+
+      const { confirmed } = await inquirer.prompt([
+        {
+          type: 'confirm',
+          name: 'confirmed',
+          message: 'Replace the current keystore with this backup? (the current one is kept as backup 1)',
+          default: false
+        }
+      ]);
+
+      if (!confirmed) {
+        console.log(chalk.blue('👍 Restore cancelled'));
+        return;
+      }
+
+      const spinner = ora('Restoring keystore...').start();
+
+      try {
+        const result = await this.keystore.restoreBackup(generation);
+        spinner.succeed('Keystore restored');
+
+        console.log();
+        console.log(chalk.green('✅ Keystore restored from backup'), chalk.gray(`(id: ${result.id})`));
+        console.log(chalk.yellow('💡 The daemon will reload the keystore; unlock it again if needed'));
+
+      } catch (err) {
+        spinner.fail('Failed to restore keystore');
+        throw err;
+      }
+
+    } catch (err) {
+      console.log(chalk.red('❌ Error:'), err.message);
+    }
+  }
+
+  async upgrade(options = {}) {
+    console.log(chalk.blue('🛡️  Upgrading keystore encryption...'));
+    console.log();
+
+    try {
+      await this.keystore.init();
+      if (!this.keystore.hasKeystore()) {
+        console.log(chalk.red('❌ No wallet found'));
+        console.log(chalk.yellow('💡 Create a wallet first: make create-wallet'));
+        return;
+      }
+
+      const configured = this.config.getKdfSettings();
+      const current = this.keystore.getKdfParams();
+      console.log(chalk.blue('🔧 Current scrypt parameters:'), this._formatParams(current));
+
+      let strength = options.strength;
+      if (!strength) {
+        ({ strength } = await inquirer.prompt([
+          {
+            type: 'list',
+            name: 'strength',
+            message: 'Select key derivation strength:',
+            default: configured.strength,
+            choices: [
+              { name: 'Standard (N=2^14, ~16 MiB)', value: 'standard' },
+              { name: 'Strong (N=2^17, ~128 MiB)', value: 'strong' },
+              { name: 'Maximum (N=2^20, ~1 GiB)', value: 'maximum' },
+              { name: 'Calibrate for this machine', value: 'calibrate' }
+            ]
+          }
+        ]));
+      }
+
+      const spinner = ora(strength === 'calibrate' ? 'Calibrating scrypt...' : 'Resolving parameters...').start();
+      let target;
+      try {
+        target = await CryptoUtils.resolveScryptParams({
+          strength,
+          targetUnlockMs: options.targetMs || configured.targetUnlockMs
+        });
+        spinner.succeed('Parameters selected');
+      } catch (err) {
+        spinner.fail('Invalid key derivation settings');
+        throw err;
+      }
+
+      console.log(chalk.blue('🔧 New scrypt parameters:    '), this._formatParams(target));
+      console.log();
+
+      if (target.N * target.r <= current.N * current.r) {
+        const { proceed } = await inquirer.prompt([
+          {
+            type: 'confirm',
+            name: 'proceed',
+            message: 'The new parameters are not stronger than the current ones. Continue anyway?',
+            default: false
+          }
+        ]);
+
+        if (!proceed) {
+          console.log(chalk.blue('👍 Upgrade cancelled'));
+          return;
+        }
+      }
+
+      const { password } = await inquirer.prompt([
+        {
+          type: 'password',
+          name: 'password',
+          message: 'Enter wallet password:',
+          mask: '*'
+        }
+      ]);
+
+      const upgradeSpinner = ora('Re-encrypting keystore...').start();
+
+      try {
+        await this.keystore.upgradeEncryption(password, target);
+        upgradeSpinner.succeed('Keystore re-encrypted');
+
+        console.log();
+        console.log(chalk.green('✅ Keystore encryption upgraded'));
+        console.log(chalk.yellow('💡 A running daemon locks this vault when it reloads the keystore; unlock it again'));
+
+      } catch (err) {
+        upgradeSpinner.fail('Failed to upgrade keystore');
+        throw err;
+      }
+
+    } catch (err) {
+      console.log(chalk.red('❌ Error:'), err.message);
+    }
+  }
+
+  async doctor() {
+    console.log(chalk.blue(`🩺 Checking keystore files of vault "${this.keystore.vault}"...`));
+    console.log();
+
+    try {
+      await this.keystore.init();
+      const { files, issues } = await this.keystore.inspectKeystoreFiles();
+
+      if (files.length === 0) {
+        console.log(chalk.yellow('📭 No keystore files found'));
+        console.log(chalk.yellow('💡 Create a wallet first: make create-wallet'));
+        return;
+      }
+
+      for (const file of files) {
+        this._printFile(file);
+      }
+      console.log();
+      this._printIssues(issues);
+
+      const { password } = await inquirer.prompt([
+        {
+          type: 'password',
+          name: 'password',
+          message: 'Enter wallet password to verify the files (leave empty to skip):',
+          mask: '*'
+        }
+      ]);
+
+      if (!password) {
+        console.log(chalk.blue('👍 Skipped decryption checks'));
+        return;
+      }
+
+      const spinner = ora('Decrypting keystore files...').start();
+      const report = await this.keystore.verifyKeystoreFiles(password);
+      spinner.stop();
+
+      console.log(chalk.blue('🔐 Decryption check:'));
+      for (const file of report.files) {
+        if (file.error) {
+          console.log(chalk.red('   ❌'), file.name, chalk.gray('unreadable'));
+        } else if (!file.decrypts) {
+          console.log(chalk.red('   ❌'), file.name, chalk.gray('does not decrypt (other password or corrupted)'));
+        } else {
+          const agreement = file.agrees
+            ? chalk.green('same accounts')
+            : chalk.yellow(`different accounts (${file.addresses.length})`);
+          console.log(chalk.green('   ✅'), file.name, agreement,
+            file.indexMatches === false ? chalk.red('index mismatch') : '');
+        }
+      }
+      console.log();
+
+      const decrypting = report.files.filter(file => file.decrypts);
+      const needsRepair = report.issues.some(issue => issue.type !== 'duplicates');
+
+      if (!needsRepair) {
+        console.log(chalk.green('✅ Keystore is healthy'));
+        return;
+      }
+
+      const passwordIssues = report.issues.slice(issues.length);
+      if (passwordIssues.length > 0) {
+        this._printIssues(passwordIssues);
+      }
+
+      if (decrypting.length === 0) {
+        console.log(chalk.red('❌ No keystore file decrypts with this password, nothing can be consolidated'));
+        return;
+      }
+
+      const { keep } = await inquirer.prompt([
+        {
+          type: 'list',
+          name: 'keep',
+          message: 'Consolidate to which file? (stray, legacy and unreadable files are quarantined)',
+          default: report.recommended,
+          choices: [
+            ...decrypting.map(file => ({
+              name: `${file.name} - ${file.addresses.length} account(s), ${file.written.toLocaleString()}` +
+                (file.name === report.recommended ? ' (recommended)' : ''),
+              value: file.name
+            })),
+            { name: 'Leave everything as it is', value: null }
+          ]
+        }
+      ]);
+
+      if (!keep) {
+        console.log(chalk.blue('👍 Nothing was changed'));
+        return;
+      }
+
+      const repairSpinner = ora('Consolidating keystore...').start();
+      try {
+        const result = await this.keystore.consolidateKeystoreFiles(keep, password);
+        repairSpinner.succeed('Keystore consolidated');
+
+        console.log();
+        console.log(chalk.green('✅ Current keystore:'), result.kept);
+        if (result.quarantined.length > 0) {
+          console.log(chalk.blue(`📦 Quarantined ${result.quarantined.length} file(s) to:`), result.quarantineDir);
+          for (const name of result.quarantined) {
+            console.log(chalk.gray(`   ${name}`));
+          }
+        }
+        console.log(chalk.yellow('💡 The daemon will reload the keystore; unlock it again if needed'));
+
+      } catch (err) {
+        repairSpinner.fail('Failed to consolidate keystore');
+        throw err;
+      }
+
+    } catch (err) {
+      console.log(chalk.red('❌ Error:'), err.message);
+    }
+  }
+
+  _printFile(file) {
+    console.log(chalk.bold(file.name), chalk.gray(`[${file.role}]`));
+    if (file.error) {
+      console.log(chalk.red(`   unreadable: ${file.error}`));
+      return;
+    }
+    console.log(`   id: ${file.id ?? 'none'}  version: ${file.version ?? 'unknown'}  written: ${file.written.toLocaleString()}`);
+    console.log(`   kdf: ${file.kdf ? this._formatParams(file.kdf) : 'default (not recorded)'}` +
+      `  accounts: ${file.accounts ?? 'not indexed'}`);
+    if (file.duplicateOf) {
+      console.log(chalk.yellow(`   identical to ${file.duplicateOf}`));
+    }
+  }
+
+  _printIssues(issues) {
+    if (issues.length === 0) {
+      console.log(chalk.green('✅ No problems found in the file layout'));
+    }
+    for (const issue of issues) {
+      const color = issue.type === 'duplicates' ? chalk.yellow : chalk.red;
+      console.log(color(`⚠️  ${issue.message}`));
+    }
+    console.log();
+  }
+
+  _formatParams({ N, r, p }) {
+    const memoryMiB = Math.round((128 * N * r) / (1024 * 1024));
+    return `N=2^${Math.log2(N)} r=${r} p=${p} (~${memoryMiB} MiB)`;
+  }
+}
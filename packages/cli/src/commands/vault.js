@@ -0,0 +1,121 @@
+import inquirer from 'inquirer';
+import chalk from 'chalk';
+import { VaultManager } from '@daemon-wallet/core';
+import { WalletCommands } from './wallet.js';
+
+export class VaultCommands {
+  constructor(config) {
+    this.config = config;
+    this.vaultManager = new VaultManager(config);
+  }
+
+  async create(name, options = {}) {
+    console.log(chalk.blue(`🗃️  Creating vault "${name}"...`));
+    console.log();
+
+    try {
+      const keystore = await this.vaultManager.create(name);
+
+      // Each vault holds its own wallet, protected by its own password
+      const walletCommands = new WalletCommands(keystore, this.config);
+      if (options.import) {
+        await walletCommands.import();
+      } else {
+        await walletCommands.create();
+      }
+
+      await keystore.load();
+      if (!keystore.hasKeystore()) {
+        // Wallet setup was cancelled or failed, don't leave an empty vault behind
+        await this.vaultManager.remove(name);
+        console.log(chalk.yellow(`⚠️  Vault "${name}" was not created`));
+        return;
+      }
+
+      const { switchNow } = await inquirer.prompt([
+        {
+          type: 'confirm',
+          name: 'switchNow',
+          message: `Use vault "${name}" for CLI commands now?`,
+          default: true
+        }
+      ]);
+
+      if (switchNow) {
+        await this.vaultManager.use(name);
+        console.log(chalk.green('✅ Active vault:'), name);
+      }
+
+    } catch (err) {
+      console.log(chalk.red('❌ Error:'), err.message);
+    }
+  }
+
+  async list() {
+    try {
+      const vaults = await this.vaultManager.list();
+
+      console.log(chalk.blue('🗃️  Vaults:'));
+      console.log();
+
+      for (const vault of vaults) {
+        const marker = vault.active ? chalk.green('*') : ' ';
+        const status = vault.hasKeystore
+          ? chalk.gray(`${vault.accounts} account(s)`)
+          : chalk.yellow('no wallet');
+        console.log(`${marker} ${chalk.bold(vault.name)}`, status);
+      }
+
+      console.log();
+      console.log(chalk.gray('* = active vault used by CLI commands'));
+
+    } catch (err) {
+      console.log(chalk.red('❌ Error:'), err.message);
+    }
+  }
+
+  async use(name) {
+    try {
+      await this.vaultManager.use(name);
+      console.log(chalk.green('✅ Active vault:'), name);
+      console.log(chalk.blue('💡 Unlock it in the daemon with: wallet-cli daemon unlock'));
+
+    } catch (err) {
+      console.log(chalk.red('❌ Error:'), err.message);
+    }
+  }
+
+  async remove(name) {
+    console.log(chalk.red(`⚠️  WARNING: REMOVE VAULT "${name}"`));
+    console.log(chalk.red('    This will permanently delete the wallet stored in this vault!'));
+    console.log(chalk.red('    Make sure you have backed up its recovery phrase.'));
+    console.log();
+
+    try {
+      if (!(await this.vaultManager.exists(name))) {
+        console.log(chalk.red(`❌ Vault "${name}" does not exist`));
+        return;
+      }
+
+      const { confirmName } = await inquirer.prompt([
+        {
+          type: 'input',
+          name: 'confirmName',
+          message: `Type the vault name ("${name}") to confirm:`
+        }
+      ]);
+
+      if (confirmName !== name) {
+        console.log(chalk.blue('👍 Removal cancelled'));
+        return;
+      }
+
+      await this.vaultManager.remove(name);
+      console.log(chalk.green(`✅ Vault "${name}" removed`));
+      console.log(chalk.blue('📂 Active vault:'), this.vaultManager.getActive());
+
+    } catch (err) {
+      console.log(chalk.red('❌ Error:'), err.message);
+    }
+  }
+}
@@ -1,6 +1,20 @@
 import inquirer from 'inquirer';
 import chalk from 'chalk';
 import ora from 'ora';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import {
+  DerivationPaths,
+  DERIVATION_TEMPLATES,
+  MnemonicUtils,
+  MNEMONIC_WORD_COUNTS,
+  MNEMONIC_LANGUAGES,
+  ShamirBackup,
+  Keystore,
+  IPC_MESSAGE_TYPES
+} from '@daemon-wallet/core';
+import { DaemonLink } from '../daemon-link.js';
+import { printNotices } from '../notices.js';
 
 export class WalletCommands {
   constructor(keystore, config) {
@@ -8,7 +22,7 @@ export class WalletCommands {
     this.config = config;
   }
 
-  async create() {
+  async create(options = {}) {
     console.log(chalk.blue('🔐 Creating new wallet...'));
     console.log();
 
@@ -16,10 +30,10 @@ export class WalletCommands {
       // Check if keystore already exists
       await this.keystore.init();
       if (this.keystore.hasKeystore()) {
-        console.log(chalk.red('❌ A wallet already exists!'));
-        console.log(chalk.yellow('💡 Only one wallet is allowed at a time'));
+        console.log(chalk.red(`❌ Vault "${this.keystore.vault}" already has a wallet!`));
+        console.log(chalk.yellow('💡 Each vault holds one wallet'));
+        console.log(chalk.blue('   To add another wallet: wallet-cli vault create <name>'));
         console.log(chalk.blue('   To replace it: make delete-wallet && make create-wallet'));
-        console.log(chalk.blue('   To import different: make delete-wallet && make import-wallet'));
         return;
       }
 
@@ -50,10 +64,17 @@ export class WalletCommands {
         return;
       }
 
+      const mnemonicOptions = await this._promptMnemonicOptions(options);
+
+      const passphrase = await this._promptNewPassphrase();
+      if (passphrase === null) {
+        return;
+      }
+
       const spinner = ora('Creating wallet...').start();
 
       try {
-        const result = await this.keystore.createWallet(password);
+        const result = await this.keystore.createWallet(password, { passphrase, ...mnemonicOptions });
         spinner.succeed('Wallet created successfully!');
         
         console.log();
@@ -65,6 +86,9 @@ export class WalletCommands {
         console.log();
         console.log(chalk.cyan('🔑 Recovery phrase:'));
         console.log(chalk.bold(result.mnemonic));
+        if (passphrase) {
+          console.log(chalk.yellow('   + your BIP-39 passphrase (not shown). Both are needed to restore.'));
+        }
         console.log();
         console.log(chalk.gray('Press any key to continue...'));
         
@@ -87,7 +111,7 @@ export class WalletCommands {
     }
   }
 
-  async import() {
+  async import(options = {}) {
     console.log(chalk.blue('📥 Import existing wallet...'));
     console.log();
 
@@ -95,46 +119,105 @@ export class WalletCommands {
       // Check if keystore already exists
       await this.keystore.init();
       if (this.keystore.hasKeystore()) {
-        console.log(chalk.red('❌ A wallet already exists!'));
-        console.log(chalk.yellow('💡 Only one wallet is allowed at a time'));
+        console.log(chalk.red(`❌ Vault "${this.keystore.vault}" already has a wallet!`));
+        console.log(chalk.yellow('💡 Each vault holds one wallet'));
+        console.log(chalk.blue('   To import into a new vault: wallet-cli vault create <name> --import'));
         console.log(chalk.blue('   To replace it: make delete-wallet && make import-wallet'));
         return;
       }
 
-      const { secretType } = await inquirer.prompt([
-        {
-          type: 'list',
-          name: 'secretType',
-          message: 'What do you want to import?',
-          choices: [
-            { name: 'Mnemonic phrase (12/24 words)', value: 'mnemonic' },
-            { name: 'Private key (0x...)', value: 'privatekey' }
-          ]
+      const importOptions = {};
+      let secretType;
+      let secret;
+
+      if (options.shamir) {
+        const recovered = await this._promptShamirShares();
+        if (recovered.mnemonic) {
+          secretType = 'mnemonic';
+          secret = recovered.mnemonic;
+          importOptions.language = recovered.language;
+        } else {
+          secretType = 'privatekey';
+          secret = recovered.privateKey;
         }
-      ]);
+      } else {
+        ({ secretType } = await inquirer.prompt([
+          {
+            type: 'list',
+            name: 'secretType',
+            message: 'What do you want to import?',
+            choices: [
+              { name: 'Mnemonic phrase (12/24 words)', value: 'mnemonic' },
+              { name: 'Private key (0x...)', value: 'privatekey' },
+              { name: 'Keystore JSON file (geth / MetaMask / Foundry V3)', value: 'keystore-json' }
+            ]
+          }
+        ]));
+      }
 
-      const { secret } = await inquirer.prompt([
-        {
-          type: secretType === 'mnemonic' ? 'input' : 'password',
-          name: 'secret',
-          message: secretType === 'mnemonic' 
-            ? 'Enter your mnemonic phrase:' 
-            : 'Enter your private key:',
-          validate: (input) => {
-            if (secretType === 'mnemonic') {
-              const words = input.trim().split(/\s+/);
-              if (words.length < 12) {
-                return 'Mnemonic must be at least 12 words';
+      if (secretType === 'keystore-json') {
+        const { jsonPath, jsonPassword } = await inquirer.prompt([
+          {
+            type: 'input',
+            name: 'jsonPath',
+            message: 'Path to keystore JSON file:',
+            validate: async (input) => {
+              try {
+                await fs.access(path.resolve(input.trim()));
+                return true;
+              } catch {
+                return 'File not found';
               }
-            } else {
-              if (!input.startsWith('0x') || input.length !== 66) {
-                return 'Private key must start with 0x and be 64 characters long';
+            }
+          },
+          {
+            type: 'password',
+            name: 'jsonPassword',
+            message: 'Password of the keystore JSON file:',
+            mask: '*'
+          }
+        ]);
+
+        secret = await fs.readFile(path.resolve(jsonPath.trim()), 'utf8');
+        importOptions.jsonPassword = jsonPassword;
+      } else if (!options.shamir) {
+        ({ secret } = await inquirer.prompt([
+          {
+            type: secretType === 'mnemonic' ? 'input' : 'password',
+            name: 'secret',
+            message: secretType === 'mnemonic' 
+              ? 'Enter your mnemonic phrase:' 
+              : 'Enter your private key:',
+            validate: (input) => {
+              if (secretType === 'mnemonic') {
+                // Word count, wordlist (any BIP-39 language) and checksum
+                const result = MnemonicUtils.validate(input);
+                if (!result.valid) {
+                  return result.errors.map(e => e.message).join('\n  ');
+                }
+              } else {
+                if (!input.startsWith('0x') || input.length !== 66) {
+                  return 'Private key must start with 0x and be 64 characters long';
+                }
               }
+              return true;
             }
-            return true;
           }
-        }
-      ]);
+        ]));
+      }
+
+      if (secretType === 'mnemonic') {
+        const { passphrase } = await inquirer.prompt([
+          {
+            type: 'password',
+            name: 'passphrase',
+            message: 'BIP-39 passphrase (leave empty if none):',
+            mask: '*'
+          }
+        ]);
+        importOptions.passphrase = passphrase;
+        importOptions.derivationPath = await this._promptDerivationPath();
+      }
 
       const { password, confirmPassword } = await inquirer.prompt([
         {
@@ -165,13 +248,33 @@ export class WalletCommands {
       const spinner = ora('Importing wallet...').start();
 
       try {
-        const result = await this.keystore.importWallet(secret, password);
+        const result = await this.keystore.importWallet(secret, password, importOptions);
         spinner.succeed('Wallet imported successfully!');
         
         console.log();
         console.log(chalk.green('✅ Wallet imported successfully!'));
         console.log(chalk.blue('📄 Address:'), result.address);
         console.log();
+
+        if (this.keystore.hasMnemonic()) {
+          const network = this.config.getDefaultNetwork();
+          const { scan } = await inquirer.prompt([
+            {
+              type: 'confirm',
+              name: 'scan',
+              message: `Scan ${network?.name || 'the default network'} for other used accounts?`,
+              default: false
+            }
+          ]);
+
+          if (scan) {
+            await this._discoverAndAdd(password, { network });
+            console.log();
+          }
+        }
+
+        this.keystore.lock();
+
         console.log(chalk.blue('📋 Next steps:'));
         console.log('   1. Start the daemon: wallet-cli daemon start');
         console.log('   2. Install the browser extension');
@@ -187,12 +290,13 @@ export class WalletCommands {
     }
   }
 
-  async list() {
+  // options.tag: only accounts with this tag
+  async list(options = {}) {
     try {
       // Try to get status from daemon first
       try {
         const { IPCClient } = await import('@daemon-wallet/core');
-        const ipcClient = new IPCClient(this.config.getDaemonSocket());
+        const ipcClient = IPCClient.fromConfig(this.config);
         
         // Add error handler to prevent unhandled errors
         ipcClient.on('error', () => {
@@ -201,18 +305,31 @@ export class WalletCommands {
         
         await ipcClient.connect();
         const status = await ipcClient.requestStatus();
+        const known = await this._requestAccountDetails(ipcClient);
         ipcClient.disconnect();
         
-        if (status.accounts && status.accounts.length > 0) {
+        // Watch-only accounts are only in the DApp account list if exposeWatchOnly is set
+        const watchOnly = status.watchOnly || [];
+        const statusAccounts = [
+          ...(status.accounts || []),
+          ...watchOnly.filter(address => !status.accounts?.includes(address))
+        ];
+
+        if (statusAccounts.length > 0) {
+          const shown = this._filterByTag(statusAccounts, options.tag, known);
+          if (!shown) {
+            return;
+          }
+
           console.log(chalk.blue('📋 Wallet Accounts:'));
           console.log();
           
-          status.accounts.forEach((address, index) => {
-            console.log(chalk.green(`${index + 1}.`), chalk.bold(address));
+          shown.forEach((address, index) => {
+            console.log(chalk.green(`${index + 1}.`), chalk.bold(address), this._accountTags(address, watchOnly, known));
           });
 
           console.log();
-          console.log(chalk.gray(`Total: ${status.accounts.length} account(s)`));
+          console.log(chalk.gray(`Total: ${shown.length} account(s)`));
           
           if (status.locked) {
             console.log(chalk.yellow('🔒 Wallet is locked'));
@@ -241,6 +358,9 @@ export class WalletCommands {
       
       if (accounts.length === 0) {
         if (this.keystore.hasKeystore()) {
+          if (this.keystore.isPublicIndexCorrupted()) {
+            console.log(chalk.yellow('⚠️  The public account index is corrupted; accounts are listed again after the next unlock'));
+          }
           console.log(chalk.yellow('🔒 Wallet is locked'));
           console.log(chalk.blue('💡 Start daemon and unlock: wallet-cli daemon start'));
           console.log(chalk.gray('Or check keystore files at: ~/.daemon-wallet/keystore/'));
@@ -251,15 +371,21 @@ export class WalletCommands {
         return;
       }
 
+      const shown = this._filterByTag(accounts, options.tag);
+      if (!shown) {
+        return;
+      }
+
       console.log(chalk.blue('📋 Wallet Accounts:'));
       console.log();
       
-      accounts.forEach((address, index) => {
-        console.log(chalk.green(`${index + 1}.`), chalk.bold(address));
+      const watchOnly = this.keystore.getWatchOnlyAccounts();
+      shown.forEach((address, index) => {
+        console.log(chalk.green(`${index + 1}.`), chalk.bold(address), this._accountTags(address, watchOnly));
       });
 
       console.log();
-      console.log(chalk.gray(`Total: ${accounts.length} account(s)`));
+      console.log(chalk.gray(`Total: ${shown.length} account(s)`));
       
       if (this.keystore.isLocked) {
         console.log(chalk.yellow('🔒 Wallet is locked'));
@@ -273,43 +399,36 @@ export class WalletCommands {
     }
   }
 
-  async createAccount() {
+  async createAccount(options = {}) {
     console.log(chalk.blue('➕ Creating additional account...'));
     console.log();
 
     try {
-      // Check if daemon is running and get status through daemon
-      try {
-        const { IPCClient } = await import('@daemon-wallet/core');
-        const ipcClient = new IPCClient(this.config.getDaemonSocket());
-        
-        // Add error handler to prevent unhandled errors
-        ipcClient.on('error', () => {
-          // Silently handle to prevent unhandled error events
-        });
-        
-        await ipcClient.connect();
-        const status = await ipcClient.requestStatus();
-        
-        if (status.locked) {
-          console.log(chalk.red('❌ Wallet is locked'));
-          console.log(chalk.yellow('💡 Unlock first: make unlock-wallet'));
-          ipcClient.disconnect();
-          return;
-        }
-        
-        if (!status.hasKeystore) {
-          console.log(chalk.red('❌ No wallet found'));
-          console.log(chalk.yellow('💡 Create a wallet first: make create-wallet'));
+      await this.keystore.init();
+      if (!this.keystore.hasKeystore()) {
+        console.log(chalk.red('❌ No wallet found'));
+        console.log(chalk.yellow('💡 Create a wallet first: make create-wallet'));
+        return;
+      }
+
+      // The unlocked daemon derives and saves the account itself
+      const ipcClient = await DaemonLink.connectUnlocked(this.config, this.keystore.vault, IPC_MESSAGE_TYPES.CREATE_ACCOUNT);
+      if (ipcClient) {
+        const spinner = ora('Creating new account in the daemon...').start();
+        try {
+          const { account } = await ipcClient.requestCreateAccount({
+            vault: this.keystore.vault,
+            derivationPath: options.path
+          });
+          spinner.succeed('Account created successfully!');
+          this._printNewAccount(account);
+          console.log(chalk.green('🔓 Available to DApps right away'));
+        } catch (err) {
+          spinner.fail('Failed to create account');
+          throw err;
+        } finally {
           ipcClient.disconnect();
-          return;
         }
-        
-        ipcClient.disconnect();
-        
-      } catch (daemonErr) {
-        console.log(chalk.red('❌ Daemon not running or not responding'));
-        console.log(chalk.yellow('💡 Start daemon: make start-daemon'));
         return;
       }
 
@@ -323,46 +442,53 @@ export class WalletCommands {
         }
       ]);
 
-      // Load and unlock keystore
-      await this.keystore.init();
       const unlocked = await this.keystore.unlock(password);
       
       if (!unlocked) {
         console.log(chalk.red('❌ Invalid password'));
         return;
       }
+      printNotices(Keystore.unlockNotices(unlocked));
 
       // Create new account
       const spinner = ora('Creating new account...').start();
       
       try {
-        const newAccount = await this.keystore.createNextAccount(password);
+        const newAccount = await this.keystore.createNextAccount(password, {
+          derivationPath: options.path
+        });
         spinner.succeed('Account created successfully!');
-        
-        console.log();
-        console.log(chalk.green('✅ New account created!'));
-        console.log(chalk.blue('📄 Address:'), newAccount.address);
-        console.log(chalk.blue('🏷️  Label:'), newAccount.label);
-        console.log(chalk.blue('🔢 Index:'), newAccount.index);
-        console.log();
+        this._printNewAccount(newAccount);
         console.log(chalk.yellow('💡 The daemon will automatically reload the updated keystore'));
         
       } catch (err) {
         spinner.fail('Failed to create account');
         throw err;
+      } finally {
+        // Lock keystore after creation
+        this.keystore.lock();
       }
 
-      // Lock keystore after creation
-      this.keystore.lock();
-
     } catch (err) {
-      console.log(chalk.red('❌ Account creation failed:'), err.message);
+      console.log(chalk.red('❌ Error:'), err.message);
     }
   }
 
+  _printNewAccount(account) {
+    console.log();
+    console.log(chalk.green('✅ New account created!'));
+    console.log(chalk.blue('📄 Address:'), account.address);
+    console.log(chalk.blue('🏷️  Label:'), account.label);
+    console.log(chalk.blue('🧭 Path:'), account.path);
+    if (account.index !== null) {
+      console.log(chalk.blue('🔢 Index:'), account.index);
+    }
+    console.log();
+  }
+
   async exportAll() {
     console.log(chalk.red('⚠️  WARNING: EXPORTING ALL WALLET DATA'));
-    console.log(chalk.red('    This will show your mnemonic phrase and ALL private keys!'));
+    console.log(chalk.red('    This will show your mnemonic phrase and all imported private keys!'));
     console.log(chalk.red('    This is extremely dangerous!'));
     console.log();
 
@@ -370,7 +496,7 @@ export class WalletCommands {
       // Check if daemon is running and get status through daemon
       try {
         const { IPCClient } = await import('@daemon-wallet/core');
-        const ipcClient = new IPCClient(this.config.getDaemonSocket());
+        const ipcClient = IPCClient.fromConfig(this.config);
         
         // Add error handler to prevent unhandled errors
         ipcClient.on('error', () => {
@@ -420,16 +546,28 @@ export class WalletCommands {
         console.log(chalk.red('❌ Invalid password'));
         return;
       }
+      printNotices(Keystore.unlockNotices(unlocked));
 
       console.log();
       console.log(chalk.yellow('📊 WALLET EXPORT DATA'));
       console.log(chalk.yellow('=' .repeat(50)));
       
       // Export mnemonic if available
-      if (this.keystore.walletData?.mnemonic) {
+      const seed = this.keystore.exportMnemonic();
+      if (seed) {
         console.log();
         console.log(chalk.cyan('🔑 MNEMONIC PHRASE:'));
-        console.log(chalk.bold(this.keystore.walletData.mnemonic));
+        console.log(chalk.bold(seed.mnemonic));
+
+        if (seed.language && seed.language !== 'en') {
+          console.log(chalk.gray(`   Wordlist: ${MNEMONIC_LANGUAGES[seed.language] || seed.language}`));
+        }
+
+        if (seed.passphrase) {
+          console.log();
+          console.log(chalk.cyan('🔐 BIP-39 PASSPHRASE:'));
+          console.log(chalk.bold(seed.passphrase));
+        }
       }
       
       // Export all accounts
@@ -438,17 +576,22 @@ export class WalletCommands {
       console.log();
       console.log(chalk.cyan(`👥 ACCOUNTS (${accountDetails.length} total):`));
       
-      for (const account of accountDetails) {
+      for (const [position, account] of accountDetails.entries()) {
         console.log();
-        console.log(chalk.blue(`Account ${account.index + 1}:`), chalk.bold(account.label));
+        console.log(chalk.blue(`Account ${position + 1}:`), chalk.bold(account.label));
         console.log(chalk.gray('  Address:     '), account.address);
         console.log(chalk.gray('  Path:        '), account.path);
         console.log(chalk.gray('  Visible:     '), account.visible ? chalk.green('Yes') : chalk.red('No'));
+        console.log(chalk.gray('  Origin:      '), account.origin);
+        if (account.watchOnly) {
+          console.log(chalk.gray('  Watch-only:  '), chalk.yellow('Yes (no private key)'));
+        }
         
-        // Get private key
-        const wallet = this.keystore.wallets.get(account.address.toLowerCase());
-        if (wallet) {
-          console.log(chalk.gray('  Private Key: '), chalk.red(wallet.privateKey));
+        // HD keys follow from the recovery phrase and path above; only imported keys are stored
+        if (account.origin === 'imported') {
+          console.log(chalk.gray('  Private Key: '), chalk.red(await this.keystore.exportPrivateKey(account.address)));
+        } else if (account.origin === 'hd') {
+          console.log(chalk.gray('  Private Key: '), chalk.gray('derived from the recovery phrase'));
         }
       }
       
@@ -464,6 +607,216 @@ export class WalletCommands {
     }
   }
 
+  async changePassword() {
+    console.log(chalk.blue('🔑 Changing wallet password...'));
+    console.log();
+
+    try {
+      await this.keystore.init();
+      if (!this.keystore.hasKeystore()) {
+        console.log(chalk.red('❌ No wallet found'));
+        console.log(chalk.yellow('💡 Create a wallet first: make create-wallet'));
+        return;
+      }
+
+      const { oldPassword, newPassword, confirmPassword } = await inquirer.prompt([
+        {
+          type: 'password',
+          name: 'oldPassword',
+          message: 'Enter current wallet password:',
+          mask: '*'
+        },
+        {
+          type: 'password',
+          name: 'newPassword',
+          message: 'Enter new wallet password:',
+          mask: '*',
+          validate: (input) => {
+            if (input.length < 8) {
+              return 'Password must be at least 8 characters';
+            }
+            return true;
+          }
+        },
+        {
+          type: 'password',
+          name: 'confirmPassword',
+          message: 'Confirm new password:',
+          mask: '*'
+        }
+      ]);
+
+      if (newPassword !== confirmPassword) {
+        console.log(chalk.red('❌ Passwords do not match'));
+        return;
+      }
+
+      if (newPassword === oldPassword) {
+        console.log(chalk.yellow('⚠️  New password is the same as the current one'));
+        return;
+      }
+
+      // The current file joins the backup history on save, so there is
+      // always at least one backup that opens with the old password
+      const { backups } = await inquirer.prompt([
+        {
+          type: 'list',
+          name: 'backups',
+          message: 'Keystore backups in backups/ open with the current password. What should happen to them?',
+          default: 'reencrypt',
+          choices: [
+            { name: 'Re-encrypt them with the new password', value: 'reencrypt' },
+            { name: 'Delete them', value: 'purge' },
+            { name: 'Keep them as they are (the old password still opens them)', value: 'keep' }
+          ]
+        }
+      ]);
+
+      // A daemon with the vault unlocked re-encrypts it itself, so its session
+      // keeps the new password instead of going stale
+      const ipcClient = await DaemonLink.connectUnlocked(this.config, this.keystore.vault, IPC_MESSAGE_TYPES.CHANGE_PASSWORD);
+      const spinner = ora(ipcClient ? 'Re-encrypting wallet in the daemon...' : 'Re-encrypting wallet...').start();
+
+      try {
+        const result = ipcClient
+          ? await ipcClient.requestChangePassword(oldPassword, newPassword, this.keystore.vault, { backups })
+          : await this.keystore.changePassword(oldPassword, newPassword, { backups });
+        spinner.succeed('Password changed successfully!');
+
+        console.log();
+        console.log(chalk.green('✅ Wallet password changed'));
+        if (ipcClient) {
+          console.log(chalk.green('🔓 The daemon keeps the vault unlocked'));
+        }
+        this._printBackupHistory(result.backups);
+
+      } catch (err) {
+        spinner.fail('Failed to change password');
+        throw err;
+      } finally {
+        ipcClient?.disconnect();
+      }
+
+    } catch (err) {
+      console.log(chalk.red('❌ Error:'), err.message);
+    }
+  }
+
+  // What changePassword did with the backups still under the old password;
+  // a daemon from before the option leaves them all as they were
+  _printBackupHistory(backups) {
+    if (!backups) {
+      console.log(chalk.gray('   Previous keystore generations in backups/ still use the old password'));
+      return;
+    }
+    if (backups.reencrypted.length > 0) {
+      console.log(chalk.green(`🔑 ${backups.reencrypted.length} backup(s) re-encrypted with the new password`));
+    }
+    if (backups.removed.length > 0) {
+      console.log(chalk.green(`🗑️  ${backups.removed.length} backup(s) deleted`));
+    }
+    if (backups.left.length > 0) {
+      console.log(chalk.yellow(`⚠️  ${backups.left.length} backup(s) still open with an old password:`));
+      backups.left.forEach(file => console.log(chalk.gray(`   ${file}`)));
+    }
+  }
+
+  async exportAccount(address, options = {}) {
+    console.log(chalk.blue('📤 Exporting account as keystore JSON (V3)...'));
+    console.log();
+
+    try {
+      await this.keystore.init();
+      if (!this.keystore.hasKeystore()) {
+        console.log(chalk.red('❌ No wallet found'));
+        console.log(chalk.yellow('💡 Create a wallet first: make create-wallet'));
+        return;
+      }
+
+      const { password } = await inquirer.prompt([
+        {
+          type: 'password',
+          name: 'password',
+          message: 'Enter wallet password:',
+          mask: '*'
+        }
+      ]);
+
+      const unlocked = await this.keystore.unlock(password);
+      if (!unlocked) {
+        console.log(chalk.red('❌ Invalid password'));
+        return;
+      }
+      printNotices(Keystore.unlockNotices(unlocked));
+
+      try {
+        if (!this.keystore.getAccountDetails(address)) {
+          console.log(chalk.red('❌ Account not found:'), address);
+          return;
+        }
+
+        const { exportPassword, confirmPassword } = await inquirer.prompt([
+          {
+            type: 'password',
+            name: 'exportPassword',
+            message: 'Set password for the exported file:',
+            mask: '*',
+            validate: (input) => {
+              if (input.length < 8) {
+                return 'Password must be at least 8 characters';
+              }
+              return true;
+            }
+          },
+          {
+            type: 'password',
+            name: 'confirmPassword',
+            message: 'Confirm password:',
+            mask: '*'
+          }
+        ]);
+
+        if (exportPassword !== confirmPassword) {
+          console.log(chalk.red('❌ Passwords do not match'));
+          return;
+        }
+
+        const spinner = ora('Encrypting account...').start();
+
+        try {
+          const json = await this.keystore.exportAccountJson(address, exportPassword);
+          const { address: exportedAddress } = JSON.parse(json);
+
+          // Same naming scheme as geth, so the file can be dropped into a geth keystore dir
+          const timestamp = new Date().toISOString().replace(/:/g, '-');
+          const outputPath = path.resolve(
+            options.output || `UTC--${timestamp}--${exportedAddress.replace(/^0x/, '')}`
+          );
+
+          await fs.writeFile(outputPath, json, { encoding: 'utf8', mode: 0o600, flag: 'wx' });
+          spinner.succeed('Account exported');
+
+          console.log();
+          console.log(chalk.green('✅ Keystore JSON written to:'), outputPath);
+          console.log(chalk.yellow('⚠️  Anyone with this file and its password controls the account'));
+
+        } catch (err) {
+          spinner.fail('Failed to export account');
+          if (err.code === 'EEXIST') {
+            throw new Error(`File already exists: ${err.path}`);
+          }
+          throw err;
+        }
+
+      } finally {
+        this.keystore.lock();
+      }
+
+    } catch (err) {
+      console.log(chalk.red('❌ Export failed:'), err.message);
+    }
+  }
+
   async delete() {
     console.log(chalk.red('⚠️  WARNING: DELETE WALLET'));
     console.log(chalk.red('    This will permanently delete your wallet!'));
@@ -515,6 +868,280 @@ export class WalletCommands {
     }
   }
 
+  // Word count and wordlist language; command-line options skip the prompts
+  async _promptMnemonicOptions(options) {
+    const words = options.words ?? (await inquirer.prompt([
+      {
+        type: 'list',
+        name: 'words',
+        message: 'Recovery phrase length:',
+        default: 12,
+        choices: MNEMONIC_WORD_COUNTS.map(count => ({
+          name: `${count} words (${(count / 3) * 32} bits)`,
+          value: count
+        }))
+      }
+    ])).words;
+
+    const language = options.language ?? (await inquirer.prompt([
+      {
+        type: 'list',
+        name: 'language',
+        message: 'Recovery phrase language:',
+        default: 'en',
+        choices: Object.entries(MNEMONIC_LANGUAGES).map(([value, name]) => ({ name, value }))
+      }
+    ])).language;
+
+    return { words, language };
+  }
+
+  // Origin comes from the daemon's details when known, otherwise from the
+  // active vault's public index (other vaults' accounts are then untagged)
+  _accountTags(address, watchOnly, known = null) {
+    const details = this._safeAccountDetails(address, known);
+    const groups = details?.tags.length > 0
+      ? ' ' + chalk.cyan(details.tags.map(tag => `#${tag}`).join(' '))
+      : '';
+
+    if (watchOnly.includes(address.toLowerCase())) {
+      return chalk.yellow('[watch-only]') + groups;
+    }
+    if (!details) {
+      return '';
+    }
+    if (details.origin === 'imported') {
+      return chalk.magenta('[imported]') + groups;
+    }
+    return chalk.gray(`[HD ${details.index ?? details.path}]`) + groups;
+  }
+
+  // Address -> details of every vault the daemon has loaded; null when the
+  // daemon doesn't handle list_account_details
+  async _requestAccountDetails(ipcClient) {
+    if (!ipcClient.supports(IPC_MESSAGE_TYPES.LIST_ACCOUNT_DETAILS)) {
+      return null;
+    }
+    try {
+      const vaults = await ipcClient.requestAccountDetails({ includeHidden: true });
+      return new Map(vaults.flatMap(({ accounts }) =>
+        accounts.map(account => [account.address.toLowerCase(), account])));
+    } catch (err) {
+      return null;
+    }
+  }
+
+  _safeAccountDetails(address, known = null) {
+    if (known?.has(address.toLowerCase())) {
+      return known.get(address.toLowerCase());
+    }
+    try {
+      return this.keystore.getAccountDetails(address);
+    } catch (err) {
+      // Locked keystore written before the public index existed
+      return null;
+    }
+  }
+
+  // Returns the addresses with the tag (all without one), null if none match
+  _filterByTag(addresses, tag, known = null) {
+    if (!tag) {
+      return addresses;
+    }
+
+    const wanted = tag.toLowerCase();
+    const tagged = addresses.filter(address => this._safeAccountDetails(address, known)?.tags.includes(wanted));
+    if (tagged.length === 0) {
+      console.log(chalk.yellow(`📭 No accounts tagged "${wanted}"`));
+      console.log(chalk.blue(`💡 Tag one with: wallet-cli account tag <address> ${wanted}`));
+      return null;
+    }
+    return tagged;
+  }
+
+  async _promptDerivationPath() {
+    const { choice } = await inquirer.prompt([
+      {
+        type: 'list',
+        name: 'choice',
+        message: 'Derivation path:',
+        choices: [
+          ...Object.entries(DERIVATION_TEMPLATES).map(([value, t]) => ({
+            name: `${t.name}  ${chalk.gray(t.template)}`,
+            value
+          })),
+          { name: 'Custom path', value: 'custom' }
+        ]
+      }
+    ]);
+
+    if (choice !== 'custom') {
+      return choice;
+    }
+
+    const { customPath } = await inquirer.prompt([
+      {
+        type: 'input',
+        name: 'customPath',
+        message: "Path (use {index} for the account number, e.g. m/44'/60'/0'/0/{index}):",
+        validate: (input) => {
+          try {
+            DerivationPaths.validate(input.trim());
+            return true;
+          } catch (err) {
+            return err.message;
+          }
+        }
+      }
+    ]);
+
+    return customPath.trim();
+  }
+
+  // Expects an unlocked keystore
+  async _discoverAndAdd(password, options) {
+    const gapLimit = options.gapLimit || this.config.getDiscoverySettings().gapLimit;
+    const spinner = ora(`Scanning ${options.network.name} (gap limit ${gapLimit})...`).start();
+
+    let result;
+    try {
+      result = await this.keystore.discoverAccounts({
+        network: options.network,
+        derivationPath: options.derivationPath,
+        gapLimit,
+        onProgress: ({ index }) => {
+          spinner.text = `Scanning ${options.network.name}: index ${index}...`;
+        }
+      });
+      spinner.succeed(`Scanned ${result.scanned} address(es) on ${result.derivationPath}`);
+    } catch (err) {
+      spinner.fail('Discovery failed');
+      throw err;
+    }
+
+    const candidates = result.accounts.filter(acc => !acc.known);
+    if (candidates.length === 0) {
+      console.log(chalk.yellow('📭 No new used accounts found'));
+      return [];
+    }
+
+    const { selected } = await inquirer.prompt([
+      {
+        type: 'checkbox',
+        name: 'selected',
+        message: 'Add these accounts to the wallet?',
+        // Accounts the user removed earlier are offered, but not preselected
+        choices: candidates.map(acc => ({
+          name: `${acc.address} ${chalk.gray(`${acc.path} · ${acc.transactionCount} tx`)}` +
+            (acc.removed ? chalk.yellow(' (removed earlier)') : ''),
+          value: acc,
+          checked: !acc.removed
+        }))
+      }
+    ]);
+
+    if (selected.length === 0) {
+      console.log(chalk.blue('👍 No accounts added'));
+      return [];
+    }
+
+    const added = await this.keystore.addDiscoveredAccounts(selected, password);
+    console.log(chalk.green(`✅ Added ${added.length} account(s)`));
+    for (const account of added) {
+      console.log(chalk.green('  •'), account.address, chalk.gray(`${account.label} · ${account.path}`));
+    }
+    console.log(chalk.yellow('💡 The daemon will automatically reload the updated keystore'));
+
+    return added;
+  }
+
+  // Returns '' for no passphrase, null if the confirmation didn't match
+  async _promptNewPassphrase() {
+    const { usePassphrase } = await inquirer.prompt([
+      {
+        type: 'confirm',
+        name: 'usePassphrase',
+        message: 'Protect the seed with a BIP-39 passphrase (25th word)? (advanced)',
+        default: false
+      }
+    ]);
+
+    if (!usePassphrase) {
+      return '';
+    }
+
+    console.log(chalk.yellow('⚠️  The passphrase is NOT recoverable from the recovery phrase.'));
+    console.log(chalk.yellow('   Without it, the recovery phrase restores a different, empty wallet.'));
+
+    const { passphrase, confirmPassphrase } = await inquirer.prompt([
+      {
+        type: 'password',
+        name: 'passphrase',
+        message: 'Enter BIP-39 passphrase:',
+        mask: '*',
+        validate: (input) => input.length > 0 || 'Passphrase cannot be empty'
+      },
+      {
+        type: 'password',
+        name: 'confirmPassphrase',
+        message: 'Confirm BIP-39 passphrase:',
+        mask: '*'
+      }
+    ]);
+
+    if (passphrase !== confirmPassphrase) {
+      console.log(chalk.red('❌ Passphrases do not match'));
+      return null;
+    }
+
+    return passphrase;
+  }
+
+  // Asks for shares until the threshold stored in them is reached
+  async _promptShamirShares() {
+    console.log(chalk.blue('🧩 Enter your Shamir backup shares, one at a time'));
+    const shares = [];
+    let threshold = null;
+
+    while (threshold === null || shares.length < threshold) {
+      const label = threshold ? `Share ${shares.length + 1} of ${threshold}:` : 'Share 1:';
+      const { share } = await inquirer.prompt([
+        {
+          type: 'password',
+          name: 'share',
+          message: label,
+          mask: '*',
+          validate: (input) => {
+            try {
+              const decoded = ShamirBackup.decodeShare(input);
+              const first = shares[0] && ShamirBackup.decodeShare(shares[0]);
+              if (first && (decoded.identifier !== first.identifier || decoded.threshold !== first.threshold)) {
+                return 'This share belongs to a different backup';
+              }
+              if (shares.some(s => ShamirBackup.decodeShare(s).index === decoded.index)) {
+                return 'This share was already entered';
+              }
+              return true;
+            } catch (err) {
+              return err.message;
+            }
+          }
+        }
+      ]);
+
+      shares.push(share);
+      if (threshold === null) {
+        threshold = ShamirBackup.decodeShare(share).threshold;
+        console.log(chalk.gray(`   This backup needs ${threshold} share(s)`));
+      }
+    }
+
+    const recovered = ShamirBackup.recover(shares);
+    console.log(chalk.green('✅ Shares combined:'),
+      recovered.mnemonic ? 'recovery phrase restored' : 'private key restored');
+    return recovered;
+  }
+
   async _waitForKeypress() {
     return new Promise((resolve) => {
       process.stdin.setRawMode(true);
@@ -0,0 +1,35 @@
+import chalk from 'chalk';
+import { IPCClient } from '@daemon-wallet/core';
+
+// Account changes go through the daemon when it has the vault unlocked: it
+// saves with its own session, so it stays the only writer and the CLI asks
+// for no password. Otherwise commands fall back to unlocking the file.
+export class DaemonLink {
+  // Connected client when the daemon has the vault unlocked and handles the
+  // request type, null otherwise
+  static async connectUnlocked(config, vault, type) {
+    const ipcClient = IPCClient.fromConfig(config);
+
+    // Add error handler to prevent unhandled errors
+    ipcClient.on('error', () => {
+      // Silently handle to prevent unhandled error events
+    });
+
+    try {
+      await ipcClient.connect();
+      const status = await ipcClient.requestStatus();
+      const vaultStatus = status.vaults?.find(entry => entry.name === vault);
+      if (vaultStatus && !vaultStatus.locked) {
+        if (ipcClient.supports(type)) {
+          return ipcClient;
+        }
+        console.log(chalk.yellow(`⚠️  The running daemon can't do this itself (no ${type}); restart it to load the installed version`));
+      }
+    } catch (err) {
+      // Daemon not running or not responding
+    }
+
+    ipcClient.disconnect();
+    return null;
+  }
+}
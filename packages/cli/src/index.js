@@ -3,6 +3,10 @@ import chalk from 'chalk';
 import { Keystore, Config, IPCClient } from '@daemon-wallet/core';
 import { WalletCommands } from './commands/wallet.js';
 import { DaemonCommands } from './commands/daemon.js';
+import { KeystoreCommands } from './commands/keystore.js';
+import { VaultCommands } from './commands/vault.js';
+import { AccountCommands } from './commands/account.js';
+import { BackupCommands } from './commands/backup.js';
 
 const program = new Command();
 
@@ -12,40 +16,52 @@ program
   .version('0.1.0');
 
 // Create global instances
-const keystore = new Keystore();
 const config = new Config();
 
 // Initialize
 await config.load();
+
+const keystore = new Keystore({
+  kdf: config.getKdfSettings(),
+  vault: config.getActiveVault()
+});
 await keystore.init();
 
 // Create IPC client
-const ipcClient = new IPCClient(config.getDaemonSocket());
+const ipcClient = IPCClient.fromConfig(config);
 
 // Initialize command modules
 const walletCommands = new WalletCommands(keystore, config);
-const daemonCommands = new DaemonCommands(ipcClient);
+const daemonCommands = new DaemonCommands(ipcClient, config);
+const keystoreCommands = new KeystoreCommands(keystore, config);
+const vaultCommands = new VaultCommands(config);
+const accountCommands = new AccountCommands(keystore, config);
+const backupCommands = new BackupCommands(keystore, config);
 
 // Wallet commands
 program
   .command('create')
   .description('Create a new wallet')
-  .action(async () => {
-    await walletCommands.create();
+  .option('-w, --words <count>', 'Recovery phrase length: 12, 15, 18, 21 or 24', parseInt)
+  .option('-l, --language <code>', 'Wordlist: en, es, fr, it, pt, cz, ja, ko, zh_cn, zh_tw')
+  .action(async (options) => {
+    await walletCommands.create(options);
   });
 
 program
   .command('import')
-  .description('Import wallet from mnemonic or private key')
-  .action(async () => {
-    await walletCommands.import();
+  .description('Import wallet from mnemonic, private key or keystore JSON file')
+  .option('--shamir', 'Restore from Shamir backup shares')
+  .action(async (options) => {
+    await walletCommands.import(options);
   });
 
 program
   .command('list')
   .description('List wallet accounts')
-  .action(async () => {
-    await walletCommands.list();
+  .option('-t, --tag <tag>', 'Only accounts with this tag')
+  .action(async (options) => {
+    await walletCommands.list(options);
   });
 
 program
@@ -55,11 +71,37 @@ program
     await walletCommands.exportAll();
   });
 
+program
+  .command('export-account <address>')
+  .description('Export one account as an encrypted keystore JSON file (geth/MetaMask V3)')
+  .option('-o, --output <file>', 'Output file (default: geth-style UTC--<time>--<address>)')
+  .action(async (address, options) => {
+    await walletCommands.exportAccount(address, options);
+  });
+
 program
   .command('create-account')
   .description('Create additional account (HD derivation)')
+  .option('-p, --path <path>', "Path template (bip44, ledger-live, legacy) or custom path, e.g. m/44'/60'/0'/0/{index}")
+  .action(async (options) => {
+    await walletCommands.createAccount(options);
+  });
+
+program
+  .command('discover')
+  .description('Scan the network for used accounts of this seed and offer to add them')
+  .option('-p, --path <path>', 'Path template to scan (default: the wallet\'s own)')
+  .option('-n, --network <name>', 'Network from the config (default: defaultNetwork)')
+  .option('-g, --gap <count>', 'Stop after this many consecutive unused addresses', parseInt)
+  .action(async (options) => {
+    await walletCommands.discover(options);
+  });
+
+program
+  .command('change-password')
+  .description('Change the wallet password')
   .action(async () => {
-    await walletCommands.createAccount();
+    await walletCommands.changePassword();
   });
 
 program
@@ -69,6 +111,170 @@ program
     await walletCommands.delete();
   });
 
+// Account commands
+const accountCmd = program
+  .command('account')
+  .description('Manage individual accounts of the wallet');
+
+accountCmd
+  .command('add-watch <address>')
+  .description('Track an address without its private key (watch-only)')
+  .option('-l, --label <label>', 'Account label')
+  .action(async (address, options) => {
+    await accountCommands.addWatch(address, options);
+  });
+
+accountCmd
+  .command('import-key')
+  .description('Add a standalone private key to the wallet, next to its HD accounts')
+  .option('-l, --label <label>', 'Account label')
+  .action(async (options) => {
+    await accountCommands.importKey(options);
+  });
+
+accountCmd
+  .command('remove <address>')
+  .description('Remove an account from the wallet (an imported key is deleted)')
+  .action(async (address) => {
+    await accountCommands.remove(address);
+  });
+
+accountCmd
+  .command('move <address> <position>')
+  .description('Move an account to a position in the account order (1 = first)')
+  .action(async (address, position) => {
+    await accountCommands.move(address, parseInt(position, 10));
+  });
+
+accountCmd
+  .command('tag <address> [tags...]')
+  .description('Group an account with tags, e.g. trading, cold, testing')
+  .option('-r, --remove', 'Remove the given tags instead of adding them')
+  .option('-c, --clear', 'Remove all tags')
+  .action(async (address, tags, options) => {
+    await accountCommands.tag(address, tags, options);
+  });
+
+accountCmd
+  .command('label <address> <label>')
+  .description('Rename an account')
+  .action(async (address, label) => {
+    await accountCommands.label(address, label);
+  });
+
+accountCmd
+  .command('hide <address>')
+  .description('Hide an account from DApps, keeping it in the wallet')
+  .action(async (address) => {
+    await accountCommands.setVisibility(address, false);
+  });
+
+accountCmd
+  .command('show <address>')
+  .description('Show a hidden account to DApps again')
+  .action(async (address) => {
+    await accountCommands.setVisibility(address, true);
+  });
+
+// Backup commands
+const backupCmd = program
+  .command('backup')
+  .description('Back up and restore the wallet');
+
+backupCmd
+  .command('create <file>')
+  .description('Write an encrypted backup file of the wallet, its labels and settings')
+  .option('-f, --force', 'Overwrite an existing file without asking')
+  .action(async (file, options) => {
+    await backupCommands.create(file, options);
+  });
+
+backupCmd
+  .command('restore <file>')
+  .description('Verify a backup file, show what it holds and restore it')
+  .option('-n, --dry-run', 'Only verify and show the summary, change nothing')
+  .action(async (file, options) => {
+    await backupCommands.restore(file, options);
+  });
+
+backupCmd
+  .command('shamir')
+  .description('Split the recovery phrase into shares; any threshold of them restores it')
+  .option('-t, --threshold <count>', 'Shares needed to restore (default 3)', parseInt)
+  .option('-s, --shares <count>', 'Number of shares to create, max 16 (default 5)', parseInt)
+  .action(async (options) => {
+    await backupCommands.shamir(options);
+  });
+
+// Vault commands
+const vaultCmd = program
+  .command('vault')
+  .description('Manage named vaults (separate wallets with their own passwords)');
+
+vaultCmd
+  .command('create <name>')
+  .description('Create a new vault and its wallet')
+  .option('-i, --import', 'Import an existing wallet instead of generating one')
+  .action(async (name, options) => {
+    await vaultCommands.create(name, options);
+  });
+
+vaultCmd
+  .command('list')
+  .description('List vaults')
+  .action(async () => {
+    await vaultCommands.list();
+  });
+
+vaultCmd
+  .command('use <name>')
+  .description('Select the vault used by CLI commands')
+  .action(async (name) => {
+    await vaultCommands.use(name);
+  });
+
+vaultCmd
+  .command('remove <name>')
+  .description('Remove a vault and its wallet (dangerous!)')
+  .action(async (name) => {
+    await vaultCommands.remove(name);
+  });
+
+// Keystore commands
+const keystoreCmd = program
+  .command('keystore')
+  .description('Keystore file maintenance commands');
+
+keystoreCmd
+  .command('backups')
+  .description('List previous keystore generations')
+  .action(async () => {
+    await keystoreCommands.backups();
+  });
+
+keystoreCmd
+  .command('restore <generation>')
+  .description('Restore a previous keystore generation')
+  .action(async (generation) => {
+    await keystoreCommands.restore(generation);
+  });
+
+keystoreCmd
+  .command('doctor')
+  .description('Check keystore files for corruption, duplicates and stale copies, and repair')
+  .action(async () => {
+    await keystoreCommands.doctor();
+  });
+
+keystoreCmd
+  .command('upgrade')
+  .description('Re-encrypt the keystore with stronger key derivation parameters')
+  .option('-s, --strength <level>', 'standard, strong, maximum or calibrate')
+  .option('-t, --target-ms <ms>', 'Target unlock time when calibrating', parseInt)
+  .action(async (options) => {
+    await keystoreCommands.upgrade(options);
+  });
+
 // Daemon commands
 const daemonCmd = program
   .command('daemon')
@@ -84,15 +290,35 @@ daemonCmd
 daemonCmd
   .command('unlock')
   .description('Unlock wallet for daemon')
-  .action(async () => {
-    await daemonCommands.unlock();
+  .option('-v, --vault <name>', 'Vault to unlock (default: active vault)')
+  .action(async (options) => {
+    await daemonCommands.unlock(options);
+  });
+
+daemonCmd
+  .command('open-hidden')
+  .description('Open a hidden wallet (same recovery phrase, different BIP-39 passphrase)')
+  .option('-v, --vault <name>', 'Vault holding the recovery phrase (default: active vault)')
+  .option('-a, --accounts <count>', 'Number of accounts to derive', parseInt)
+  .action(async (options) => {
+    await daemonCommands.openHidden(options);
   });
 
 daemonCmd
   .command('lock')
   .description('Lock wallet')
-  .action(async () => {
-    await daemonCommands.lock();
+  .option('-v, --vault <name>', 'Only lock this vault (default: all vaults)')
+  .action(async (options) => {
+    await daemonCommands.lock(options);
+  });
+
+daemonCmd
+  .command('watch')
+  .description('Stream daemon events live: state changes, connections, approvals and signing results')
+  .option('--json', 'Print one JSON object per event')
+  .option('-e, --events <names>', 'Comma-separated events to show (default: all)')
+  .action(async (options) => {
+    await daemonCommands.watch(options);
   });
 
 daemonCmd
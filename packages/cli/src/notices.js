@@ -0,0 +1,9 @@
+import chalk from 'chalk';
+
+// The core library returns warnings (see Keystore.unlockNotices) instead of
+// printing them; commands show them the same way
+export function printNotices(notices = []) {
+  for (const notice of notices) {
+    console.log(chalk.yellow(`⚠️  ${notice}`));
+  }
+}
@@ -1,10 +1,38 @@
 // Core module exports
-export { Keystore } from './src/keystore.js';
+export { Keystore, DEFAULT_VAULT } from './src/keystore.js';
+export { VaultManager } from './src/vaults.js';
+export {
+  DerivationPaths,
+  DERIVATION_TEMPLATES,
+  DEFAULT_DERIVATION_PATH
+} from './src/derivation.js';
 export { CryptoUtils } from './src/crypto.js';
+export {
+  MnemonicUtils,
+  MNEMONIC_WORD_COUNTS,
+  MNEMONIC_LANGUAGES
+} from './src/mnemonic.js';
+export { ShamirBackup } from './src/shamir.js';
+export { WalletBackup } from './src/backup.js';
+export { KeySession } from './src/key-session.js';
+export {
+  KeystoreMigrations,
+  KEYSTORE_VERSION,
+  KEYSTORE_SCHEMA_VERSION
+} from './src/migrations.js';
 export { Config } from './src/config.js';
 export {
   IPCServer,
   IPCClient,
   IPCMessage,
-  IPC_MESSAGE_TYPES
-} from './src/ipc.js';
\ No newline at end of file
+  IPC_MESSAGE_TYPES,
+  IPC_REQUEST_TYPES,
+  IPC_EVENTS,
+  IPC_PROTOCOL_VERSION
+} from './src/ipc.js';
+export {
+  IPCFraming,
+  IPCFrameDecoder,
+  IPC_MAX_MESSAGE_SIZE
+} from './src/ipc-framing.js';
+export { IPCAuth } from './src/ipc-auth.js';
\ No newline at end of file
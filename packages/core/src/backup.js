@@ -0,0 +1,178 @@
+import fs from 'node:fs/promises';
+import crypto from 'node:crypto';
+import { ethers } from 'ethers';
+import { CryptoUtils } from './crypto.js';
+import { FileUtils } from './file-utils.js';
+import { DerivationPaths } from './derivation.js';
+
+const BACKUP_FORMAT = 'daemon-wallet-backup';
+const BACKUP_VERSION = 1;
+
+// Config sections that describe the user's setup rather than this machine
+// (daemon socket and port, active vault stay as they are)
+const BACKUP_CONFIG_SECTIONS = ['networks', 'defaultNetwork', 'security', 'discovery'];
+
+// Self-contained archive of one wallet: the decrypted wallet data plus config,
+// encrypted with its own password. The outer checksum catches a damaged file
+// before a password is asked for; the payload is checked again after decryption.
+export class WalletBackup {
+  static async create({ vault, wallet, config = null }, backupPassword, scryptParams = null) {
+    if (!backupPassword || backupPassword.length < 8) {
+      throw new Error('Backup password must be at least 8 characters');
+    }
+
+    const payload = {
+      vault,
+      wallet,
+      config: config ? this.pickConfig(config) : null
+    };
+    this.verify(payload);
+
+    const encrypted = await CryptoUtils.encrypt(
+      JSON.stringify(payload),
+      backupPassword,
+      scryptParams || CryptoUtils.defaultScryptParams
+    );
+
+    return {
+      format: BACKUP_FORMAT,
+      version: BACKUP_VERSION,
+      createdAt: new Date().toISOString(),
+      crypto: encrypted,
+      checksum: this._checksum(encrypted)
+    };
+  }
+
+  static async writeFile(filePath, archive) {
+    await FileUtils.writeAtomic(filePath, JSON.stringify(archive, null, 2), { mode: 0o600 });
+  }
+
+  // Reads and checks the envelope; no password needed
+  static async readFile(filePath) {
+    let archive;
+    try {
+      archive = JSON.parse(await fs.readFile(filePath, 'utf8'));
+    } catch (err) {
+      if (err.code === 'ENOENT') {
+        throw new Error(`Backup file ${filePath} not found`);
+      }
+      throw new Error(`Backup file is unreadable: ${err.message}`);
+    }
+
+    if (archive?.format !== BACKUP_FORMAT) {
+      throw new Error('Not a daemon wallet backup file');
+    }
+    if (!Number.isInteger(archive.version) || archive.version > BACKUP_VERSION) {
+      throw new Error(`Backup format version ${archive.version} is newer than this wallet supports (${BACKUP_VERSION}) - upgrade wallet-cli`);
+    }
+    if (!archive.crypto?.encrypted || archive.checksum !== this._checksum(archive.crypto)) {
+      throw new Error('Backup file is corrupted (checksum mismatch)');
+    }
+
+    return archive;
+  }
+
+  static async decrypt(archive, backupPassword) {
+    let payload;
+    try {
+      payload = JSON.parse(await CryptoUtils.decrypt(archive.crypto, backupPassword));
+    } catch (err) {
+      if (err.message.includes('Invalid password')) {
+        throw new Error('Invalid backup password');
+      }
+      throw err;
+    }
+
+    this.verify(payload);
+    return payload;
+  }
+
+  // Every key must still produce its recorded address, so a restore never
+  // installs a wallet whose accounts don't match their secrets
+  static verify(payload) {
+    const wallet = payload?.wallet;
+    if (!wallet || !Array.isArray(wallet.accounts) || wallet.accounts.length === 0) {
+      throw new Error('Backup holds no wallet accounts');
+    }
+
+    const root = wallet.mnemonic
+      ? DerivationPaths.rootFromMnemonic(wallet.mnemonic, wallet.passphrase)
+      : null;
+
+    for (const acc of wallet.accounts) {
+      let address;
+      try {
+        address = ethers.getAddress(acc.address);
+      } catch {
+        throw new Error(`Backup is inconsistent: invalid address ${acc.address}`);
+      }
+
+      if (acc.watchOnly) {
+        continue;
+      }
+      if (acc.privateKey && new ethers.Wallet(acc.privateKey).address !== address) {
+        throw new Error(`Backup is inconsistent: private key does not match ${address}`);
+      }
+      if (acc.path && root && root.derivePath(acc.path).address !== address) {
+        throw new Error(`Backup is inconsistent: ${acc.path} does not derive ${address}`);
+      }
+      if (!acc.privateKey && !(acc.path && root)) {
+        throw new Error(`Backup is inconsistent: no key for ${address}`);
+      }
+    }
+  }
+
+  static summarize(archive, payload) {
+    const { wallet, config } = payload;
+    const accounts = wallet.accounts.map(acc => ({
+      address: acc.address,
+      label: acc.label ?? null,
+      visible: acc.visible !== false,
+      origin: acc.watchOnly ? 'watch-only' : (acc.path ? 'hd' : 'imported'),
+      path: acc.path ?? null
+    }));
+
+    return {
+      createdAt: archive.createdAt,
+      version: archive.version,
+      vault: payload.vault,
+      mnemonic: wallet.mnemonic
+        ? { words: wallet.mnemonic.split(/\s+/).length, language: wallet.language || 'en' }
+        : null,
+      passphrase: Boolean(wallet.passphrase),
+      derivationPath: wallet.mnemonic ? wallet.derivationPath : null,
+      accounts,
+      config: config
+        ? {
+          sections: Object.keys(config),
+          networks: Object.keys(config.networks || {}),
+          defaultNetwork: config.defaultNetwork ?? null
+        }
+        : null
+    };
+  }
+
+  static pickConfig(config) {
+    const picked = {};
+    for (const section of BACKUP_CONFIG_SECTIONS) {
+      const value = config.get(section);
+      if (value !== undefined) {
+        picked[section] = structuredClone(value);
+      }
+    }
+    return picked;
+  }
+
+  static async applyConfig(config, saved) {
+    for (const section of BACKUP_CONFIG_SECTIONS) {
+      if (saved[section] !== undefined) {
+        config.set(section, saved[section]);
+      }
+    }
+    await config.save();
+  }
+
+  static _checksum(encrypted) {
+    return crypto.createHash('sha256').update(JSON.stringify(encrypted)).digest('hex');
+  }
+}
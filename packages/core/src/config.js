@@ -22,11 +22,25 @@ const DEFAULT_CONFIG = {
   security: {
     unlockTimeout: 900,        // 15 minutes
     allowBrowserUnlock: false, // Terminal-only by default
-    requireApproval: true      // Always require approval
+    requireApproval: true,     // Always require approval
+    exposeWatchOnly: false,    // Show watch-only accounts to DApps (read-only, signing is refused)
+    kdf: {
+      strength: 'standard',    // standard | strong | maximum | calibrate
+      targetUnlockMs: 1000     // Used by 'calibrate' to size scrypt N for this machine
+    }
+  },
+  vaults: {
+    active: 'default'          // Vault used by CLI commands and listed first by the daemon
+  },
+  discovery: {
+    gapLimit: 20               // Stop scanning after this many consecutive unused addresses
   },
   daemon: {
+    rpc: false,                // Serve Ethereum JSON-RPC on 127.0.0.1:port for Foundry/Hardhat
     port: 8545,
-    socket: path.join(CONFIG_DIR, 'daemon.sock')
+    socket: path.join(CONFIG_DIR, 'daemon.sock'),
+    requireToken: false,       // Clients must also present the token from tokenFile
+    tokenFile: path.join(CONFIG_DIR, 'daemon.token')
   },
   defaultNetwork: 'sepolia'
 };
@@ -102,10 +116,26 @@ export class Config {
     return this.config.daemon.socket;
   }
 
+  getDaemonTokenFile() {
+    return this.config.daemon.tokenFile;
+  }
+
   getSecuritySettings() {
     return this.config.security;
   }
 
+  getKdfSettings() {
+    return this.config.security.kdf;
+  }
+
+  getActiveVault() {
+    return this.config.vaults.active;
+  }
+
+  getDiscoverySettings() {
+    return this.config.discovery;
+  }
+
   _deepMerge(target, source) {
     const output = { ...target };
     
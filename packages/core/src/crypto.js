@@ -1,5 +1,6 @@
 import crypto from 'node:crypto';
 import { Buffer } from 'node:buffer';
+import { MnemonicUtils } from './mnemonic.js';
 
 const ALGORITHM = 'aes-256-gcm';
 const SALT_LENGTH = 32;
@@ -10,14 +11,48 @@ const SCRYPT_N = 16384; // 2^14 (reduced from 2^18 for lower memory usage)
 const SCRYPT_R = 8;
 const SCRYPT_P = 1;
 
+// Bounds for parameters read back from keystore files, so a tampered file
+// can't make unlock allocate unbounded memory
+const MIN_SCRYPT_N = 1024;    // 2^10
+const MAX_SCRYPT_N = 1048576; // 2^20 (1 GiB with r=8)
+const MAX_SCRYPT_R = 32;
+const MAX_SCRYPT_P = 16;
+
+const KDF_STRENGTHS = {
+  standard: SCRYPT_N,   // 2^14, ~16 MiB
+  strong: 131072,       // 2^17, ~128 MiB
+  maximum: MAX_SCRYPT_N // 2^20, ~1 GiB
+};
+const DEFAULT_TARGET_UNLOCK_MS = 1000;
+
 export class CryptoUtils {
-  static async deriveKey(password, salt) {
+  static get defaultScryptParams() {
+    return { N: SCRYPT_N, r: SCRYPT_R, p: SCRYPT_P };
+  }
+
+  static validateScryptParams({ N, r, p }) {
+    if (!Number.isInteger(N) || N < MIN_SCRYPT_N || N > MAX_SCRYPT_N || (N & (N - 1)) !== 0) {
+      throw new Error(`Invalid scrypt N: ${N} (must be a power of 2 between ${MIN_SCRYPT_N} and ${MAX_SCRYPT_N})`);
+    }
+    if (!Number.isInteger(r) || r < 1 || r > MAX_SCRYPT_R) {
+      throw new Error(`Invalid scrypt r: ${r}`);
+    }
+    if (!Number.isInteger(p) || p < 1 || p > MAX_SCRYPT_P) {
+      throw new Error(`Invalid scrypt p: ${p}`);
+    }
+  }
+
+  static async deriveKey(password, salt, params = this.defaultScryptParams) {
+    const { N, r, p } = params;
+    this.validateScryptParams({ N, r, p });
+
     return new Promise((resolve, reject) => {
       crypto.scrypt(password, salt, KEY_LENGTH, {
-        N: SCRYPT_N,
-        r: SCRYPT_R,
-        p: SCRYPT_P,
-        maxmem: 256 * 1024 * 1024
+        N,
+        r,
+        p,
+        // scrypt needs 128 * N * r bytes; leave headroom on top of that
+        maxmem: Math.max(256 * 1024 * 1024, 256 * N * r)
       }, (err, derivedKey) => {
         if (err) reject(err);
         else resolve(derivedKey);
@@ -25,10 +60,53 @@ export class CryptoUtils {
     });
   }
 
-  static async encrypt(data, password) {
+  // Pick the largest N (power of 2) whose key derivation stays under targetMs on this machine
+  static async calibrateScrypt(targetMs = DEFAULT_TARGET_UNLOCK_MS) {
+    const salt = crypto.randomBytes(SALT_LENGTH);
+    const baseParams = this.defaultScryptParams;
+
+    const start = process.hrtime.bigint();
+    await this.deriveKey('calibration', salt, baseParams);
+    const baseMs = Number(process.hrtime.bigint() - start) / 1e6;
+
+    // scrypt cost grows linearly with N
+    let N = baseParams.N;
+    while (N < MAX_SCRYPT_N && baseMs * ((N * 2) / baseParams.N) <= targetMs) {
+      N *= 2;
+    }
+
+    return {
+      ...baseParams,
+      N,
+      estimatedMs: Math.round(baseMs * (N / baseParams.N))
+    };
+  }
+
+  // Turn the security.kdf config section into concrete scrypt parameters
+  static async resolveScryptParams(kdfSettings = {}) {
+    const strength = kdfSettings.strength || 'standard';
+
+    if (strength === 'calibrate') {
+      const { N, r, p } = await this.calibrateScrypt(
+        kdfSettings.targetUnlockMs || DEFAULT_TARGET_UNLOCK_MS
+      );
+      return { N, r, p };
+    }
+
+    if (!(strength in KDF_STRENGTHS)) {
+      throw new Error(
+        `Unknown KDF strength: ${strength} (use ${[...Object.keys(KDF_STRENGTHS), 'calibrate'].join(', ')})`
+      );
+    }
+
+    return { ...this.defaultScryptParams, N: KDF_STRENGTHS[strength] };
+  }
+
+  static async encrypt(data, password, scryptParams = this.defaultScryptParams) {
     const salt = crypto.randomBytes(SALT_LENGTH);
     const iv = crypto.randomBytes(IV_LENGTH);
-    const key = await this.deriveKey(password, salt);
+    const { N, r, p } = scryptParams;
+    const key = await this.deriveKey(password, salt, { N, r, p });
     
     const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
     
@@ -45,11 +123,7 @@ export class CryptoUtils {
       iv: iv.toString('hex'),
       authTag: authTag.toString('hex'),
       algorithm: ALGORITHM,
-      scrypt: {
-        N: SCRYPT_N,
-        r: SCRYPT_R,
-        p: SCRYPT_P
-      }
+      scrypt: { N, r, p }
     };
     
     return result;
@@ -61,7 +135,12 @@ export class CryptoUtils {
     const authTag = Buffer.from(encryptedData.authTag, 'hex');
     const encrypted = Buffer.from(encryptedData.encrypted, 'hex');
     
-    const key = await this.deriveKey(password, salt);
+    // Files written before the parameters were recorded used the defaults
+    const key = await this.deriveKey(
+      password,
+      salt,
+      encryptedData.scrypt || this.defaultScryptParams
+    );
     
     const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
     decipher.setAuthTag(authTag);
@@ -81,9 +160,9 @@ export class CryptoUtils {
     }
   }
 
-  static generateMnemonic() {
-    const entropy = crypto.randomBytes(16); // 128 bits for 12-word mnemonic
-    return { entropy: entropy.toString('hex') };
+  // options: { words: 12|15|18|21|24, language: 'en' | 'ja' | ... }
+  static generateMnemonic(options = {}) {
+    return MnemonicUtils.generate(options);
   }
 
   static clearSensitiveData(obj) {
@@ -0,0 +1,87 @@
+import { ethers } from 'ethers';
+import { MnemonicUtils } from './mnemonic.js';
+
+export const DEFAULT_DERIVATION_PATH = "m/44'/60'/0'/0/{index}";
+
+// Path templates used by common wallets; {index} is the account number
+export const DERIVATION_TEMPLATES = {
+  bip44: {
+    name: 'BIP-44 (MetaMask, Trezor, Ledger Ethereum app)',
+    template: DEFAULT_DERIVATION_PATH
+  },
+  'ledger-live': {
+    name: 'Ledger Live',
+    template: "m/44'/60'/{index}'/0/0"
+  },
+  legacy: {
+    name: 'Legacy (MyEtherWallet, Ledger Chrome app)',
+    template: "m/44'/60'/0'/{index}"
+  }
+};
+
+const PATH_PATTERN = /^m(\/\d+'?)+$/;
+const MAX_PATH_INDEX = 0x7fffffff;
+
+export class DerivationPaths {
+  // Accepts a template name ("ledger-live") or a path/template string
+  static resolve(pathOrName = null) {
+    if (!pathOrName) {
+      return DEFAULT_DERIVATION_PATH;
+    }
+
+    const known = DERIVATION_TEMPLATES[pathOrName];
+    const template = known ? known.template : pathOrName.trim();
+    this.validate(template);
+    return template;
+  }
+
+  static validate(template) {
+    if ((template.match(/\{index\}/g) || []).length > 1) {
+      throw new Error(`Invalid derivation path ${template}: {index} may only appear once`);
+    }
+
+    const path = template.replace('{index}', '0');
+    if (!PATH_PATTERN.test(path)) {
+      throw new Error(`Invalid derivation path ${template} (expected e.g. m/44'/60'/0'/0/{index})`);
+    }
+
+    for (const segment of path.split('/').slice(1)) {
+      if (parseInt(segment, 10) > MAX_PATH_INDEX) {
+        throw new Error(`Invalid derivation path ${template}: index out of range`);
+      }
+    }
+  }
+
+  // A template without {index} is a single fixed path
+  static isTemplate(template) {
+    return template.includes('{index}');
+  }
+
+  static pathFor(template, index) {
+    return template.replace('{index}', String(index));
+  }
+
+  // Account index of a path derived from the template, or null if it wasn't
+  static indexOf(template, path) {
+    if (!path || !this.isTemplate(template)) {
+      return null;
+    }
+    const [prefix, suffix] = template.split('{index}');
+    if (!path.startsWith(prefix) || !path.endsWith(suffix)) {
+      return null;
+    }
+    const index = path.slice(prefix.length, path.length - suffix.length);
+    return /^\d+$/.test(index) ? Number(index) : null;
+  }
+
+  // Name of a known template, or null for custom paths
+  static nameOf(template) {
+    const entry = Object.entries(DERIVATION_TEMPLATES).find(([, t]) => t.template === template);
+    return entry ? entry[0] : null;
+  }
+
+  // Derive many paths without recomputing the seed each time
+  static rootFromMnemonic(phrase, passphrase = '') {
+    return ethers.HDNodeWallet.fromMnemonic(MnemonicUtils.toMnemonic(phrase, passphrase), 'm');
+  }
+}
@@ -0,0 +1,56 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import crypto from 'node:crypto';
+
+export class FileUtils {
+  // Write a file so readers only ever see the old or the new contents:
+  // temp file in the same directory, fsync, rename over the target, fsync dir
+  static async writeAtomic(filePath, data, options = {}) {
+    const dir = path.dirname(filePath);
+    const tmpPath = path.join(
+      dir,
+      `.${path.basename(filePath)}.${crypto.randomUUID()}.tmp`
+    );
+
+    const handle = await fs.open(tmpPath, 'w', options.mode ?? 0o600);
+    try {
+      await handle.writeFile(data, options.encoding ?? 'utf8');
+      await handle.sync();
+    } catch (err) {
+      await handle.close();
+      await fs.unlink(tmpPath).catch(() => {});
+      throw err;
+    }
+    await handle.close();
+
+    try {
+      await fs.rename(tmpPath, filePath);
+    } catch (err) {
+      await fs.unlink(tmpPath).catch(() => {});
+      throw err;
+    }
+
+    await this.syncDirectory(dir);
+  }
+
+  static async syncDirectory(dir) {
+    let handle;
+    try {
+      handle = await fs.open(dir, 'r');
+      await handle.sync();
+    } catch (err) {
+      // Some platforms/filesystems don't support fsync on directories
+    } finally {
+      await handle?.close();
+    }
+  }
+
+  static async exists(filePath) {
+    try {
+      await fs.access(filePath);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+}
@@ -0,0 +1,159 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import crypto from 'node:crypto';
+import { execFile } from 'node:child_process';
+import { FileUtils } from './file-utils.js';
+
+const TOKEN_BYTES = 32;
+const PEER_LOOKUP_TIMEOUT_MS = 2000;
+
+// Who may talk to the daemon socket: the socket lives in a directory only its
+// owner can change, is itself owner-only, and each connection is checked for
+// the peer's uid and, when configured, a capability token
+export class IPCAuth {
+  // Why peers can't be looked up on this machine (no `ss`, no /proc), once
+  // that is known; later connections then skip the lookup instead of
+  // spawning `ss` again
+  static peerLookupUnavailable = null;
+
+  // Creates the directory 0700, or checks an existing one: it must belong to
+  // us, and write access for group and others is removed
+  static async ensurePrivateDirectory(dir) {
+    await fs.mkdir(dir, { recursive: true, mode: 0o700 });
+
+    const stat = await fs.stat(dir);
+    if (!stat.isDirectory()) {
+      throw new Error(`${dir} is not a directory`);
+    }
+    if (stat.uid !== process.getuid()) {
+      throw new Error(`${dir} belongs to uid ${stat.uid}, not to this user (uid ${process.getuid()}) - refusing to put the daemon socket there`);
+    }
+    if (stat.mode & 0o022) {
+      await fs.chmod(dir, stat.mode & 0o755);
+      return { tightened: true, mode: stat.mode & 0o777 };
+    }
+    return { tightened: false, mode: stat.mode & 0o777 };
+  }
+
+  // The per-install token, created on first use
+  static async loadOrCreateToken(tokenFile) {
+    const existing = await this.readToken(tokenFile);
+    if (existing) {
+      return existing;
+    }
+
+    const token = crypto.randomBytes(TOKEN_BYTES).toString('hex');
+    await FileUtils.writeAtomic(tokenFile, `${token}\n`, { mode: 0o600 });
+    return token;
+  }
+
+  // null when there is no token file; refuses a file other users can read
+  static async readToken(tokenFile) {
+    let stat;
+    try {
+      stat = await fs.stat(tokenFile);
+    } catch (err) {
+      if (err.code === 'ENOENT') {
+        return null;
+      }
+      throw err;
+    }
+
+    if (stat.uid !== process.getuid() || (stat.mode & 0o077)) {
+      throw new Error(`IPC token file ${tokenFile} must belong to this user with mode 0600 (chmod 600 ${tokenFile})`);
+    }
+
+    const token = (await fs.readFile(tokenFile, 'utf8')).trim();
+    return token || null;
+  }
+
+  static tokensMatch(expected, given) {
+    if (typeof given !== 'string') {
+      return false;
+    }
+    // Compare digests so neither the length nor the content leaks through timing
+    const a = crypto.createHash('sha256').update(expected).digest();
+    const b = crypto.createHash('sha256').update(given).digest();
+    return crypto.timingSafeEqual(a, b);
+  }
+
+  // { pid, uid } of the process at the other end of an accepted unix socket.
+  // Node has no SO_PEERCRED, so on Linux the peer is found with `ss`; null
+  // where that isn't possible, leaving the socket permissions as the guard.
+  // uid is null when the peer process is not visible to us, i.e. it belongs
+  // to another user.
+  static async peerCredentials(socket) {
+    if (process.platform !== 'linux' || socket._handle?.fd === undefined || this.peerLookupUnavailable) {
+      return null;
+    }
+
+    let localInode;
+    let table;
+    try {
+      const link = await fs.readlink(`/proc/self/fd/${socket._handle.fd}`);
+      localInode = link.match(/^socket:\[(\d+)\]$/)?.[1];
+      if (!localInode) {
+        return null;
+      }
+      table = await this._unixSocketTable();
+    } catch (err) {
+      // A timeout may pass; a missing or failing `ss` or /proc won't
+      if (!err.killed) {
+        this.peerLookupUnavailable = err.code === 'ENOENT' && err.path === 'ss'
+          ? '`ss` is not installed'
+          : err.message.split('\n')[0];
+      }
+      return null;
+    }
+
+    try {
+      const peerInode = table.get(localInode)?.peerInode;
+      const peer = peerInode ? table.get(peerInode) : null;
+      if (!peer) {
+        return null;
+      }
+      if (!peer.pid) {
+        return { pid: null, uid: null };
+      }
+
+      const status = await fs.readFile(`/proc/${peer.pid}/status`, 'utf8');
+      const uid = status.match(/^Uid:\s+(\d+)/m)?.[1];
+      return { pid: peer.pid, uid: uid === undefined ? null : Number(uid) };
+    } catch (err) {
+      // The peer exited before its /proc entry was read
+      return null;
+    }
+  }
+
+  // inode -> { peerInode, pid } for every connected unix stream socket
+  static async _unixSocketTable() {
+    const output = await new Promise((resolve, reject) => {
+      execFile('ss', ['-xpnH'], { timeout: PEER_LOOKUP_TIMEOUT_MS }, (err, stdout) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(stdout);
+        }
+      });
+    });
+
+    const table = new Map();
+    for (const line of output.split('\n')) {
+      // u_str ESTAB 0 0 <path|*> <inode> <path|*> <peer inode> [users:(("name",pid=N,fd=N))]
+      // Matched from the end, since the local path may contain spaces
+      const match = line.match(/\s(\d+)\s+\S+\s+(\d+)(\s+users:\(.*\))?\s*$/);
+      if (!line.startsWith('u_str') || !match) {
+        continue;
+      }
+      table.set(match[1], {
+        peerInode: match[2],
+        pid: Number(match[3]?.match(/pid=(\d+)/)?.[1]) || null
+      });
+    }
+    return table;
+  }
+
+  static socketDirectory(socketPath) {
+    return path.dirname(path.resolve(socketPath));
+  }
+}
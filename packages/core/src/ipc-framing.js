@@ -0,0 +1,70 @@
+import { Buffer } from 'node:buffer';
+
+// CLI <-> daemon messages are framed like Chrome native messaging: a 4-byte
+// little-endian length, then that many bytes of UTF-8 JSON
+export const IPC_FRAME_HEADER_SIZE = 4;
+export const IPC_MAX_MESSAGE_SIZE = 1024 * 1024;
+
+export class IPCFraming {
+  static encode(json, maxMessageSize = IPC_MAX_MESSAGE_SIZE) {
+    const payload = Buffer.from(json, 'utf8');
+    if (payload.length > maxMessageSize) {
+      throw new Error(`IPC message of ${payload.length} bytes exceeds the ${maxMessageSize}-byte limit`);
+    }
+
+    const header = Buffer.alloc(IPC_FRAME_HEADER_SIZE);
+    header.writeUInt32LE(payload.length, 0);
+    return Buffer.concat([header, payload]);
+  }
+}
+
+// Collects the chunks of one connection and hands out whole messages, however
+// the writes were split or coalesced on the way
+export class IPCFrameDecoder {
+  constructor(options = {}) {
+    this.maxMessageSize = options.maxMessageSize ?? IPC_MAX_MESSAGE_SIZE;
+    this.buffer = Buffer.alloc(0);
+  }
+
+  // Returns the JSON payloads this chunk completes. Throws on a bad frame;
+  // the stream can't be resynchronised after that, so drop the connection.
+  push(chunk) {
+    this.buffer = this.buffer.length === 0 ? chunk : Buffer.concat([this.buffer, chunk]);
+
+    const payloads = [];
+    while (this.buffer.length >= IPC_FRAME_HEADER_SIZE) {
+      const length = this.buffer.readUInt32LE(0);
+      this._checkLength(length);
+
+      const end = IPC_FRAME_HEADER_SIZE + length;
+      if (this.buffer.length < end) {
+        break;
+      }
+      payloads.push(this.buffer.toString('utf8', IPC_FRAME_HEADER_SIZE, end));
+      this.buffer = this.buffer.subarray(end);
+    }
+    return payloads;
+  }
+
+  // Bytes of an unfinished message, e.g. when the peer hangs up mid-frame
+  get pendingBytes() {
+    return this.buffer.length;
+  }
+
+  _checkLength(length) {
+    let error = null;
+    if (length === 0) {
+      error = 'Empty IPC frame';
+    } else if (length > this.maxMessageSize) {
+      // '{"' read as a length: a peer from before framing writing bare JSON
+      error = this.buffer[0] === 0x7b && this.buffer[1] === 0x22
+        ? 'Received unframed JSON - the other side uses an older IPC protocol; restart the daemon after upgrading'
+        : `IPC frame of ${length} bytes exceeds the ${this.maxMessageSize}-byte limit`;
+    }
+
+    if (error) {
+      this.buffer = Buffer.alloc(0);
+      throw new Error(error);
+    }
+  }
+}
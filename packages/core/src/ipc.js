@@ -1,32 +1,142 @@
 import net from 'node:net';
+import crypto from 'node:crypto';
 import fs from 'node:fs/promises';
 import { EventEmitter } from 'node:events';
+import { ethers } from 'ethers';
+import { IPCFraming, IPCFrameDecoder, IPC_MAX_MESSAGE_SIZE } from './ipc-framing.js';
+import { IPCAuth } from './ipc-auth.js';
+
+// Raised when messages change in a way the other side must know about; the
+// daemon announces its version in the hello response. Messages without a
+// version come from protocol 1, before the handshake existed.
+export const IPC_PROTOCOL_VERSION = 2;
 
 export const IPC_MESSAGE_TYPES = {
   // CLI → Daemon
+  HELLO: 'hello',
+  AUTHENTICATE: 'authenticate',
   UNLOCK_KEYSTORE: 'unlock_keystore',
   LOCK_KEYSTORE: 'lock_keystore',
+  OPEN_HIDDEN_WALLET: 'open_hidden_wallet',
   GET_STATUS: 'get_status',
   SHUTDOWN: 'shutdown',
+
+  // Account management, performed by the unlocked daemon
+  CREATE_ACCOUNT: 'create_account',
+  SET_ACCOUNT_LABEL: 'set_account_label',
+  HIDE_ACCOUNT: 'hide_account',
+  SHOW_ACCOUNT: 'show_account',
+  SET_ACCOUNT_TAGS: 'set_account_tags',
+  MOVE_ACCOUNT: 'move_account',
+  REMOVE_ACCOUNT: 'remove_account',
+  IMPORT_PRIVATE_KEY: 'import_private_key',
+  ADD_WATCH_ACCOUNT: 'add_watch_account',
+  CHANGE_PASSWORD: 'change_password',
+  LIST_ACCOUNT_DETAILS: 'list_account_details',
+
+  // Signing for local scripts, approved in the daemon's terminal
+  SIGN_TRANSACTION: 'sign_transaction',
+  SIGN_MESSAGE: 'sign_message',
+
+  // Live daemon events for `daemon watch`
+  SUBSCRIBE: 'subscribe',
   
   // Daemon → CLI
+  HELLO_RESPONSE: 'hello_response',
+  AUTH_RESPONSE: 'auth_response',
   STATUS_RESPONSE: 'status_response',
   UNLOCK_RESPONSE: 'unlock_response',
+  HIDDEN_WALLET_RESPONSE: 'hidden_wallet_response',
+  ACCOUNT_RESPONSE: 'account_response',
+  ACCOUNT_DETAILS_RESPONSE: 'account_details_response',
+  SIGN_RESPONSE: 'sign_response',
+  SUBSCRIBE_RESPONSE: 'subscribe_response',
+  EVENT: 'event',
+  ERROR: 'error'
+};
+
+// What a subscribed client is told about, as data.event of an EVENT message
+export const IPC_EVENTS = {
+  STATE_CHANGED: 'state_changed',
+  KEYSTORE_LOADED: 'keystore_loaded',
+  KEYSTORE_CHANGED: 'keystore_changed',
+  VAULT_UNLOCKED: 'vault_unlocked',
+  VAULT_LOCKED: 'vault_locked',
+  SESSION_ADDED: 'session_added',
+  SESSION_REMOVED: 'session_removed',
+  APPROVAL_REQUESTED: 'approval_requested',
+  APPROVAL_RESOLVED: 'approval_resolved',
+  SIGNING_RESULT: 'signing_result',
   ERROR: 'error'
 };
 
+// Requests a daemon may handle; the CLI compares them with the daemon's hello
+export const IPC_REQUEST_TYPES = [
+  IPC_MESSAGE_TYPES.GET_STATUS,
+  IPC_MESSAGE_TYPES.UNLOCK_KEYSTORE,
+  IPC_MESSAGE_TYPES.LOCK_KEYSTORE,
+  IPC_MESSAGE_TYPES.OPEN_HIDDEN_WALLET,
+  IPC_MESSAGE_TYPES.CREATE_ACCOUNT,
+  IPC_MESSAGE_TYPES.SET_ACCOUNT_LABEL,
+  IPC_MESSAGE_TYPES.HIDE_ACCOUNT,
+  IPC_MESSAGE_TYPES.SHOW_ACCOUNT,
+  IPC_MESSAGE_TYPES.SET_ACCOUNT_TAGS,
+  IPC_MESSAGE_TYPES.MOVE_ACCOUNT,
+  IPC_MESSAGE_TYPES.REMOVE_ACCOUNT,
+  IPC_MESSAGE_TYPES.IMPORT_PRIVATE_KEY,
+  IPC_MESSAGE_TYPES.ADD_WATCH_ACCOUNT,
+  IPC_MESSAGE_TYPES.CHANGE_PASSWORD,
+  IPC_MESSAGE_TYPES.LIST_ACCOUNT_DETAILS,
+  IPC_MESSAGE_TYPES.SIGN_TRANSACTION,
+  IPC_MESSAGE_TYPES.SIGN_MESSAGE,
+  IPC_MESSAGE_TYPES.SUBSCRIBE,
+  IPC_MESSAGE_TYPES.SHUTDOWN
+];
+
+// What a daemon without the handshake is assumed to handle
+const PROTOCOL_1_TYPES = [
+  IPC_MESSAGE_TYPES.GET_STATUS,
+  IPC_MESSAGE_TYPES.UNLOCK_KEYSTORE,
+  IPC_MESSAGE_TYPES.LOCK_KEYSTORE,
+  IPC_MESSAGE_TYPES.OPEN_HIDDEN_WALLET,
+  IPC_MESSAGE_TYPES.SHUTDOWN
+];
+
+const REQUEST_TIMEOUT_MS = 5000;
+// Signing waits for someone to answer the approval prompt
+const APPROVAL_TIMEOUT_MS = 5 * 60 * 1000;
+
+// The daemon is running but won't talk to us; callers tell this apart from
+// a daemon that is not running by err.code
+function rejectionError(message) {
+  const err = new Error(message);
+  err.code = 'IPC_REJECTED';
+  return err;
+}
+
 export class IPCMessage {
   constructor(type, data = {}) {
     this.id = crypto.randomUUID();
     this.type = type;
     this.data = data;
+    this.version = IPC_PROTOCOL_VERSION;
     this.timestamp = Date.now();
   }
 
   static fromJSON(json) {
-    const obj = JSON.parse(json);
+    let obj;
+    try {
+      obj = JSON.parse(json);
+    } catch (err) {
+      throw new Error(`IPC message is not valid JSON: ${err.message}`);
+    }
+    if (!obj || typeof obj.type !== 'string') {
+      throw new Error('IPC message has no type');
+    }
+
     const msg = new IPCMessage(obj.type, obj.data);
     msg.id = obj.id;
+    msg.version = obj.version ?? 1;
     msg.timestamp = obj.timestamp;
     return msg;
   }
@@ -36,17 +146,25 @@ export class IPCMessage {
       id: this.id,
       type: this.type,
       data: this.data,
+      version: this.version,
       timestamp: this.timestamp
     });
   }
 }
 
 export class IPCServer extends EventEmitter {
-  constructor(socketPath) {
+  constructor(socketPath, options = {}) {
     super();
     this.socketPath = socketPath;
+    this.maxMessageSize = options.maxMessageSize ?? IPC_MAX_MESSAGE_SIZE;
+    this.checkPeer = options.checkPeer ?? true;
+    this.token = options.token ?? null; // Capability token clients must send first
+    this._peerLookupWarned = false;
+    this.version = options.version ?? null; // Announced in the hello response
+    this.supportedTypes = options.supportedTypes ?? [];
     this.server = null;
     this.clients = new Set();
+    this.subscribers = new Map(); // socket -> Set of event names, null for all
   }
 
   async start() {
@@ -61,48 +179,158 @@ export class IPCServer extends EventEmitter {
       }
     }
 
+    // Only our user may reach the socket: a private directory, then a 0600 socket
+    const directory = IPCAuth.socketDirectory(this.socketPath);
+    const { tightened, mode } = await IPCAuth.ensurePrivateDirectory(directory);
+    if (tightened) {
+      console.log(`🔒 Removed group/other write access from ${directory} (was ${mode.toString(8)})`);
+    }
+
     this.server = net.createServer();
     
     this.server.on('connection', (socket) => {
-      this.clients.add(socket);
-      
-      socket.on('data', (data) => {
-        try {
-          const message = IPCMessage.fromJSON(data.toString());
-          this.emit('message', message, socket);
-        } catch (err) {
-          this.emit('error', err);
-        }
-      });
-
-      socket.on('close', () => {
-        this.clients.delete(socket);
-      });
-
-      socket.on('error', (err) => {
+      this._accept(socket).catch((err) => {
         this.emit('error', err);
-        this.clients.delete(socket);
+        socket.destroy();
       });
     });
 
-    return new Promise((resolve, reject) => {
+    await new Promise((resolve, reject) => {
       this.server.on('error', (err) => {
         console.error('IPC Server error:', err);
         reject(err);
       });
       
-      this.server.listen(this.socketPath, (err) => {
-        if (err) {
-          console.error('Failed to listen on socket:', err);
-          reject(err);
-        } else {
-          console.log('📡 IPC server listening on:', this.socketPath);
-          resolve();
+      // The socket file is created by listen(); the umask keeps it owner-only from the start
+      const umask = process.umask(0o177);
+      try {
+        this.server.listen(this.socketPath, (err) => {
+          if (err) {
+            console.error('Failed to listen on socket:', err);
+            reject(err);
+          } else {
+            console.log('📡 IPC server listening on:', this.socketPath);
+            resolve();
+          }
+        });
+      } finally {
+        process.umask(umask);
+      }
+    });
+    await fs.chmod(this.socketPath, 0o600);
+  }
+
+  // The peer is checked before anything it sends is read
+  async _accept(socket) {
+    socket.on('error', (err) => {
+      this.emit('error', err);
+      this.clients.delete(socket);
+      this.subscribers.delete(socket);
+    });
+
+    const peer = this.checkPeer ? await IPCAuth.peerCredentials(socket) : null;
+    if (this.checkPeer && IPCAuth.peerLookupUnavailable && !this._peerLookupWarned) {
+      this._peerLookupWarned = true;
+      const guards = this.token ? 'the socket\'s 0600 mode and the token' : 'the socket\'s 0600 mode';
+      console.warn(`Warning: IPC peer check unavailable (${IPCAuth.peerLookupUnavailable}); only ${guards} protect the daemon`);
+    }
+    if (peer && peer.uid === null) {
+      this._reject(socket, 'peer process is not visible to the daemon (another user?)', peer);
+      return;
+    }
+    if (peer && peer.uid !== process.getuid()) {
+      this._reject(socket, `peer uid ${peer.uid} is not the daemon owner (uid ${process.getuid()})`, peer);
+      return;
+    }
+
+    this.clients.add(socket);
+    const decoder = new IPCFrameDecoder({ maxMessageSize: this.maxMessageSize });
+    let authenticated = !this.token;
+    let rejected = false;
+    
+    socket.on('data', (data) => {
+      if (rejected) {
+        return;
+      }
+
+      let payloads;
+      try {
+        payloads = decoder.push(data);
+      } catch (err) {
+        // Out of step with the client after a bad frame: say why and hang up
+        rejected = true;
+        this._reject(socket, err.message, peer);
+        return;
+      }
+
+      for (const payload of payloads) {
+        let message;
+        try {
+          message = IPCMessage.fromJSON(payload);
+        } catch (err) {
+          // The frame itself was fine, so the connection can stay
+          this.emit('error', err);
+          this.sendToClient(socket, new IPCMessage(IPC_MESSAGE_TYPES.ERROR, { message: err.message }));
+          continue;
         }
-      });
+
+        if (message.type === IPC_MESSAGE_TYPES.AUTHENTICATE) {
+          if (!authenticated && !IPCAuth.tokensMatch(this.token, message.data?.token)) {
+            rejected = true;
+            this._reject(socket, 'wrong IPC token', peer, message.id);
+            return;
+          }
+          authenticated = true;
+          const response = new IPCMessage(IPC_MESSAGE_TYPES.AUTH_RESPONSE, { success: true });
+          response.id = message.id;
+          this.sendToClient(socket, response);
+          continue;
+        }
+
+        if (!authenticated) {
+          rejected = true;
+          this._reject(socket, 'no IPC token sent - the daemon requires one', peer, message.id);
+          return;
+        }
+
+        if (message.type === IPC_MESSAGE_TYPES.HELLO) {
+          const response = new IPCMessage(IPC_MESSAGE_TYPES.HELLO_RESPONSE, {
+            version: this.version,
+            protocolVersion: IPC_PROTOCOL_VERSION,
+            supportedTypes: this.supportedTypes
+          });
+          response.id = message.id;
+          this.sendToClient(socket, response);
+          continue;
+        }
+        this.emit('message', message, socket);
+      }
+    });
+
+    socket.on('close', () => {
+      if (decoder.pendingBytes > 0 && !rejected) {
+        this.emit('error', new Error(`IPC client disconnected in the middle of a message (${decoder.pendingBytes} bytes received)`));
+      }
+      this.clients.delete(socket);
+      this.subscribers.delete(socket);
     });
   }
 
+  // Tells the client why, if it is still listening, and hangs up
+  _reject(socket, reason, peer = null, replyTo = null) {
+    this.emit('rejected', { reason, pid: peer?.pid ?? null, uid: peer?.uid ?? null });
+
+    const response = new IPCMessage(IPC_MESSAGE_TYPES.ERROR, {
+      message: `Connection rejected: ${reason}`,
+      rejected: true
+    });
+    if (replyTo) {
+      response.id = replyTo;
+    }
+    this.sendToClient(socket, response);
+    socket.end();
+  }
+
   async stop() {
     if (this.server) {
       // Close all client connections
@@ -110,6 +338,7 @@ export class IPCServer extends EventEmitter {
         client.end();
       }
       this.clients.clear();
+      this.subscribers.clear();
 
       // Close server
       return new Promise((resolve) => {
@@ -123,29 +352,123 @@ export class IPCServer extends EventEmitter {
 
   sendToClient(socket, message) {
     if (socket && !socket.destroyed) {
-      socket.write(message.toJSON());
+      socket.write(IPCFraming.encode(message.toJSON(), this.maxMessageSize));
     }
   }
 
-  broadcast(message) {
-    for (const client of this.clients) {
+  broadcast(message, clients = this.clients) {
+    for (const client of clients) {
       this.sendToClient(client, message);
     }
   }
+
+  // The socket receives published events until it disconnects
+  subscribe(socket, events = null) {
+    this.subscribers.set(socket, events ? new Set(events) : null);
+  }
+
+  // Pushes an event to the clients that subscribed to it. Never throws, so
+  // publishing can't break the daemon code it reports on.
+  publish(event, data = {}) {
+    const clients = [...this.subscribers]
+      .filter(([, events]) => !events || events.has(event))
+      .map(([socket]) => socket);
+    if (clients.length === 0) {
+      return;
+    }
+
+    try {
+      this.broadcast(new IPCMessage(IPC_MESSAGE_TYPES.EVENT, { event, data }), clients);
+    } catch (err) {
+      this.emit('error', new Error(`Could not publish ${event}: ${err.message}`));
+    }
+  }
 }
 
 export class IPCClient extends EventEmitter {
-  constructor(socketPath) {
+  constructor(socketPath, options = {}) {
     super();
     this.socketPath = socketPath;
+    this.maxMessageSize = options.maxMessageSize ?? IPC_MAX_MESSAGE_SIZE;
+    this.token = options.token ?? null;
+    this.tokenFile = options.tokenFile ?? null; // Read at connect when no token is given
+    this.daemon = null; // { version, protocolVersion, supportedTypes } from the hello
     this.socket = null;
     this.connected = false;
     this.pendingResponses = new Map();
   }
 
+  // Client for the daemon of this config, with its token file
+  static fromConfig(config, options = {}) {
+    return new IPCClient(config.getDaemonSocket(), {
+      tokenFile: config.getDaemonTokenFile(),
+      ...options
+    });
+  }
+
   async connect() {
+    let token = this.token;
+    if (!token && this.tokenFile) {
+      try {
+        token = await IPCAuth.readToken(this.tokenFile);
+      } catch (err) {
+        throw rejectionError(err.message);
+      }
+    }
+    await this._connectSocket();
+
+    // The token goes first; the daemon accepts nothing else before it
+    if (token) {
+      try {
+        const response = await this.send(new IPCMessage(IPC_MESSAGE_TYPES.AUTHENTICATE, { token }), true);
+        if (response.type !== IPC_MESSAGE_TYPES.AUTH_RESPONSE) {
+          throw rejectionError('Daemon refused the IPC token');
+        }
+      } catch (err) {
+        this.disconnect();
+        throw err;
+      }
+    }
+
+    try {
+      await this._hello();
+    } catch (err) {
+      this.disconnect();
+      throw err;
+    }
+  }
+
+  // Learns what the daemon speaks. One from before the handshake answers with
+  // an error and is taken to handle only the protocol 1 requests.
+  async _hello() {
+    const response = await this.send(new IPCMessage(IPC_MESSAGE_TYPES.HELLO, {
+      protocolVersion: IPC_PROTOCOL_VERSION
+    }), true);
+
+    this.daemon = response.type === IPC_MESSAGE_TYPES.HELLO_RESPONSE
+      ? response.data
+      : { version: null, protocolVersion: 1, supportedTypes: PROTOCOL_1_TYPES };
+  }
+
+  supports(type) {
+    return this.daemon?.supportedTypes?.includes(type) ?? false;
+  }
+
+  // null when both sides speak the same protocol, otherwise what to do about it
+  protocolMismatch() {
+    const theirs = this.daemon?.protocolVersion;
+    if (!theirs || theirs === IPC_PROTOCOL_VERSION) {
+      return null;
+    }
+    return theirs < IPC_PROTOCOL_VERSION
+      ? `The running daemon speaks IPC protocol ${theirs}, this CLI ${IPC_PROTOCOL_VERSION} - restart the daemon to load the installed version`
+      : `The running daemon speaks IPC protocol ${theirs}, newer than this CLI (${IPC_PROTOCOL_VERSION}) - upgrade the CLI`;
+  }
+
+  async _connectSocket() {
     return new Promise((resolve, reject) => {
       this.socket = net.createConnection(this.socketPath);
+      const decoder = new IPCFrameDecoder({ maxMessageSize: this.maxMessageSize });
       
       let resolved = false;
 
@@ -167,21 +490,45 @@ export class IPCClient extends EventEmitter {
       });
 
       this.socket.on('data', (data) => {
+        let payloads;
         try {
-          const message = IPCMessage.fromJSON(data.toString());
-          
-          // Check if this is a response to a pending request
-          if (this.pendingResponses.has(message.id)) {
-            const { resolve: resolvePending } = this.pendingResponses.get(message.id);
-            this.pendingResponses.delete(message.id);
-            resolvePending(message);
-          } else {
-            this.emit('message', message);
-          }
+          payloads = decoder.push(data);
         } catch (err) {
-          // Only emit error if we have listeners to prevent unhandled errors
-          if (this.listenerCount('error') > 0) {
-            this.emit('error', err);
+          // Pending requests fail with the framing error
+          for (const [id, { reject: rejectPending, timer }] of this.pendingResponses) {
+            clearTimeout(timer);
+            rejectPending(err);
+          }
+          this.pendingResponses.clear();
+          this.socket.destroy();
+          return;
+        }
+
+        for (const payload of payloads) {
+          try {
+            const message = IPCMessage.fromJSON(payload);
+            
+            // Check if this is a response to a pending request
+            if (this.pendingResponses.has(message.id)) {
+              const { resolve: resolvePending, reject: rejectPending, timer } = this.pendingResponses.get(message.id);
+              clearTimeout(timer);
+              this.pendingResponses.delete(message.id);
+              // The daemon hangs up after rejecting a connection
+              if (message.data?.rejected) {
+                rejectPending(rejectionError(message.data.message));
+              } else {
+                resolvePending(message);
+              }
+            } else if (message.type === IPC_MESSAGE_TYPES.EVENT) {
+              this.emit('event', { ...message.data, timestamp: message.timestamp });
+            } else {
+              this.emit('message', message);
+            }
+          } catch (err) {
+            // Only emit error if we have listeners to prevent unhandled errors
+            if (this.listenerCount('error') > 0) {
+              this.emit('error', err);
+            }
           }
         }
       });
@@ -191,7 +538,8 @@ export class IPCClient extends EventEmitter {
         this.emit('disconnect');
         
         // Reject pending responses
-        for (const [id, { reject: rejectPending }] of this.pendingResponses) {
+        for (const [id, { reject: rejectPending, timer }] of this.pendingResponses) {
+          clearTimeout(timer);
           rejectPending(new Error('Connection closed'));
         }
         this.pendingResponses.clear();
@@ -207,7 +555,8 @@ export class IPCClient extends EventEmitter {
           }
           
           // Reject pending responses
-          for (const [id, { reject: rejectPending }] of this.pendingResponses) {
+          for (const [id, { reject: rejectPending, timer }] of this.pendingResponses) {
+            clearTimeout(timer);
             rejectPending(err);
           }
           this.pendingResponses.clear();
@@ -244,27 +593,29 @@ export class IPCClient extends EventEmitter {
     }
   }
 
-  async send(message, waitForResponse = false) {
+  async send(message, waitForResponse = false, timeout = REQUEST_TIMEOUT_MS) {
     if (!this.connected || !this.socket) {
       throw new Error('Not connected to daemon');
     }
 
+    // Throws before anything is written when the message is too large
+    const frame = IPCFraming.encode(message.toJSON(), this.maxMessageSize);
+
     if (waitForResponse) {
       return new Promise((resolve, reject) => {
-        this.pendingResponses.set(message.id, { resolve, reject });
-        
         // Set timeout
-        setTimeout(() => {
+        const timer = setTimeout(() => {
           if (this.pendingResponses.has(message.id)) {
             this.pendingResponses.delete(message.id);
             reject(new Error('IPC request timeout'));
           }
-        }, 5000);
+        }, timeout);
+        this.pendingResponses.set(message.id, { resolve, reject, timer });
 
-        this.socket.write(message.toJSON());
+        this.socket.write(frame);
       });
     } else {
-      this.socket.write(message.toJSON());
+      this.socket.write(frame);
     }
   }
 
@@ -274,17 +625,127 @@ export class IPCClient extends EventEmitter {
     return response.data;
   }
 
-  async requestUnlock(password) {
-    const message = new IPCMessage(IPC_MESSAGE_TYPES.UNLOCK_KEYSTORE, { password });
+  async requestUnlock(password, vault = null) {
+    const message = new IPCMessage(IPC_MESSAGE_TYPES.UNLOCK_KEYSTORE, { password, vault });
     const response = await this.send(message, true);
     return response.data;
   }
 
-  async requestLock() {
-    const message = new IPCMessage(IPC_MESSAGE_TYPES.LOCK_KEYSTORE);
+  async requestLock(vault = null) {
+    const message = new IPCMessage(IPC_MESSAGE_TYPES.LOCK_KEYSTORE, { vault });
     await this.send(message, false);
   }
 
+  async requestOpenHiddenWallet(passphrase, vault = null, count = 1) {
+    const message = new IPCMessage(IPC_MESSAGE_TYPES.OPEN_HIDDEN_WALLET, { passphrase, vault, count });
+    const response = await this.send(message, true);
+    return response.data;
+  }
+
+  // The account helpers resolve with the daemon's result and throw its error
+  async requestCreateAccount(options = {}) {
+    const { vault = null, derivationPath = null } = options;
+    return await this._request(IPC_MESSAGE_TYPES.CREATE_ACCOUNT, { vault, derivationPath });
+  }
+
+  async requestSetAccountLabel(address, label) {
+    return await this._request(IPC_MESSAGE_TYPES.SET_ACCOUNT_LABEL, { address, label });
+  }
+
+  async requestHideAccount(address) {
+    return await this._request(IPC_MESSAGE_TYPES.HIDE_ACCOUNT, { address });
+  }
+
+  async requestShowAccount(address) {
+    return await this._request(IPC_MESSAGE_TYPES.SHOW_ACCOUNT, { address });
+  }
+
+  async requestSetAccountTags(address, tags) {
+    return await this._request(IPC_MESSAGE_TYPES.SET_ACCOUNT_TAGS, { address, tags });
+  }
+
+  // position is 0-based; the account comes back with the new order
+  async requestMoveAccount(address, position) {
+    return await this._request(IPC_MESSAGE_TYPES.MOVE_ACCOUNT, { address, position });
+  }
+
+  async requestRemoveAccount(address) {
+    return await this._request(IPC_MESSAGE_TYPES.REMOVE_ACCOUNT, { address });
+  }
+
+  async requestImportPrivateKey(privateKey, options = {}) {
+    const { vault = null, label = null } = options;
+    return await this._request(IPC_MESSAGE_TYPES.IMPORT_PRIVATE_KEY, { privateKey, vault, label });
+  }
+
+  async requestAddWatchAccount(address, options = {}) {
+    const { vault = null, label = null } = options;
+    return await this._request(IPC_MESSAGE_TYPES.ADD_WATCH_ACCOUNT, { address, vault, label });
+  }
+
+  // The daemon re-encrypts the vault and keeps it unlocked under the new
+  // password; options.backups as for Keystore.changePassword
+  async requestChangePassword(oldPassword, newPassword, vault = null, options = {}) {
+    const { backups = 'keep' } = options;
+    return await this._request(IPC_MESSAGE_TYPES.CHANGE_PASSWORD, { oldPassword, newPassword, vault, backups });
+  }
+
+  // [{ vault, locked, accounts: [details] }]
+  async requestAccountDetails(options = {}) {
+    const { vault = null, includeHidden = false } = options;
+    const data = await this._request(IPC_MESSAGE_TYPES.LIST_ACCOUNT_DETAILS, { vault, includeHidden });
+    return data.vaults;
+  }
+
+  // Resolves with the signed, serialized transaction once it is approved in
+  // the daemon's terminal; the caller broadcasts it. Missing nonce, gas, fees
+  // and chain id are filled in by the daemon. A rejection throws with code 4001.
+  async signTransaction(transaction, address = transaction.from, options = {}) {
+    const { timeout = APPROVAL_TIMEOUT_MS } = options;
+    const data = await this._request(IPC_MESSAGE_TYPES.SIGN_TRANSACTION, {
+      transaction: JSON.parse(JSON.stringify(transaction, (key, value) =>
+        typeof value === 'bigint' ? ethers.toQuantity(value) : value)),
+      address: address ?? null
+    }, timeout);
+    return data.signedTransaction;
+  }
+
+  // EIP-191 signature of a string, or of bytes (Uint8Array)
+  async signMessage(message, address, options = {}) {
+    const { timeout = APPROVAL_TIMEOUT_MS } = options;
+    const bytes = message instanceof Uint8Array;
+    const data = await this._request(IPC_MESSAGE_TYPES.SIGN_MESSAGE, {
+      message: bytes ? ethers.hexlify(message) : message,
+      bytes,
+      address
+    }, timeout);
+    return data.signature;
+  }
+
+  // After this the client emits 'event' ({ event, data, timestamp }) for each
+  // daemon event, limited to the given IPC_EVENTS when there are any
+  async subscribe(events = null) {
+    return await this._request(IPC_MESSAGE_TYPES.SUBSCRIBE, { events });
+  }
+
+  async _request(type, data, timeout = REQUEST_TIMEOUT_MS) {
+    if (this.daemon && !this.supports(type)) {
+      const err = new Error(`The running daemon does not support ${type} - restart it to load the installed version`);
+      err.code = 'IPC_UNSUPPORTED';
+      throw err;
+    }
+
+    const response = await this.send(new IPCMessage(type, data), true, timeout);
+    if (response.type === IPC_MESSAGE_TYPES.ERROR || response.data?.success === false) {
+      const err = new Error(response.data?.error || response.data?.message || `Daemon refused ${type}`);
+      if (response.data?.code != null) {
+        err.code = response.data.code;
+      }
+      throw err;
+    }
+    return response.data;
+  }
+
   async requestShutdown() {
     const message = new IPCMessage(IPC_MESSAGE_TYPES.SHUTDOWN);
     await this.send(message, false);
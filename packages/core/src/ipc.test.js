@@ -0,0 +1,272 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import net from 'node:net';
+import os from 'node:os';
+import path from 'node:path';
+import { Buffer } from 'node:buffer';
+import { once } from 'node:events';
+import { IPCServer, IPCClient, IPCMessage, IPC_MESSAGE_TYPES, IPC_EVENTS, IPC_PROTOCOL_VERSION } from './ipc.js';
+import { IPCFraming, IPCFrameDecoder } from './ipc-framing.js';
+import { IPCAuth } from './ipc-auth.js';
+
+function frame(type, data = {}) {
+  return IPCFraming.encode(new IPCMessage(type, data).toJSON());
+}
+
+async function startServer(t, options = {}) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'ipc-test-'));
+  const server = new IPCServer(path.join(dir, 'daemon.sock'), options);
+  t.mock.method(console, 'log', () => {});
+  await server.start();
+  t.after(async () => {
+    await server.stop();
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+  return server;
+}
+
+test('coalesced frames in one chunk decode to every message', () => {
+  const decoder = new IPCFrameDecoder();
+  const chunk = Buffer.concat([
+    frame(IPC_MESSAGE_TYPES.GET_STATUS),
+    frame(IPC_MESSAGE_TYPES.LOCK_KEYSTORE),
+    frame(IPC_MESSAGE_TYPES.SHUTDOWN).subarray(0, 6)
+  ]);
+
+  const types = decoder.push(chunk).map(payload => IPCMessage.fromJSON(payload).type);
+
+  assert.deepEqual(types, [IPC_MESSAGE_TYPES.GET_STATUS, IPC_MESSAGE_TYPES.LOCK_KEYSTORE]);
+  assert.equal(decoder.pendingBytes, 6);
+});
+
+test('a frame split into single bytes decodes once it is complete', () => {
+  const decoder = new IPCFrameDecoder();
+  const bytes = frame(IPC_MESSAGE_TYPES.SET_ACCOUNT_LABEL, { label: 'Spar€' });
+
+  const payloads = [];
+  for (let i = 0; i < bytes.length; i++) {
+    payloads.push(...decoder.push(bytes.subarray(i, i + 1)));
+    assert.equal(payloads.length, i === bytes.length - 1 ? 1 : 0);
+  }
+
+  assert.equal(IPCMessage.fromJSON(payloads[0]).data.label, 'Spar€');
+  assert.equal(decoder.pendingBytes, 0);
+});
+
+test('bad frames fail with a clear error', () => {
+  const decoder = new IPCFrameDecoder({ maxMessageSize: 64 });
+  const header = Buffer.alloc(4);
+
+  header.writeUInt32LE(65, 0);
+  assert.throws(() => decoder.push(header), /65 bytes exceeds the 64-byte limit/);
+  assert.throws(() => decoder.push(Buffer.alloc(4)), /Empty IPC frame/);
+  assert.throws(() => decoder.push(Buffer.from('{"type":"get_status"}')), /unframed JSON/);
+  assert.throws(() => IPCFraming.encode('x'.repeat(65), 64), /65 bytes exceeds the 64-byte limit/);
+  assert.throws(() => IPCMessage.fromJSON('{"type":'), /not valid JSON/);
+  assert.throws(() => IPCMessage.fromJSON('{"data":{}}'), /has no type/);
+});
+
+test('server and client exchange fragmented and coalesced writes over the socket', async (t) => {
+  const server = await startServer(t);
+  // Larger than one socket read, so it reaches the client in several chunks
+  const accounts = Array.from({ length: 5000 }, (_, i) => `0x${i.toString(16).padStart(40, '0')}`);
+  const received = [];
+  server.on('message', (message, socket) => {
+    received.push(message.type);
+    if (message.type === IPC_MESSAGE_TYPES.GET_STATUS) {
+      const response = new IPCMessage(IPC_MESSAGE_TYPES.STATUS_RESPONSE, { accounts });
+      response.id = message.id;
+      server.sendToClient(socket, response);
+    }
+  });
+
+  const client = new IPCClient(server.socketPath);
+  await client.connect();
+  t.after(() => client.disconnect());
+
+  const status = await client.requestStatus();
+  assert.deepEqual(status.accounts, accounts);
+
+  // Two messages in one write, then one message in two writes
+  const raw = net.createConnection(server.socketPath);
+  await once(raw, 'connect');
+  t.after(() => raw.destroy());
+  raw.write(Buffer.concat([frame(IPC_MESSAGE_TYPES.LOCK_KEYSTORE), frame(IPC_MESSAGE_TYPES.HIDE_ACCOUNT)]));
+  const split = frame(IPC_MESSAGE_TYPES.SHOW_ACCOUNT);
+  raw.write(split.subarray(0, 3));
+  await new Promise(resolve => setTimeout(resolve, 20));
+  raw.write(split.subarray(3));
+
+  while (received.length < 4) {
+    await once(server, 'message');
+  }
+  assert.deepEqual(received, [
+    IPC_MESSAGE_TYPES.GET_STATUS,
+    IPC_MESSAGE_TYPES.LOCK_KEYSTORE,
+    IPC_MESSAGE_TYPES.HIDE_ACCOUNT,
+    IPC_MESSAGE_TYPES.SHOW_ACCOUNT
+  ]);
+});
+
+test('the server answers a bad frame with an error and closes the connection', async (t) => {
+  const server = await startServer(t);
+  const errors = [];
+  server.on('rejected', ({ reason }) => errors.push(reason));
+
+  const raw = net.createConnection(server.socketPath);
+  await once(raw, 'connect');
+  raw.write('{"type":"get_status"}');
+
+  const decoder = new IPCFrameDecoder();
+  const replies = [];
+  raw.on('data', chunk => replies.push(...decoder.push(chunk)));
+  await once(raw, 'end');
+  raw.destroy();
+
+  assert.match(errors[0], /unframed JSON/);
+  const reply = IPCMessage.fromJSON(replies[0]);
+  assert.equal(reply.type, IPC_MESSAGE_TYPES.ERROR);
+  assert.match(reply.data.message, /unframed JSON/);
+});
+
+test('the socket is owner-only and a client without the token is rejected', async (t) => {
+  const server = await startServer(t, { token: 'install-token' });
+  const rejected = [];
+  server.on('rejected', details => rejected.push(details));
+  server.on('message', (message, socket) => {
+    const response = new IPCMessage(IPC_MESSAGE_TYPES.STATUS_RESPONSE, { ok: true });
+    response.id = message.id;
+    server.sendToClient(socket, response);
+  });
+
+  assert.equal((await fs.stat(server.socketPath)).mode & 0o777, 0o600);
+
+  const anonymous = new IPCClient(server.socketPath);
+  await assert.rejects(anonymous.connect(), /no IPC token sent/);
+
+  const wrong = new IPCClient(server.socketPath, { token: 'guess' });
+  await assert.rejects(wrong.connect(), /wrong IPC token/);
+
+  const trusted = new IPCClient(server.socketPath, { token: 'install-token' });
+  await trusted.connect();
+  t.after(() => trusted.disconnect());
+  assert.deepEqual(await trusted.requestStatus(), { ok: true });
+
+  assert.deepEqual(rejected.map(({ reason }) => reason), ['no IPC token sent - the daemon requires one', 'wrong IPC token']);
+});
+
+test('a missing peer lookup is tried once and reported once', { skip: process.platform !== 'linux' }, async (t) => {
+  const lookup = t.mock.method(IPCAuth, '_unixSocketTable', async () => {
+    throw Object.assign(new Error('spawn ss ENOENT'), { code: 'ENOENT', path: 'ss' });
+  });
+  const warn = t.mock.method(console, 'warn', () => {});
+  t.after(() => { IPCAuth.peerLookupUnavailable = null; });
+  const server = await startServer(t, { token: 'install-token' });
+
+  for (let i = 0; i < 2; i++) {
+    const client = new IPCClient(server.socketPath, { token: 'install-token' });
+    await client.connect();
+    client.disconnect();
+  }
+
+  assert.equal(lookup.mock.callCount(), 1);
+  assert.equal(IPCAuth.peerLookupUnavailable, '`ss` is not installed');
+  assert.equal(warn.mock.callCount(), 1);
+  assert.match(warn.mock.calls[0].arguments[0], /only the socket's 0600 mode and the token protect the daemon/);
+});
+
+test('the hello tells the client what the daemon supports', async (t) => {
+  const server = await startServer(t, {
+    version: '9.9.9',
+    supportedTypes: [IPC_MESSAGE_TYPES.GET_STATUS]
+  });
+
+  const client = new IPCClient(server.socketPath);
+  await client.connect();
+  t.after(() => client.disconnect());
+
+  assert.deepEqual(client.daemon, {
+    version: '9.9.9',
+    protocolVersion: IPC_PROTOCOL_VERSION,
+    supportedTypes: [IPC_MESSAGE_TYPES.GET_STATUS]
+  });
+  assert.equal(client.protocolMismatch(), null);
+  assert.equal(client.supports(IPC_MESSAGE_TYPES.CREATE_ACCOUNT), false);
+  await assert.rejects(client.requestCreateAccount(), { code: 'IPC_UNSUPPORTED' });
+
+  client.daemon.protocolVersion = IPC_PROTOCOL_VERSION - 1;
+  assert.match(client.protocolMismatch(), /restart the daemon/);
+});
+
+test('published events reach only the clients subscribed to them', async (t) => {
+  const server = await startServer(t, { supportedTypes: [IPC_MESSAGE_TYPES.SUBSCRIBE] });
+  server.on('message', (message, socket) => {
+    server.subscribe(socket, message.data.events);
+    const response = new IPCMessage(IPC_MESSAGE_TYPES.SUBSCRIBE_RESPONSE, { success: true });
+    response.id = message.id;
+    server.sendToClient(socket, response);
+  });
+
+  const connect = async () => {
+    const client = new IPCClient(server.socketPath);
+    await client.connect();
+    t.after(() => client.disconnect());
+    return client;
+  };
+  const everything = await connect();
+  const approvalsOnly = await connect();
+  const unsubscribed = await connect();
+  await everything.subscribe();
+  await approvalsOnly.subscribe([IPC_EVENTS.APPROVAL_REQUESTED]);
+
+  const seen = { everything: [], approvalsOnly: [], unsubscribed: [] };
+  everything.on('event', ({ event }) => seen.everything.push(event));
+  approvalsOnly.on('event', ({ event, data }) => seen.approvalsOnly.push([event, data]));
+  unsubscribed.on('event', ({ event }) => seen.unsubscribed.push(event));
+
+  server.publish(IPC_EVENTS.STATE_CHANGED, { from: 'locked', to: 'unlocked' });
+  server.publish(IPC_EVENTS.APPROVAL_REQUESTED, { kind: 'transaction' });
+  while (seen.everything.length < 2) {
+    await once(everything, 'event');
+  }
+  await new Promise(resolve => setTimeout(resolve, 20));
+
+  assert.deepEqual(seen.everything, [IPC_EVENTS.STATE_CHANGED, IPC_EVENTS.APPROVAL_REQUESTED]);
+  assert.deepEqual(seen.approvalsOnly, [[IPC_EVENTS.APPROVAL_REQUESTED, { kind: 'transaction' }]]);
+  assert.deepEqual(seen.unsubscribed, []);
+
+  everything.disconnect();
+  await once(everything, 'disconnect');
+  await new Promise(resolve => setTimeout(resolve, 20));
+  assert.equal(server.subscribers.size, 1);
+});
+
+test('signing helpers send JSON-safe requests and surface the rejection code', async (t) => {
+  const server = await startServer(t, {
+    supportedTypes: [IPC_MESSAGE_TYPES.SIGN_TRANSACTION, IPC_MESSAGE_TYPES.SIGN_MESSAGE]
+  });
+  const requests = [];
+  server.on('message', (message, socket) => {
+    requests.push(message.data);
+    const response = new IPCMessage(IPC_MESSAGE_TYPES.SIGN_RESPONSE, message.type === IPC_MESSAGE_TYPES.SIGN_TRANSACTION
+      ? { success: true, signedTransaction: '0x02f8' }
+      : { success: false, error: 'User rejected the request', code: 4001 });
+    response.id = message.id;
+    server.sendToClient(socket, response);
+  });
+
+  const client = new IPCClient(server.socketPath);
+  await client.connect();
+  t.after(() => client.disconnect());
+
+  const signed = await client.signTransaction({ from: '0xabc', to: '0xdef', value: 10n ** 18n, gasLimit: 21000n });
+  assert.equal(signed, '0x02f8');
+  assert.deepEqual(requests[0], {
+    transaction: { from: '0xabc', to: '0xdef', value: '0xde0b6b3a7640000', gasLimit: '0x5208' },
+    address: '0xabc'
+  });
+
+  await assert.rejects(client.signMessage(new Uint8Array([1, 2]), '0xabc'), { code: 4001, message: 'User rejected the request' });
+  assert.deepEqual(requests[1], { message: '0x0102', bytes: true, address: '0xabc' });
+});
@@ -0,0 +1,92 @@
+import crypto from 'node:crypto';
+import { Buffer } from 'node:buffer';
+
+const ALGORITHM = 'aes-256-gcm';
+const KEY_LENGTH = 32;
+const IV_LENGTH = 12;
+
+// Secrets of an unlocked keystore, encrypted under a random key that exists
+// only for this session. A secret is decrypted into a buffer for one call and
+// the buffer is zeroed afterwards; destroy() makes every sealed copy useless.
+export class KeySession {
+  constructor() {
+    this._key = crypto.randomBytes(KEY_LENGTH);
+    this._sealed = new Map(); // name -> { iv, data, authTag }
+  }
+
+  // Buffers passed in are zeroed once sealed; strings can't be, so callers
+  // should prefer bytes
+  seal(name, secret) {
+    this._assertOpen();
+    const plaintext = typeof secret === 'string' ? Buffer.from(secret, 'utf8') : secret;
+
+    try {
+      const iv = crypto.randomBytes(IV_LENGTH);
+      const cipher = crypto.createCipheriv(ALGORITHM, this._key, iv);
+      const data = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+      this._sealed.set(name, { iv, data, authTag: cipher.getAuthTag() });
+    } finally {
+      plaintext.fill(0);
+    }
+  }
+
+  has(name) {
+    return this._sealed.has(name);
+  }
+
+  delete(name) {
+    const entry = this._sealed.get(name);
+    if (entry) {
+      entry.data.fill(0);
+      this._sealed.delete(name);
+    }
+  }
+
+  // Runs fn with the decrypted secret and zeroes it when fn settles
+  async use(name, fn) {
+    const plaintext = this._open(name);
+    try {
+      return await fn(plaintext);
+    } finally {
+      plaintext.fill(0);
+    }
+  }
+
+  // For secrets that have to leave as a string anyway (saving, export)
+  reveal(name) {
+    const plaintext = this._open(name);
+    try {
+      return plaintext.toString('utf8');
+    } finally {
+      plaintext.fill(0);
+    }
+  }
+
+  destroy() {
+    for (const name of [...this._sealed.keys()]) {
+      this.delete(name);
+    }
+    if (this._key) {
+      this._key.fill(0);
+      this._key = null;
+    }
+  }
+
+  _open(name) {
+    this._assertOpen();
+    const entry = this._sealed.get(name);
+    if (!entry) {
+      throw new Error(`No sealed secret named ${name}`);
+    }
+
+    const decipher = crypto.createDecipheriv(ALGORITHM, this._key, entry.iv);
+    decipher.setAuthTag(entry.authTag);
+    return Buffer.concat([decipher.update(entry.data), decipher.final()]);
+  }
+
+  _assertOpen() {
+    if (!this._key) {
+      throw new Error('Key session is closed');
+    }
+  }
+}
@@ -1,43 +1,116 @@
 import { ethers } from 'ethers';
 import { CryptoUtils } from './crypto.js';
+import { FileUtils } from './file-utils.js';
+import { DerivationPaths, DEFAULT_DERIVATION_PATH } from './derivation.js';
+import { MnemonicUtils } from './mnemonic.js';
+import { ShamirBackup } from './shamir.js';
+import { WalletBackup } from './backup.js';
+import { KeystoreMigrations, KEYSTORE_VERSION, KEYSTORE_SCHEMA_VERSION } from './migrations.js';
+import { KeySession } from './key-session.js';
 import fs from 'node:fs/promises';
 import path from 'node:path';
 import os from 'node:os';
 import crypto from 'node:crypto';
 
-const KEYSTORE_VERSION = '1.0.0';
 const KEYSTORE_DIR = path.join(os.homedir(), '.daemon-wallet', 'keystore');
+const VAULTS_DIR = path.join(os.homedir(), '.daemon-wallet', 'vaults');
+const VAULT_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,31}$/;
+const TAG_PATTERN = /^[a-z0-9][a-z0-9_-]{0,31}$/;
+
+export const DEFAULT_VAULT = 'default';
+const KEYSTORE_FILE = 'keystore.json';
+const BACKUP_DIR = 'backups';
+const MAX_BACKUPS = 5;
+// What changePassword does with backups still encrypted under the old password
+const BACKUP_POLICIES = ['keep', 'reencrypt', 'purge'];
+const LEGACY_KEYSTORE_PATTERN = /^keystore-.+\.json$/;
+const LEGACY_BACKUP_DIR = 'legacy'; // inside backups/
+// keystore-2024-01-31T12-00-00-000Z.json, as written by older versions
+const LEGACY_TIMESTAMP_PATTERN = /^keystore-(\d{4}-\d{2}-\d{2}T\d{2})-(\d{2})-(\d{2})-(\d{3})Z\.json$/;
+// Temp files FileUtils.writeAtomic leaves behind if a write is interrupted
+const TEMP_FILE_PATTERN = /^\..+\.tmp$/;
+const QUARANTINE_DIR = 'quarantine';
+// Names of sealed secrets in the key session
+const SEED_SECRET = 'seed';
+const PASSWORD_SECRET = 'password';
+const storedKeyName = address => `stored:${address.toLowerCase()}`;
+const derivedKeyName = address => `derived:${address.toLowerCase()}`;
+const DEFAULT_GAP_LIMIT = 20;
+const MAX_DISCOVERY_INDEX = 1000;
 
 export class Keystore {
-  constructor() {
+  constructor(options = {}) {
+    this.kdfSettings = options.kdf || {}; // security.kdf section of the config
+    this.vault = options.vault || DEFAULT_VAULT;
+    this.keystoreDir = options.keystoreDir || Keystore.vaultDir(this.vault);
     this.isLocked = true;
-    this.wallets = new Map(); // address -> wallet instance
+    this.walletData = null; // Wallet data without its secrets while unlocked
+    this.session = null; // KeySession holding the sealed mnemonic and keys
+    this.hiddenAccounts = new Set(); // addresses opened from hidden (passphrase) wallets
     this.encryptedData = null;
     this.keystorePath = null;
+    this.publicIndex = null; // Unencrypted account metadata, readable while locked
+  }
+
+  // The default vault lives in the original keystore directory so existing
+  // wallets keep working; named vaults get their own directory
+  static vaultDir(name) {
+    if (name === DEFAULT_VAULT) {
+      return KEYSTORE_DIR;
+    }
+    Keystore.validateVaultName(name);
+    return path.join(VAULTS_DIR, name);
+  }
+
+  static get vaultsRoot() {
+    return VAULTS_DIR;
+  }
+
+  static isValidVaultName(name) {
+    return typeof name === 'string' && VAULT_NAME_PATTERN.test(name);
+  }
+
+  static validateVaultName(name) {
+    if (!Keystore.isValidVaultName(name)) {
+      throw new Error(
+        'Vault name must be 1-32 characters of lowercase letters, digits, "-" or "_"'
+      );
+    }
   }
 
   async init() {
-    await fs.mkdir(KEYSTORE_DIR, { recursive: true });
+    await fs.mkdir(this.keystoreDir, { recursive: true });
     await this.load();
   }
 
-  async createWallet(password) {
+  async createWallet(password, options = {}) {
     if (!password || password.length < 8) {
       throw new Error('Password must be at least 8 characters');
     }
 
-    // Generate a random wallet - this already gives us the first account
-    const account = ethers.Wallet.createRandom();
-    const mnemonic = account.mnemonic;
+    // Optional BIP-39 passphrase ("25th word"), mixed into the seed
+    const passphrase = options.passphrase || '';
+    const language = options.language || 'en';
+
+    // Generate a random mnemonic and derive the first account
+    const phrase = MnemonicUtils.generate({ words: options.words, language });
+    const account = this._deriveFromMnemonic(
+      phrase,
+      passphrase,
+      DerivationPaths.pathFor(DEFAULT_DERIVATION_PATH, 0)
+    );
     
     // Store wallet data
     const walletData = {
-      mnemonic: mnemonic.phrase,
+      schemaVersion: KEYSTORE_SCHEMA_VERSION,
+      mnemonic: phrase,
+      language,
+      passphrase: passphrase || undefined,
+      derivationPath: DEFAULT_DERIVATION_PATH, // Template for new accounts
       nextAccountIndex: 1, // Next account to generate
       accounts: [{
         address: account.address,
         path: account.path || "m/44'/60'/0'/0/0",
-        privateKey: account.privateKey,
         index: 0,
         visible: true,
         label: 'Account 1'
@@ -47,52 +120,80 @@ export class Keystore {
     // Encrypt and save
     await this._saveWalletData(walletData, password);
     
-    // Keep in memory if unlocked
-    this.wallets.set(account.address.toLowerCase(), account);
+    // Keep unlocked, secrets sealed
+    this._openSession(walletData, password);
     this.isLocked = false;
     
     return {
       address: account.address,
-      mnemonic: mnemonic.phrase // Return mnemonic only on creation
+      mnemonic: phrase // Return mnemonic only on creation
     };
   }
 
-  async importWallet(secretData, password) {
+  async importWallet(secretData, password, options = {}) {
     if (!password || password.length < 8) {
       throw new Error('Password must be at least 8 characters');
     }
 
     let wallet;
     let mnemonic = null;
+    let language;
+    let accountIndex = null;
+    const passphrase = options.passphrase || '';
+    const template = DerivationPaths.resolve(options.derivationPath);
 
-    // Check if it's a mnemonic or private key
-    if (secretData.split(' ').length >= 12) {
-      // It's a mnemonic
-      mnemonic = secretData.trim();
-      const hdNode = ethers.HDNodeWallet.fromPhrase(mnemonic);
-      wallet = hdNode.derivePath("m/44'/60'/0'/0/0");
+    // Check if it's a V3 keystore JSON, a mnemonic or a private key
+    if (ethers.isKeystoreJson(secretData)) {
+      wallet = await this._decryptKeystoreJson(secretData, options.jsonPassword);
+      if (wallet.mnemonic && !passphrase) {
+        // ethers-generated files can carry the mnemonic (x-ethers extension)
+        mnemonic = wallet.mnemonic.phrase;
+        language = wallet.mnemonic.wordlist.locale;
+      } else {
+        wallet = new ethers.Wallet(wallet.privateKey);
+      }
     } else if (secretData.startsWith('0x') && secretData.length === 66) {
       // It's a private key
       wallet = new ethers.Wallet(secretData);
+    } else if (/\s/.test(secretData.trim())) {
+      // It's a mnemonic: checks words, wordlist and checksum
+      ({ phrase: mnemonic, language } = MnemonicUtils.assertValid(secretData, options.language));
+      const isTemplate = DerivationPaths.isTemplate(template);
+      accountIndex = isTemplate ? 0 : null;
+      wallet = this._deriveFromMnemonic(
+        mnemonic,
+        passphrase,
+        isTemplate ? DerivationPaths.pathFor(template, 0) : template
+      );
     } else {
       throw new Error('Invalid mnemonic phrase or private key');
     }
 
     // Prepare wallet data
     const walletData = {
+      schemaVersion: KEYSTORE_SCHEMA_VERSION,
       mnemonic,
+      language: mnemonic ? language : undefined,
+      passphrase: (mnemonic && passphrase) || undefined,
+      // A fixed custom path only names the first account; later ones use the default template
+      derivationPath: mnemonic && DerivationPaths.isTemplate(template) ? template : DEFAULT_DERIVATION_PATH,
+      nextAccountIndex: 1,
       accounts: [{
         address: wallet.address,
-        path: mnemonic ? "m/44'/60'/0'/0/0" : null,
-        privateKey: wallet.privateKey
+        path: mnemonic ? (wallet.path || DerivationPaths.pathFor(DEFAULT_DERIVATION_PATH, 0)) : null,
+        // HD keys are derived from the seed; only a raw key has to be stored
+        privateKey: mnemonic ? undefined : wallet.privateKey,
+        index: mnemonic ? (accountIndex ?? wallet.index ?? null) : null,
+        visible: true,
+        label: 'Account 1'
       }]
     };
 
     // Encrypt and save
     await this._saveWalletData(walletData, password);
     
-    // Keep in memory
-    this.wallets.set(wallet.address.toLowerCase(), wallet);
+    // Keep unlocked, secrets sealed
+    this._openSession(walletData, password);
     this.isLocked = false;
     
     return {
@@ -100,28 +201,82 @@ export class Keystore {
     };
   }
 
+  async _decryptKeystoreJson(json, jsonPassword) {
+    if (!jsonPassword) {
+      throw new Error('Password for the keystore JSON file is required');
+    }
+
+    try {
+      return await ethers.Wallet.fromEncryptedJson(json, jsonPassword);
+    } catch (err) {
+      if (err.message.includes('incorrect password')) {
+        throw new Error('Invalid password for keystore JSON file');
+      }
+      throw new Error(`Invalid keystore JSON file: ${err.shortMessage || err.message}`);
+    }
+  }
+
+  // Export one account as Web3 Secret Storage (V3) JSON, readable by geth,
+  // MetaMask, Foundry and ethers; the mnemonic is never included
+  async exportAccountJson(address, exportPassword) {
+    if (this.isLocked) {
+      throw new Error('Keystore is locked');
+    }
+
+    if (!exportPassword || exportPassword.length < 8) {
+      throw new Error('Password must be at least 8 characters');
+    }
+
+    this._assertCanSign(address);
+
+    return await this._withSigner(address, wallet => wallet.encrypt(exportPassword));
+  }
+
+  // What an unlock did besides unlocking, as messages for the user
+  static unlockNotices(result) {
+    const notices = [];
+    const migration = result?.migration;
+    if (migration) {
+      notices.push(
+        `Keystore migrated from schema ${migration.from} to ${migration.to} ` +
+        `(${migration.steps.map(step => step.description).join('; ')}); original saved to ${migration.backupPath}`
+      );
+    }
+    if (result?.indexRepaired) {
+      notices.push(
+        'The public account index did not match the encrypted wallet data and was rebuilt from it; ' +
+        'addresses listed while the wallet was locked may not have been its own'
+      );
+    }
+    return notices;
+  }
+
+  // Resolves to false for a wrong password, otherwise to what the unlock did
+  // besides unlocking: { migration, indexRepaired }
   async unlock(password) {
     if (!this.encryptedData) {
       throw new Error('No keystore found');
     }
 
     try {
-      const decrypted = await CryptoUtils.decrypt(this.encryptedData.crypto, password);
-      const walletData = JSON.parse(decrypted);
-      
-      // Store wallet data for account management
-      this.walletData = walletData;
-      
-      // Restore wallets
-      this.wallets.clear();
-      
-      for (const account of walletData.accounts) {
-        const wallet = new ethers.Wallet(account.privateKey);
-        this.wallets.set(wallet.address.toLowerCase(), wallet);
+      const { walletData, migration } = await this._openWalletData(password);
+
+      // The encrypted data is authenticated, so it is the source of truth for the
+      // public index; a stored index that differs (edited or corrupted) is rewritten
+      const index = this._buildPublicIndex(walletData);
+      const indexRepaired = this._indexDiffers(this.encryptedData.index, index);
+      if (indexRepaired) {
+        await this._saveWalletData(walletData, password);
       }
+      this.publicIndex = index.accounts;
+      
+      // Secrets are sealed under a fresh session key; signing keys are
+      // derived on first use (see _withSigner)
+      this.hiddenAccounts.clear();
+      this._openSession(walletData, password);
       
       this.isLocked = false;
-      return true;
+      return { migration, indexRepaired };
     } catch (err) {
       if (err.message.includes('Invalid password')) {
         return false;
@@ -130,61 +285,259 @@ export class Keystore {
     }
   }
 
-  lock() {
-    // Clear sensitive data from memory
-    for (const [, wallet] of this.wallets) {
-      if (wallet._signingKey) {
-        CryptoUtils.clearSensitiveData(wallet._signingKey());
+  // The backup history (the generation this save rotates out included) still
+  // opens with the old password; options.backups decides what happens to it:
+  // 'keep' (default), 'reencrypt' under the new password or 'purge'.
+  // Resolves to { backups: { reencrypted, removed, left } } with file paths;
+  // left are the files that still open with an older password.
+  async changePassword(oldPassword, newPassword, options = {}) {
+    if (!this.encryptedData) {
+      throw new Error('No keystore found');
+    }
+
+    if (!newPassword || newPassword.length < 8) {
+      throw new Error('Password must be at least 8 characters');
+    }
+
+    const policy = options.backups ?? 'keep';
+    if (!BACKUP_POLICIES.includes(policy)) {
+      throw new Error(`Unknown backup option: ${policy} (expected ${BACKUP_POLICIES.join(', ')})`);
+    }
+
+    await this._assertUnchangedOnDisk();
+    const walletData = await this._decryptWalletData(oldPassword);
+
+    // Re-encrypting generates a fresh salt and IV; the keystore id is kept
+    await this._saveWalletData(walletData, newPassword);
+
+    if (!this.isLocked) {
+      this.session.seal(PASSWORD_SECRET, newPassword);
+    }
+
+    return {
+      backups: await this._updateBackupHistory(policy, oldPassword, newPassword)
+    };
+  }
+
+  async _updateBackupHistory(policy, oldPassword, newPassword) {
+    const result = { reencrypted: [], removed: [], left: [] };
+
+    for (const file of await this._backupHistoryFiles()) {
+      if (policy === 'purge') {
+        await fs.rm(file, { force: true });
+        result.removed.push(file);
+      } else if (policy === 'reencrypt' && await this._reencryptFile(file, oldPassword, newPassword)) {
+        result.reencrypted.push(file);
+      } else {
+        result.left.push(file);
+      }
+    }
+
+    return result;
+  }
+
+  // Earlier keystore files kept in backups/: the rotated generations, copies
+  // taken before a migration and retired legacy files
+  async _backupHistoryFiles() {
+    const backupDir = path.join(this.keystoreDir, BACKUP_DIR);
+    const files = [];
+    for (const dir of [backupDir, path.join(backupDir, LEGACY_BACKUP_DIR)]) {
+      const names = await fs.readdir(dir).catch(() => []);
+      files.push(...names.filter(name => name.endsWith('.json')).sort().map(name => path.join(dir, name)));
+    }
+    return files;
+  }
+
+  // A file that doesn't open with the old password (it predates an earlier
+  // change, or is unreadable) is left as it is; returns whether it was rewritten
+  async _reencryptFile(file, oldPassword, newPassword) {
+    let keystoreData;
+    let plaintext;
+    try {
+      keystoreData = JSON.parse(await fs.readFile(file, 'utf8'));
+      plaintext = await CryptoUtils.decrypt(keystoreData.crypto, oldPassword);
+    } catch (err) {
+      return false;
+    }
+
+    // Each file keeps its own work factor, as a routine save does
+    const params = keystoreData.crypto.scrypt || CryptoUtils.defaultScryptParams;
+    keystoreData.crypto = await CryptoUtils.encrypt(plaintext, newPassword, params);
+    await FileUtils.writeAtomic(file, JSON.stringify(keystoreData, null, 2));
+    return true;
+  }
+
+  getKdfParams() {
+    if (!this.encryptedData) {
+      return null;
+    }
+    return this.encryptedData.crypto.scrypt || CryptoUtils.defaultScryptParams;
+  }
+
+  async upgradeEncryption(password, scryptParams) {
+    if (!this.encryptedData) {
+      throw new Error('No keystore found');
+    }
+
+    CryptoUtils.validateScryptParams(scryptParams);
+
+    await this._assertUnchangedOnDisk();
+    const walletData = await this._decryptWalletData(password);
+
+    const previous = this.getKdfParams();
+    const { N, r, p } = scryptParams;
+    await this._saveWalletData(walletData, password, { N, r, p });
+
+    return {
+      previous,
+      current: { N, r, p }
+    };
+  }
+
+  // Splits the recovery phrase (or the key of a wallet imported from a single
+  // private key) into shares; anything else the wallet holds is listed as not covered
+  async createShamirBackup(password, threshold, count) {
+    if (!this.encryptedData) {
+      throw new Error('No keystore found');
+    }
+
+    const walletData = await this._decryptWalletData(password);
+    let secret;
+    let covered;
+
+    if (walletData.mnemonic) {
+      secret = { mnemonic: walletData.mnemonic, language: walletData.language };
+      covered = acc => Boolean(acc.path);
+    } else {
+      const primary = walletData.accounts.find(acc => acc.privateKey);
+      if (!primary) {
+        throw new Error('This wallet holds no recovery phrase or private key to back up');
       }
+      secret = { privateKey: primary.privateKey };
+      covered = acc => acc === primary;
+    }
+
+    return {
+      type: secret.mnemonic ? 'mnemonic' : 'privateKey',
+      threshold,
+      shares: ShamirBackup.createShares(secret, threshold, count),
+      passphrase: Boolean(walletData.passphrase),
+      notCovered: walletData.accounts
+        .filter(acc => !acc.watchOnly && !covered(acc))
+        .map(acc => acc.address),
+      watchOnly: walletData.accounts.filter(acc => acc.watchOnly).length
+    };
+  }
+
+  // Full backup archive of this vault, encrypted with its own password;
+  // options.config adds the user's networks and security settings
+  async exportBackup(password, backupPassword, options = {}) {
+    if (!this.encryptedData) {
+      throw new Error('No keystore found');
+    }
+
+    const walletData = await this._decryptWalletData(password);
+    return WalletBackup.create(
+      { vault: this.vault, wallet: walletData, config: options.config },
+      backupPassword,
+      this.getKdfParams()
+    );
+  }
+
+  // Replaces the wallet with one from a verified backup payload, encrypted
+  // with the given password; the current keystore stays in the backup history
+  async restoreFromBackup(payload, password) {
+    if (!password || password.length < 8) {
+      throw new Error('Password must be at least 8 characters');
+    }
+
+    WalletBackup.verify(payload);
+    // Backups of older versions are brought up to date; newer ones are refused
+    KeystoreMigrations.migrate(payload.wallet);
+
+    await this._assertUnchangedOnDisk();
+    this.lock();
+    // A restored wallet gets a new id, so a running daemon locks instead of
+    // keeping the replaced wallet's session
+    if (this.encryptedData) {
+      this.encryptedData = { ...this.encryptedData, id: crypto.randomUUID() };
+    }
+    await this._saveWalletData(payload.wallet, password);
+
+    return {
+      accounts: payload.wallet.accounts.length
+    };
+  }
+
+  lock() {
+    // Zero the session key and every sealed secret
+    if (this.session) {
+      this.session.destroy();
+      this.session = null;
     }
-    this.wallets.clear();
+    this.hiddenAccounts.clear();
     this.walletData = null; // Clear wallet data
     this.isLocked = true;
   }
 
-  getAccounts(includeHidden = false) {
+  // options.watchOnly: false leaves out watch-only accounts
+  getAccounts(includeHidden = false, options = {}) {
+    const includeWatchOnly = options.watchOnly !== false;
+
     if (this.isLocked) {
-      // When locked, try to get addresses from encrypted data if available
-      if (this.encryptedData) {
-        // We can't decrypt without password, but we could store addresses separately
-        // For now, return empty but indicate keystore exists
-        return [];
-      }
-      return [];
+      // When locked, fall back to the public index stored next to the encrypted data
+      return (this.publicIndex || [])
+        .filter(acc => includeHidden || acc.visible !== false)
+        .filter(acc => includeWatchOnly || !acc.watchOnly)
+        .map(acc => acc.address.toLowerCase());
     }
-    
+
     // Return only visible accounts unless includeHidden is true
-    const accounts = Array.from(this.wallets.keys());
-    if (includeHidden || !this.walletData) {
-      return accounts;
+    const accounts = this.walletData.accounts
+      .filter(acc => includeHidden || acc.visible !== false)
+      .filter(acc => includeWatchOnly || !acc.watchOnly)
+      .map(acc => acc.address.toLowerCase());
+
+    // Hidden wallet accounts are only in memory
+    return [...accounts, ...this.hiddenAccounts];
+  }
+
+  getWatchOnlyAccounts() {
+    const accounts = this.isLocked ? this.publicIndex : this.walletData?.accounts;
+    return (accounts || [])
+      .filter(acc => acc.watchOnly)
+      .map(acc => acc.address.toLowerCase());
+  }
+
+  isWatchOnly(address) {
+    return this.getWatchOnlyAccounts().includes(address.toLowerCase());
+  }
+
+  _assertCanSign(address) {
+    if (this.isWatchOnly(address)) {
+      throw new Error(`Account ${address} is watch-only: the wallet holds no private key for it, so it cannot sign`);
     }
-    
-    // Filter by visibility
-    return accounts.filter(address => {
-      const accountData = this.walletData.accounts.find(
-        acc => acc.address.toLowerCase() === address.toLowerCase()
-      );
-      return accountData?.visible !== false;
-    });
   }
 
   hasKeystore() {
     return !!this.encryptedData;
   }
 
+  // True while locked if the file's index failed its checksum: its accounts
+  // are not listed until an unlock rebuilds it
+  isPublicIndexCorrupted() {
+    return Boolean(this.encryptedData?.index?.accounts) && this.publicIndex === null;
+  }
+
   async signTransaction(tx, address) {
     if (this.isLocked) {
       throw new Error('Keystore is locked');
     }
 
-    const wallet = this.wallets.get(address.toLowerCase());
-    if (!wallet) {
-      throw new Error(`Account ${address} not found`);
-    }
+    this._assertCanSign(address);
 
     // Sign the transaction
-    const signedTx = await wallet.signTransaction(tx);
-    return signedTx;
+    return await this._withSigner(address, wallet => wallet.signTransaction(tx));
   }
 
   async signMessage(message, address) {
@@ -192,186 +545,1257 @@ export class Keystore {
       throw new Error('Keystore is locked');
     }
 
-    const wallet = this.wallets.get(address.toLowerCase());
-    if (!wallet) {
-      throw new Error(`Account ${address} not found`);
-    }
+    this._assertCanSign(address);
 
     // Sign the message
-    const signature = await wallet.signMessage(message);
-    return signature;
+    return await this._withSigner(address, wallet => wallet.signMessage(message));
   }
 
-  async load() {
-    try {
-      const files = await fs.readdir(KEYSTORE_DIR);
-      const keystoreFile = files.find(f => f.endsWith('.json'));
-      
-      if (keystoreFile) {
-        this.keystorePath = path.join(KEYSTORE_DIR, keystoreFile);
-        const data = await fs.readFile(this.keystorePath, 'utf8');
-        this.encryptedData = JSON.parse(data);
-      }
-    } catch (err) {
-      // No keystore yet, that's OK
-      if (err.code !== 'ENOENT') {
-        console.error('Failed to load keystore:', err);
-      }
+  // EIP-712; types must not include EIP712Domain, which ethers derives from the domain
+  async signTypedData(domain, types, value, address) {
+    if (this.isLocked) {
+      throw new Error('Keystore is locked');
     }
-  }
 
-  async _saveWalletData(walletData, password) {
-    const dataToEncrypt = JSON.stringify(walletData);
-    const encrypted = await CryptoUtils.encrypt(dataToEncrypt, password);
-    
-    const keystoreData = {
-      version: KEYSTORE_VERSION,
-      id: crypto.randomUUID(),
-      crypto: encrypted
-    };
+    this._assertCanSign(address);
 
-    // Save to file
-    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-    const filename = `keystore-${timestamp}.json`;
-    this.keystorePath = path.join(KEYSTORE_DIR, filename);
-    
-    await fs.writeFile(
-      this.keystorePath,
-      JSON.stringify(keystoreData, null, 2),
-      'utf8'
-    );
-    
-    this.encryptedData = keystoreData;
+    return await this._withSigner(address, wallet => wallet.signTypedData(domain, types, value));
   }
 
-  async createNextAccount(password) {
+  // Raw key of one account, for the export commands
+  async exportPrivateKey(address) {
     if (this.isLocked) {
       throw new Error('Keystore is locked');
     }
-    
-    if (!this.walletData?.mnemonic) {
-      throw new Error('No mnemonic found - wallet may have been imported from private key');
-    }
 
-    const nextIndex = this.walletData.nextAccountIndex || 1;
-    const derivationPath = `m/44'/60'/0'/0/${nextIndex}`;
-    
-    // Derive new account
-    const hdNode = ethers.HDNodeWallet.fromPhrase(this.walletData.mnemonic);
-    const newAccount = hdNode.derivePath(derivationPath);
-    
-    // Add to wallet data
-    const accountData = {
-      address: newAccount.address,
-      path: derivationPath,
-      privateKey: newAccount.privateKey,
-      index: nextIndex,
-      visible: true,
-      label: `Account ${nextIndex + 1}`
-    };
-    
-    this.walletData.accounts.push(accountData);
-    this.walletData.nextAccountIndex = nextIndex + 1;
-    
-    // Save updated wallet data
-    await this._saveWalletData(this.walletData, password);
-    
-    // Add to memory
-    this.wallets.set(newAccount.address.toLowerCase(), newAccount);
-    
-    return {
-      address: newAccount.address,
-      index: nextIndex,
-      label: accountData.label
-    };
-  }
+    this._assertCanSign(address);
 
-  async hideAccount(address, password) {
-    return await this._setAccountVisibility(address, false, password);
+    return await this._withSigner(address, wallet => wallet.privateKey);
   }
 
-  async showAccount(address, password) {
-    return await this._setAccountVisibility(address, true, password);
+  hasMnemonic() {
+    return !this.isLocked && this.session.has(SEED_SECRET);
   }
 
-  async setAccountLabel(address, label, password) {
+  // Recovery phrase and BIP-39 passphrase, for the export commands
+  exportMnemonic() {
     if (this.isLocked) {
       throw new Error('Keystore is locked');
     }
-
-    const accountData = this.walletData.accounts.find(
-      acc => acc.address.toLowerCase() === address.toLowerCase()
-    );
-    
-    if (!accountData) {
-      throw new Error('Account not found');
+    if (!this.hasMnemonic()) {
+      return null;
     }
 
-    accountData.label = label;
-    await this._saveWalletData(this.walletData, password);
-    
-    return true;
+    return { ...this._revealSeed(), language: this.walletData.language };
   }
 
-  async _setAccountVisibility(address, visible, password) {
-    if (this.isLocked) {
-      throw new Error('Keystore is locked');
+  // Runs fn with a wallet built from the decrypted key; the key buffer is
+  // zeroed afterwards and the wallet is not kept. HD keys are derived from
+  // the seed the first time an account signs and sealed for later calls.
+  async _withSigner(address, fn) {
+    let name = storedKeyName(address);
+    if (!this.session.has(name)) {
+      name = derivedKeyName(address);
     }
 
-    const accountData = this.walletData.accounts.find(
-      acc => acc.address.toLowerCase() === address.toLowerCase()
-    );
-    
-    if (!accountData) {
-      throw new Error('Account not found');
+    if (!this.session.has(name)) {
+      const account = this.walletData && this._findAccount(address);
+      if (!account || account.watchOnly) {
+        throw new Error(`Account ${address} not found`);
+      }
+      const { mnemonic, passphrase } = this._revealSeed();
+      const wallet = this._deriveFromMnemonic(mnemonic, passphrase, account.path);
+      this._sealKey(name, wallet.privateKey);
     }
 
-    // Cannot hide the first account (index 0)
-    if (accountData.index === 0 && !visible) {
-      throw new Error('Cannot hide the primary account');
+    return await this.session.use(name, keyBytes => fn(new ethers.Wallet(new ethers.SigningKey(keyBytes))));
+  }
+
+  // Moves the secrets of decrypted wallet data into a new key session;
+  // this.walletData keeps only what can be shown and listed. The password is
+  // sealed too, so changes can be saved without asking for it again.
+  _openSession(walletData, password) {
+    if (this.session) {
+      this.session.destroy();
     }
+    this.session = new KeySession();
+    this.session.seal(PASSWORD_SECRET, password);
 
-    accountData.visible = visible;
-    await this._saveWalletData(this.walletData, password);
-    
-    return true;
+    const { mnemonic, passphrase, ...rest } = walletData;
+    if (mnemonic) {
+      this.session.seal(SEED_SECRET, JSON.stringify({ mnemonic, passphrase: passphrase || '' }));
+    }
+
+    rest.accounts = walletData.accounts.map(({ privateKey, ...account }) => {
+      if (privateKey) {
+        this._sealKey(storedKeyName(account.address), privateKey);
+        account.storedKey = true;
+      }
+      return account;
+    });
+    this.walletData = rest;
   }
 
-  getAccountDetails(address) {
-    if (this.isLocked) {
-      throw new Error('Keystore is locked');
+  _sealKey(name, privateKey) {
+    this.session.seal(name, ethers.getBytes(privateKey));
+  }
+
+  _revealSeed() {
+    if (!this.session?.has(SEED_SECRET)) {
+      throw new Error('No mnemonic found');
     }
+    return JSON.parse(this.session.reveal(SEED_SECRET));
+  }
 
-    const accountData = this.walletData?.accounts.find(
-      acc => acc.address.toLowerCase() === address.toLowerCase()
+  // The full wallet data as stored on disk, secrets included
+  async _revealWalletData() {
+    const walletData = structuredClone(this.walletData);
+    if (this.session.has(SEED_SECRET)) {
+      const { mnemonic, passphrase } = this._revealSeed();
+      walletData.mnemonic = mnemonic;
+      walletData.passphrase = passphrase || undefined;
+    }
+
+    for (const account of walletData.accounts) {
+      if (account.storedKey) {
+        delete account.storedKey;
+        account.privateKey = await this.session.use(
+          storedKeyName(account.address),
+          keyBytes => ethers.hexlify(keyBytes)
+        );
+      }
+    }
+    return walletData;
+  }
+
+  // Saves the in-memory wallet data of the unlocked keystore; without a
+  // password the one it was unlocked with is used
+  async _saveUnlockedWalletData(password = null) {
+    await this._assertUnchangedOnDisk();
+    await this._saveWalletData(
+      await this._revealWalletData(),
+      password ?? this.session.reveal(PASSWORD_SECRET)
     );
-    
-    return accountData ? {
-      address: accountData.address,
-      path: accountData.path,
-      index: accountData.index,
-      visible: accountData.visible,
-      label: accountData.label
-    } : null;
   }
 
-  getAllAccountDetails(includeHidden = false) {
-    if (this.isLocked) {
+  // Another process (the CLI next to a running daemon) may have rewritten the
+  // file since it was loaded; saving our copy would revert its change, e.g.
+  // a new password or an imported key
+  async _assertUnchangedOnDisk() {
+    if (!this.keystorePath) {
+      return;
+    }
+    let onDisk;
+    try {
+      onDisk = JSON.parse(await fs.readFile(this.keystorePath, 'utf8'));
+    } catch (err) {
+      if (err.code === 'ENOENT') {
+        throw new Error('Keystore file was removed since it was unlocked; unlock it again');
+      }
+      throw err;
+    }
+    if (JSON.stringify(onDisk.crypto) !== JSON.stringify(this.encryptedData?.crypto)) {
+      throw new Error('Keystore file was changed by another process since it was unlocked; unlock it again');
+    }
+  }
+
+  async load() {
+    try {
+      const canonicalPath = path.join(this.keystoreDir, KEYSTORE_FILE);
+      let keystorePath = null;
+
+      if (await FileUtils.exists(canonicalPath)) {
+        keystorePath = canonicalPath;
+      } else {
+        // Older versions wrote keystore-<timestamp>.json on every save;
+        // the timestamps sort lexically, so the last one is the newest
+        const files = await fs.readdir(this.keystoreDir);
+        const legacyFiles = files.filter(f => LEGACY_KEYSTORE_PATTERN.test(f)).sort();
+        if (legacyFiles.length > 0) {
+          keystorePath = path.join(this.keystoreDir, legacyFiles[legacyFiles.length - 1]);
+        }
+      }
+
+      if (keystorePath) {
+        const data = await fs.readFile(keystorePath, 'utf8');
+        this.encryptedData = JSON.parse(data);
+        this.keystorePath = keystorePath;
+        this.publicIndex = this._readPublicIndex(this.encryptedData);
+      } else {
+        this.encryptedData = null;
+        this.keystorePath = null;
+        this.publicIndex = null;
+      }
+    } catch (err) {
+      // No keystore yet, that's OK
+      if (err.code !== 'ENOENT') {
+        console.error('Failed to load keystore:', err);
+      }
+    }
+  }
+
+  // A vault holds one keystore: keystore.json, or before its first save the
+  // newest legacy file. Backups and stray .json files are not keystores.
+  async countKeystoreFiles() {
+    try {
+      const files = await fs.readdir(this.keystoreDir);
+      return files.includes(KEYSTORE_FILE) || files.some(f => LEGACY_KEYSTORE_PATTERN.test(f)) ? 1 : 0;
+    } catch (err) {
+      return 0;
+    }
+  }
+
+  async _decryptWalletData(password) {
+    const { walletData } = await this._openWalletData(password);
+    return walletData;
+  }
+
+  // Decrypted and migrated wallet data, with the migration that was applied
+  // (null if the data was current)
+  async _openWalletData(password) {
+    KeystoreMigrations.assertSupportedFile(this.encryptedData);
+
+    let walletData;
+    try {
+      const decrypted = await CryptoUtils.decrypt(this.encryptedData.crypto, password);
+      walletData = JSON.parse(decrypted);
+    } catch (err) {
+      if (err.message.includes('Invalid password')) {
+        throw new Error('Invalid password');
+      }
+      throw err;
+    }
+
+    const migration = await this._migrateWalletData(walletData, password);
+    return { walletData, migration };
+  }
+
+  // Older wallet data is migrated as soon as it is decrypted: the original
+  // file is copied to backups/ first, then the result is saved. Returns
+  // { from, to, steps, backupPath }, or null if nothing was pending.
+  async _migrateWalletData(walletData, password) {
+    const from = KeystoreMigrations.schemaVersionOf(walletData);
+    if (KeystoreMigrations.pending(walletData).length === 0) {
+      return null;
+    }
+
+    const backupPath = await this._backupBeforeMigration(from);
+    const steps = KeystoreMigrations.migrate(walletData);
+    await this._saveWalletData(walletData, password);
+
+    return { from, to: walletData.schemaVersion, steps, backupPath };
+  }
+
+  async _backupBeforeMigration(fromVersion) {
+    const backupDir = path.join(this.keystoreDir, BACKUP_DIR);
+    await fs.mkdir(backupDir, { recursive: true, mode: 0o700 });
+
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const backupPath = path.join(backupDir, `keystore.schema-${fromVersion}.${timestamp}.json`);
+    await FileUtils.writeAtomic(backupPath, JSON.stringify(this.encryptedData, null, 2));
+    return backupPath;
+  }
+
+  async _saveWalletData(walletData, password, scryptParams = null) {
+    // Routine saves keep the work factor of the existing file, so an upgraded
+    // keystore is never silently weakened; only new keystores use the config
+    const params = scryptParams
+      || this.encryptedData?.crypto?.scrypt
+      || await CryptoUtils.resolveScryptParams(this.kdfSettings);
+
+    const dataToEncrypt = JSON.stringify(walletData);
+    const encrypted = await CryptoUtils.encrypt(dataToEncrypt, password, params);
+    
+    const keystoreData = {
+      version: KEYSTORE_VERSION,
+      id: this.encryptedData?.id || crypto.randomUUID(),
+      crypto: encrypted,
+      index: this._buildPublicIndex(walletData)
+    };
+
+    await this._writeKeystoreFile(keystoreData);
+  }
+
+  // Public, non-secret account metadata so addresses can be listed while locked.
+  // The checksum only catches corruption: whoever can write the file can edit
+  // the index and its checksum together, so it is checked against the
+  // encrypted data on unlock.
+  _buildPublicIndex(walletData) {
+    const accounts = walletData.accounts.map(acc => ({
+      address: acc.address,
+      label: acc.label ?? null,
+      visible: acc.visible !== false,
+      path: acc.path ?? null,
+      index: acc.index ?? null,
+      ...(acc.watchOnly && { watchOnly: true }),
+      ...(acc.tags?.length > 0 && { tags: acc.tags })
+    }));
+
+    return {
+      accounts,
+      checksum: this._checksumIndex(accounts)
+    };
+  }
+
+  _checksumIndex(accounts) {
+    // Flags are only appended when set, so older checksums stay valid
+    const canonical = accounts.map(acc => [
+      acc.address.toLowerCase(),
+      acc.label,
+      acc.visible,
+      acc.path,
+      acc.index,
+      ...(acc.watchOnly ? ['watchOnly'] : []),
+      ...(acc.tags?.length > 0 ? [['tags', ...acc.tags]] : [])
+    ]);
+    return crypto.createHash('sha256').update(JSON.stringify(canonical)).digest('hex');
+  }
+
+  _readPublicIndex(keystoreData) {
+    const index = keystoreData.index;
+    if (!index?.accounts) {
+      // Keystores written before the index existed get one on their next save
+      return null;
+    }
+
+    // A corrupted index is ignored until the next unlock rewrites it; see
+    // isPublicIndexCorrupted()
+    if (index.checksum !== this._checksumIndex(index.accounts)) {
+      return null;
+    }
+
+    return index.accounts;
+  }
+
+  // Keystores without an index (written before it existed) are not corrupted
+  _indexDiffers(storedIndex, index) {
+    if (!storedIndex?.accounts) {
+      return false;
+    }
+    return storedIndex.checksum !== index.checksum
+      || this._checksumIndex(storedIndex.accounts) !== index.checksum;
+  }
+
+  async _writeKeystoreFile(keystoreData) {
+    const canonicalPath = path.join(this.keystoreDir, KEYSTORE_FILE);
+
+    // Keep the generation we are about to replace in the backup history
+    if (await FileUtils.exists(canonicalPath)) {
+      await this._rotateBackups(canonicalPath);
+    }
+
+    await FileUtils.writeAtomic(
+      canonicalPath,
+      JSON.stringify(keystoreData, null, 2)
+    );
+
+    this.keystorePath = canonicalPath;
+    this.encryptedData = keystoreData;
+    this.publicIndex = this._readPublicIndex(keystoreData);
+
+    await this._retireLegacyFiles();
+  }
+
+  // Once keystore.json exists, keystore-<timestamp>.json files from older
+  // versions are never read again; they move to backups/legacy/
+  async _retireLegacyFiles() {
+    const files = await fs.readdir(this.keystoreDir);
+    const legacyFiles = files.filter(f => LEGACY_KEYSTORE_PATTERN.test(f));
+    if (legacyFiles.length === 0) {
+      return;
+    }
+
+    const legacyDir = path.join(this.keystoreDir, BACKUP_DIR, LEGACY_BACKUP_DIR);
+    await fs.mkdir(legacyDir, { recursive: true, mode: 0o700 });
+    for (const file of legacyFiles) {
+      await fs.rename(path.join(this.keystoreDir, file), path.join(legacyDir, file));
+    }
+    await FileUtils.syncDirectory(this.keystoreDir);
+  }
+
+  async _rotateBackups(currentPath) {
+    const backupDir = path.join(this.keystoreDir, BACKUP_DIR);
+    await fs.mkdir(backupDir, { recursive: true, mode: 0o700 });
+
+    // keystore.1.json is the most recent backup, keystore.<MAX_BACKUPS>.json the oldest
+    await fs.rm(this._backupPath(MAX_BACKUPS), { force: true });
+    for (let generation = MAX_BACKUPS - 1; generation >= 1; generation--) {
+      try {
+        await fs.rename(this._backupPath(generation), this._backupPath(generation + 1));
+      } catch (err) {
+        if (err.code !== 'ENOENT') throw err;
+      }
+    }
+
+    await fs.copyFile(currentPath, this._backupPath(1));
+    await FileUtils.syncDirectory(backupDir);
+  }
+
+  _backupPath(generation) {
+    return path.join(this.keystoreDir, BACKUP_DIR, `keystore.${generation}.json`);
+  }
+
+  async listBackups() {
+    const backups = [];
+
+    for (let generation = 1; generation <= MAX_BACKUPS; generation++) {
+      const backupPath = this._backupPath(generation);
+      try {
+        const [data, stats] = await Promise.all([
+          fs.readFile(backupPath, 'utf8'),
+          fs.stat(backupPath)
+        ]);
+        const keystoreData = JSON.parse(data);
+        backups.push({
+          generation,
+          path: backupPath,
+          id: keystoreData.id,
+          version: keystoreData.version,
+          modified: stats.mtime
+        });
+      } catch (err) {
+        if (err.code !== 'ENOENT') {
+          backups.push({ generation, path: backupPath, error: err.message });
+        }
+      }
+    }
+
+    return backups;
+  }
+
+  async restoreBackup(generation) {
+    const index = Number(generation);
+    if (!Number.isInteger(index) || index < 1 || index > MAX_BACKUPS) {
+      throw new Error(`Backup generation must be between 1 and ${MAX_BACKUPS}`);
+    }
+
+    let keystoreData;
+    try {
+      keystoreData = JSON.parse(await fs.readFile(this._backupPath(index), 'utf8'));
+    } catch (err) {
+      if (err.code === 'ENOENT') {
+        throw new Error(`Backup generation ${index} not found`);
+      }
+      throw new Error(`Backup generation ${index} is unreadable: ${err.message}`);
+    }
+
+    if (!keystoreData?.crypto?.encrypted) {
+      throw new Error(`Backup generation ${index} is not a valid keystore`);
+    }
+
+    // The current keystore is rotated into the history, so a restore can itself be undone
+    this.lock();
+    await this._writeKeystoreFile(keystoreData);
+
+    return {
+      generation: index,
+      id: keystoreData.id
+    };
+  }
+
+  // Every keystore file of the vault (current, legacy keystore-<timestamp>.json,
+  // backups, leftovers of interrupted writes) with its metadata and any problems
+  async inspectKeystoreFiles() {
+    const candidates = [];
+
+    const names = await fs.readdir(this.keystoreDir).catch(() => []);
+    for (const name of names.sort()) {
+      let role;
+      if (name === KEYSTORE_FILE) {
+        role = 'current';
+      } else if (LEGACY_KEYSTORE_PATTERN.test(name)) {
+        role = 'legacy';
+      } else if (TEMP_FILE_PATTERN.test(name)) {
+        role = 'temp';
+      } else if (name.endsWith('.json')) {
+        role = 'unknown';
+      } else {
+        continue;
+      }
+      candidates.push({ path: path.join(this.keystoreDir, name), role });
+    }
+    // Current file first, so copies of it are reported as its duplicates
+    candidates.sort((a, b) => (b.role === 'current') - (a.role === 'current'));
+
+    for (let generation = 1; generation <= MAX_BACKUPS; generation++) {
+      candidates.push({ path: this._backupPath(generation), role: 'backup', generation });
+    }
+
+    const files = [];
+    for (const candidate of candidates) {
+      const file = await this._describeKeystoreFile(candidate);
+      if (file) {
+        files.push(file);
+      }
+    }
+
+    return {
+      files,
+      issues: this._findKeystoreIssues(files)
+    };
+  }
+
+  // Adds which files decrypt with the password and whether their accounts agree
+  // with the current keystore (or the file recommended to keep)
+  async verifyKeystoreFiles(password) {
+    const { files, issues } = await this.inspectKeystoreFiles();
+
+    for (const file of files) {
+      if (file.error) {
+        continue;
+      }
+      try {
+        const keystoreData = JSON.parse(await fs.readFile(file.path, 'utf8'));
+        const walletData = JSON.parse(await CryptoUtils.decrypt(keystoreData.crypto, password));
+        file.decrypts = true;
+        file.addresses = walletData.accounts.map(acc => acc.address.toLowerCase()).sort();
+        if (keystoreData.index?.accounts) {
+          const indexed = keystoreData.index.accounts.map(acc => acc.address.toLowerCase()).sort();
+          file.indexMatches = indexed.join() === file.addresses.join();
+        }
+      } catch {
+        file.decrypts = false;
+      }
+    }
+
+    const recommended = this._recommendKeystoreFile(files);
+    for (const file of files) {
+      if (file.decrypts && recommended) {
+        file.agrees = file.addresses.join() === recommended.addresses.join();
+      }
+    }
+
+    for (const file of files) {
+      if (file.indexMatches === false) {
+        issues.push({
+          type: 'index-mismatch',
+          message: `${file.name}: public account index does not match the encrypted accounts`,
+          files: [file.name]
+        });
+      }
+    }
+    if (files.some(file => file.role === 'current' && file.decrypts === false)) {
+      issues.push({
+        type: 'current-undecryptable',
+        message: `${KEYSTORE_FILE} does not decrypt with this password`,
+        files: [KEYSTORE_FILE]
+      });
+    }
+    const diverging = files.filter(file => file.role !== 'backup' && file.agrees === false);
+    if (diverging.length > 0) {
+      issues.push({
+        type: 'divergent-accounts',
+        message: 'Keystore files hold different account sets',
+        files: diverging.map(file => file.name)
+      });
+    }
+
+    return {
+      files,
+      issues,
+      recommended: recommended?.name ?? null
+    };
+  }
+
+  // Makes the chosen (verified) file the current keystore and moves stray,
+  // legacy and unreadable files to quarantine/<timestamp>/; readable backups stay
+  async consolidateKeystoreFiles(keepName, password) {
+    const { files } = await this.verifyKeystoreFiles(password);
+    const keep = files.find(file => file.name === keepName);
+    if (!keep) {
+      throw new Error(`Keystore file ${keepName} not found`);
+    }
+    if (!keep.decrypts) {
+      throw new Error(`${keepName} does not decrypt with this password, refusing to keep it`);
+    }
+
+    this.lock();
+    const keepData = keep.role !== 'current'
+      ? JSON.parse(await fs.readFile(keep.path, 'utf8'))
+      : null;
+
+    // Quarantined before keystore.json is written, which would otherwise move
+    // the legacy files to backups/legacy/ itself
+    const stray = files.filter(file =>
+      ['legacy', 'unknown', 'temp'].includes(file.role) ||
+      (file.role === 'backup' && file.error)
+    );
+
+    const quarantineDir = path.join(
+      this.keystoreDir,
+      QUARANTINE_DIR,
+      new Date().toISOString().replace(/[:.]/g, '-')
+    );
+    if (stray.length > 0) {
+      await fs.mkdir(quarantineDir, { recursive: true, mode: 0o700 });
+      for (const file of stray) {
+        await fs.rename(file.path, path.join(quarantineDir, path.basename(file.path)));
+      }
+      await FileUtils.syncDirectory(this.keystoreDir);
+    }
+
+    if (keepData) {
+      // The current file, if any, is rotated into the backup history first
+      await this._writeKeystoreFile(keepData);
+    }
+
+    await this.load();
+
+    return {
+      kept: keep.name,
+      quarantined: stray.map(file => file.name),
+      quarantineDir: stray.length > 0 ? quarantineDir : null
+    };
+  }
+
+  async _describeKeystoreFile(candidate) {
+    const file = {
+      ...candidate,
+      name: path.relative(this.keystoreDir, candidate.path)
+    };
+
+    let keystoreData;
+    try {
+      const [data, stats] = await Promise.all([
+        fs.readFile(candidate.path, 'utf8'),
+        fs.stat(candidate.path)
+      ]);
+      file.modified = stats.mtime;
+      keystoreData = JSON.parse(data);
+    } catch (err) {
+      if (err.code === 'ENOENT') {
+        return null;
+      }
+      file.error = err.message;
+      return file;
+    }
+
+    if (!keystoreData?.crypto?.encrypted) {
+      file.error = 'not a keystore file';
+      return file;
+    }
+
+    // Legacy files carry their write time in the name
+    const stamp = file.role === 'legacy' && file.name.match(LEGACY_TIMESTAMP_PATTERN);
+    file.written = stamp ? new Date(`${stamp[1]}:${stamp[2]}:${stamp[3]}.${stamp[4]}Z`) : file.modified;
+    file.id = keystoreData.id ?? null;
+    file.version = keystoreData.version ?? null;
+    file.kdf = keystoreData.crypto.scrypt || null; // null: written before parameters were recorded
+    file.accounts = keystoreData.index?.accounts?.length ?? null;
+    file.indexValid = keystoreData.index?.accounts
+      ? keystoreData.index.checksum === this._checksumIndex(keystoreData.index.accounts)
+      : null;
+    file.fingerprint = crypto.createHash('sha256')
+      .update(keystoreData.crypto.encrypted)
+      .digest('hex')
+      .slice(0, 16);
+
+    return file;
+  }
+
+  _findKeystoreIssues(files) {
+    const issues = [];
+    const live = files.filter(file => file.role !== 'backup');
+    const hasCurrent = files.some(file => file.role === 'current');
+
+    for (const file of files.filter(f => f.error)) {
+      issues.push({ type: 'unreadable', message: `${file.name}: ${file.error}`, files: [file.name] });
+    }
+
+    const stale = live.filter(file => file.role !== 'current');
+    if (stale.length > 0) {
+      issues.push({
+        type: 'stale-files',
+        message: hasCurrent
+          ? `${stale.length} stale file(s) next to ${KEYSTORE_FILE} (ignored when loading)`
+          : `${stale.length} keystore files without ${KEYSTORE_FILE}; only the newest legacy one is loaded`,
+        files: stale.map(file => file.name)
+      });
+    }
+
+    const ids = new Set(live.filter(file => file.id).map(file => file.id));
+    if (ids.size > 1) {
+      issues.push({
+        type: 'divergent-ids',
+        message: `Files belong to ${ids.size} different keystores (ids ${[...ids].join(', ')})`,
+        files: live.filter(file => file.id).map(file => file.name)
+      });
+    }
+
+    const byFingerprint = new Map();
+    for (const file of files.filter(f => f.fingerprint)) {
+      byFingerprint.set(file.fingerprint, [...(byFingerprint.get(file.fingerprint) || []), file]);
+    }
+    for (const group of byFingerprint.values()) {
+      if (group.length > 1) {
+        for (const file of group.slice(1)) {
+          file.duplicateOf = group[0].name;
+        }
+        issues.push({
+          type: 'duplicates',
+          message: `Identical copies: ${group.map(file => file.name).join(', ')}`,
+          files: group.map(file => file.name)
+        });
+      }
+    }
+
+    for (const file of files.filter(f => f.indexValid === false)) {
+      issues.push({
+        type: 'index-checksum',
+        message: `${file.name}: public account index is corrupted`,
+        files: [file.name]
+      });
+    }
+
+    for (const file of files.filter(f => f.version)) {
+      try {
+        KeystoreMigrations.assertSupportedFile(file);
+      } catch (err) {
+        issues.push({ type: 'unsupported-version', message: `${file.name}: ${err.message}`, files: [file.name] });
+      }
+    }
+
+    return issues;
+  }
+
+  // The current file if it decrypts, otherwise the newest file that does
+  _recommendKeystoreFile(files) {
+    const decrypting = files.filter(file => file.decrypts);
+    return decrypting.find(file => file.role === 'current')
+      || decrypting.sort((a, b) => b.written - a.written)[0]
+      || null;
+  }
+
+  // options.derivationPath: template name ("ledger-live"), template with {index},
+  // or a fixed custom path; defaults to the wallet's own template
+  async createNextAccount(password, options = {}) {
+    if (this.isLocked) {
+      throw new Error('Keystore is locked');
+    }
+    
+    if (!this.hasMnemonic()) {
+      throw new Error('This wallet has no recovery phrase, so it cannot derive HD accounts - add keys with "account import-key" instead');
+    }
+
+    const walletTemplate = this.walletData.derivationPath || DEFAULT_DERIVATION_PATH;
+    const template = options.derivationPath
+      ? DerivationPaths.resolve(options.derivationPath)
+      : walletTemplate;
+
+    let nextIndex = null;
+    let derivationPath = template;
+    if (DerivationPaths.isTemplate(template)) {
+      nextIndex = template === walletTemplate
+        ? (this.walletData.nextAccountIndex || 1)
+        : this._firstUnusedIndex(template);
+      derivationPath = DerivationPaths.pathFor(template, nextIndex);
+    }
+    
+    // Derive new account
+    const seed = this._revealSeed();
+    const newAccount = this._deriveFromMnemonic(seed.mnemonic, seed.passphrase, derivationPath);
+
+    const existing = this._findAccount(newAccount.address);
+    if (existing?.path) {
+      throw new Error(`Account ${newAccount.address} (${derivationPath}) is already in the wallet`);
+    }
+
+    let accountData = existing;
+    if (existing) {
+      // The address was imported or watched before: it is this HD account
+      delete existing.watchOnly;
+      delete existing.storedKey;
+      this.session.delete(storedKeyName(existing.address));
+      Object.assign(existing, {
+        path: derivationPath,
+        index: nextIndex
+      });
+    } else {
+      // Add to wallet data
+      accountData = {
+        address: newAccount.address,
+        path: derivationPath,
+        index: nextIndex,
+        visible: true,
+        label: `Account ${this.walletData.accounts.length + 1}`
+      };
+      this.walletData.accounts.push(accountData);
+    }
+    
+    if (template === walletTemplate) {
+      this.walletData.nextAccountIndex = nextIndex + 1;
+    }
+    
+    // Save updated wallet data
+    await this._saveUnlockedWalletData(password);
+    
+    return {
+      address: newAccount.address,
+      path: derivationPath,
+      index: nextIndex,
+      label: accountData.label
+    };
+  }
+
+  // Walk a path template and report addresses that have on-chain activity.
+  // Scanning stops after gapLimit consecutive unused addresses.
+  async discoverAccounts(options = {}) {
+    if (this.isLocked) {
+      throw new Error('Keystore is locked');
+    }
+
+    if (!this.hasMnemonic()) {
+      throw new Error('No mnemonic found - discovery needs an HD wallet');
+    }
+
+    const template = options.derivationPath
+      ? DerivationPaths.resolve(options.derivationPath)
+      : (this.walletData.derivationPath || DEFAULT_DERIVATION_PATH);
+    if (!DerivationPaths.isTemplate(template)) {
+      throw new Error('Discovery needs a path template with {index}');
+    }
+
+    const gapLimit = options.gapLimit ?? DEFAULT_GAP_LIMIT;
+    if (!Number.isInteger(gapLimit) || gapLimit < 1) {
+      throw new Error('Gap limit must be a positive integer');
+    }
+
+    const provider = options.provider || this._createProvider(options.network);
+    const seed = this._revealSeed();
+    const root = DerivationPaths.rootFromMnemonic(seed.mnemonic, seed.passphrase);
+
+    const retired = new Set(this.walletData.retiredPaths || []);
+    const found = [];
+    let gap = 0;
+    let index = options.startIndex ?? 0;
+
+    while (gap < gapLimit && index < MAX_DISCOVERY_INDEX) {
+      const path = DerivationPaths.pathFor(template, index);
+      const address = root.derivePath(path).address;
+      const known = !!this._findAccount(address);
+
+      const [transactionCount, balance] = await Promise.all([
+        provider.getTransactionCount(address),
+        provider.getBalance(address)
+      ]);
+      const used = transactionCount > 0 || balance > 0n;
+
+      options.onProgress?.({ index, address, used });
+
+      if (used || known) {
+        gap = 0;
+        if (used) {
+          found.push({ address, path, index, balance, transactionCount, known, removed: retired.has(path) });
+        }
+      } else {
+        gap++;
+      }
+      index++;
+    }
+
+    return { derivationPath: template, scanned: index, accounts: found };
+  }
+
+  // Add accounts returned by discoverAccounts(); known addresses are skipped
+  async addDiscoveredAccounts(accounts, password) {
+    if (this.isLocked) {
+      throw new Error('Keystore is locked');
+    }
+
+    if (!this.hasMnemonic()) {
+      throw new Error('No mnemonic found - wallet may have been imported from private key');
+    }
+
+    const walletTemplate = this.walletData.derivationPath || DEFAULT_DERIVATION_PATH;
+    const added = [];
+    const seed = this._revealSeed();
+
+    for (const account of accounts) {
+      const wallet = this._deriveFromMnemonic(seed.mnemonic, seed.passphrase, account.path);
+
+      if (this._findAccount(wallet.address)) {
+        continue;
+      }
+
+      const accountData = {
+        address: wallet.address,
+        path: account.path,
+        index: account.index,
+        visible: true,
+        label: `Account ${this.walletData.accounts.length + 1}`
+      };
+      this.walletData.accounts.push(accountData);
+      added.push({ address: wallet.address, path: account.path, index: account.index, label: accountData.label });
+
+      // Keep create-account from deriving an index that was just added
+      if (account.path === DerivationPaths.pathFor(walletTemplate, account.index)) {
+        this.walletData.nextAccountIndex = Math.max(
+          this.walletData.nextAccountIndex || 1,
+          account.index + 1
+        );
+      }
+    }
+
+    if (added.length > 0) {
+      await this._saveUnlockedWalletData(password);
+    }
+
+    return added;
+  }
+
+  _createProvider(network) {
+    if (!network?.rpc) {
+      throw new Error('No RPC endpoint configured for discovery');
+    }
+    return new ethers.JsonRpcProvider(network.rpc, network.chainId, { staticNetwork: true });
+  }
+
+  _findAccount(address) {
+    return this.walletData.accounts.find(
+      acc => acc.address.toLowerCase() === address.toLowerCase()
+    );
+  }
+
+  // Paths of removed accounts count as used, so their addresses aren't handed out again
+  _firstUnusedIndex(template) {
+    const paths = new Set([
+      ...this.walletData.accounts.map(acc => acc.path),
+      ...(this.walletData.retiredPaths || [])
+    ]);
+    let index = 0;
+    while (paths.has(DerivationPaths.pathFor(template, index))) {
+      index++;
+    }
+    return index;
+  }
+
+  // Derive from the seed root; fromPhrase() alone returns a node that is
+  // already at the default path and can't derive absolute paths
+  _deriveFromMnemonic(phrase, passphrase, derivationPath) {
+    const mnemonic = MnemonicUtils.toMnemonic(phrase, passphrase);
+    return ethers.HDNodeWallet.fromMnemonic(mnemonic, derivationPath);
+  }
+
+  // A hidden wallet uses the stored mnemonic with a different BIP-39 passphrase.
+  // Its accounts live in memory only until lock, so nothing on disk reveals it.
+  openHiddenWallet(passphrase, count = 1) {
+    if (this.isLocked) {
+      throw new Error('Keystore is locked');
+    }
+
+    if (!this.hasMnemonic()) {
+      throw new Error('No mnemonic found - hidden wallets need an HD wallet');
+    }
+
+    if (!passphrase) {
+      throw new Error('Passphrase required to open a hidden wallet');
+    }
+
+    if (!Number.isInteger(count) || count < 1 || count > 20) {
+      throw new Error('Hidden wallet account count must be between 1 and 20');
+    }
+
+    const { mnemonic } = this._revealSeed();
+    const accounts = [];
+    for (let index = 0; index < count; index++) {
+      const derivationPath = `m/44'/60'/0'/0/${index}`;
+      const wallet = this._deriveFromMnemonic(mnemonic, passphrase, derivationPath);
+      this._sealKey(derivedKeyName(wallet.address), wallet.privateKey);
+      this.hiddenAccounts.add(wallet.address.toLowerCase());
+      accounts.push({ address: wallet.address, path: derivationPath, index });
+    }
+
+    return accounts;
+  }
+
+  closeHiddenWallets() {
+    for (const address of this.hiddenAccounts) {
+      this.session?.delete(derivedKeyName(address));
+    }
+    this.hiddenAccounts.clear();
+  }
+
+  // Add a standalone private key next to the HD accounts. A watch-only
+  // account for the same address is upgraded to a signing account.
+  async importPrivateKey(privateKey, password, options = {}) {
+    if (this.isLocked) {
+      throw new Error('Keystore is locked');
+    }
+
+    let wallet;
+    try {
+      wallet = new ethers.Wallet(privateKey.trim());
+    } catch (err) {
+      throw new Error('Invalid private key');
+    }
+
+    const existing = this._findAccount(wallet.address);
+    if (existing && !existing.watchOnly) {
+      throw new Error(`Account ${wallet.address} is already in the wallet`);
+    }
+
+    let accountData = existing;
+    if (existing) {
+      delete existing.watchOnly;
+      existing.storedKey = true;
+      if (options.label) {
+        existing.label = options.label;
+      }
+    } else {
+      accountData = {
+        address: wallet.address,
+        path: null,
+        storedKey: true,
+        index: null,
+        visible: true,
+        label: options.label || `Account ${this.walletData.accounts.length + 1}`
+      };
+      this.walletData.accounts.push(accountData);
+    }
+
+    this._sealKey(storedKeyName(wallet.address), wallet.privateKey);
+    await this._saveUnlockedWalletData(password);
+
+    return {
+      address: wallet.address,
+      label: accountData.label,
+      upgraded: !!existing
+    };
+  }
+
+  // Where an account's key comes from; HD accounts have a path and no stored key
+  _accountOrigin(accountData) {
+    if (accountData.watchOnly) {
+      return 'watch-only';
+    }
+    return accountData.path && !accountData.storedKey ? 'hd' : 'imported';
+  }
+
+  // Index 0 of the wallet's own template; index 0 of a custom path (create
+  // --path) is an ordinary account
+  _isPrimaryAccount(accountData) {
+    const template = this.walletData.derivationPath || DEFAULT_DERIVATION_PATH;
+    return this._accountOrigin(accountData) === 'hd'
+      && accountData.path === DerivationPaths.pathFor(template, 0);
+  }
+
+  // Track an address without its key (treasury, multisig); it can't sign
+  async addWatchOnlyAccount(address, password, options = {}) {
+    if (this.isLocked) {
+      throw new Error('Keystore is locked');
+    }
+
+    let checksummed;
+    try {
+      checksummed = ethers.getAddress(address);
+    } catch (err) {
+      throw new Error(`Invalid address: ${address}`);
+    }
+
+    if (this._findAccount(checksummed)) {
+      throw new Error(`Account ${checksummed} is already in the wallet`);
+    }
+
+    const accountData = {
+      address: checksummed,
+      path: null,
+      index: null,
+      visible: true,
+      watchOnly: true,
+      label: options.label || `Watch ${this.getWatchOnlyAccounts().length + 1}`
+    };
+
+    this.walletData.accounts.push(accountData);
+    await this._saveUnlockedWalletData(password);
+
+    return {
+      address: checksummed,
+      label: accountData.label
+    };
+  }
+
+  async hideAccount(address, password) {
+    return await this._setAccountVisibility(address, false, password);
+  }
+
+  async showAccount(address, password) {
+    return await this._setAccountVisibility(address, true, password);
+  }
+
+  async setAccountLabel(address, label, password) {
+    if (this.isLocked) {
+      throw new Error('Keystore is locked');
+    }
+
+    const accountData = this.walletData.accounts.find(
+      acc => acc.address.toLowerCase() === address.toLowerCase()
+    );
+    
+    if (!accountData) {
+      throw new Error('Account not found');
+    }
+
+    accountData.label = label;
+    await this._saveUnlockedWalletData(password);
+    
+    return true;
+  }
+
+  async _setAccountVisibility(address, visible, password) {
+    if (this.isLocked) {
+      throw new Error('Keystore is locked');
+    }
+
+    const accountData = this.walletData.accounts.find(
+      acc => acc.address.toLowerCase() === address.toLowerCase()
+    );
+    
+    if (!accountData) {
+      throw new Error('Account not found');
+    }
+
+    if (!visible && this._isPrimaryAccount(accountData)) {
+      throw new Error('Cannot hide the primary account');
+    }
+
+    accountData.visible = visible;
+    await this._saveUnlockedWalletData(password);
+    
+    return true;
+  }
+
+  // Deletes an account from the wallet. An imported key is gone for good; an
+  // HD account can be derived again, but its index is never handed out again
+  async removeAccount(address, password) {
+    if (this.isLocked) {
+      throw new Error('Keystore is locked');
+    }
+
+    const accountData = this._findAccount(address);
+    if (!accountData) {
+      throw new Error('Account not found');
+    }
+
+    if (this._isPrimaryAccount(accountData)) {
+      throw new Error('Cannot remove the primary account');
+    }
+    if (this.walletData.accounts.length === 1) {
+      throw new Error('Cannot remove the last account of the wallet');
+    }
+
+    const origin = this._accountOrigin(accountData);
+    this.walletData.accounts = this.walletData.accounts.filter(acc => acc !== accountData);
+    if (origin === 'hd') {
+      this.walletData.retiredPaths = [...(this.walletData.retiredPaths || []), accountData.path];
+    }
+
+    // The stored key has to be in the saved data until the account is gone from it
+    await this._saveUnlockedWalletData(password);
+    this.session.delete(storedKeyName(accountData.address));
+    this.session.delete(derivedKeyName(accountData.address));
+
+    return {
+      address: accountData.address,
+      label: accountData.label,
+      origin
+    };
+  }
+
+  // Moves an account to a 0-based position in the wallet's order, which is
+  // the order getAccounts() returns and DApps see
+  async moveAccount(address, position, password) {
+    if (this.isLocked) {
+      throw new Error('Keystore is locked');
+    }
+
+    const accounts = this.walletData.accounts;
+    const accountData = this._findAccount(address);
+    if (!accountData) {
+      throw new Error('Account not found');
+    }
+
+    if (!Number.isInteger(position) || position < 0 || position >= accounts.length) {
+      throw new Error(`Position is out of range (the wallet has ${accounts.length} accounts)`);
+    }
+
+    accounts.splice(accounts.indexOf(accountData), 1);
+    accounts.splice(position, 0, accountData);
+    await this._saveUnlockedWalletData(password);
+
+    return accounts.map(acc => acc.address);
+  }
+
+  // Replaces the tags of an account; tags group accounts ("trading", "cold")
+  async setAccountTags(address, tags, password) {
+    if (this.isLocked) {
+      throw new Error('Keystore is locked');
+    }
+
+    const accountData = this._findAccount(address);
+    if (!accountData) {
+      throw new Error('Account not found');
+    }
+
+    const normalized = [...new Set(tags.map(tag => String(tag).trim().toLowerCase()))];
+    for (const tag of normalized) {
+      if (!TAG_PATTERN.test(tag)) {
+        throw new Error(`Invalid tag "${tag}": use 1-32 characters of lowercase letters, digits, "-" or "_"`);
+      }
+    }
+
+    if (normalized.length > 0) {
+      accountData.tags = normalized.sort();
+    } else {
+      delete accountData.tags;
+    }
+    await this._saveUnlockedWalletData(password);
+
+    return accountData.tags || [];
+  }
+
+  getAccountDetails(address) {
+    const accounts = this.isLocked ? this.publicIndex : this.walletData?.accounts;
+    if (this.isLocked && !accounts) {
+      throw new Error('Keystore is locked');
+    }
+
+    const accountData = accounts?.find(
+      acc => acc.address.toLowerCase() === address.toLowerCase()
+    );
+    
+    return accountData ? {
+      address: accountData.address,
+      path: accountData.path,
+      index: accountData.index,
+      visible: accountData.visible,
+      label: accountData.label,
+      tags: accountData.tags || [],
+      watchOnly: !!accountData.watchOnly,
+      origin: this._accountOrigin(accountData)
+    } : null;
+  }
+
+  getAllAccountDetails(includeHidden = false) {
+    const accounts = this.isLocked ? this.publicIndex : this.walletData?.accounts;
+    if (this.isLocked && !accounts) {
       throw new Error('Keystore is locked');
     }
 
-    if (!this.walletData?.accounts) {
+    if (!accounts) {
       return [];
     }
 
-    return this.walletData.accounts
+    return accounts
       .filter(acc => includeHidden || acc.visible !== false)
       .map(acc => ({
         address: acc.address,
         path: acc.path,
         index: acc.index,
         visible: acc.visible,
-        label: acc.label
+        label: acc.label,
+        tags: acc.tags || [],
+        watchOnly: !!acc.watchOnly,
+        origin: this._accountOrigin(acc)
       }));
   }
 
@@ -381,6 +1805,9 @@ export class Keystore {
       await fs.unlink(this.keystorePath);
       this.keystorePath = null;
       this.encryptedData = null;
+      this.publicIndex = null;
     }
+    // Deleting is permanent, so the encrypted history goes too
+    await fs.rm(path.join(this.keystoreDir, BACKUP_DIR), { recursive: true, force: true });
   }
 }
\ No newline at end of file
@@ -0,0 +1,310 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import util from 'node:util';
+import crypto from 'node:crypto';
+import { Buffer } from 'node:buffer';
+import { ethers } from 'ethers';
+import { Keystore } from './keystore.js';
+import { CryptoUtils } from './crypto.js';
+import { WalletBackup } from './backup.js';
+import { KEYSTORE_SCHEMA_VERSION } from './migrations.js';
+
+const PASSWORD = 'correct horse battery';
+const MNEMONIC = 'test test test test test test test test test test test junk';
+const IMPORTED_KEY = '0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d';
+
+async function unlockedKeystore(t) {
+  const keystoreDir = await fs.mkdtemp(path.join(os.tmpdir(), 'keystore-test-'));
+  t.after(() => fs.rm(keystoreDir, { recursive: true, force: true }));
+
+  const keystore = new Keystore({ keystoreDir });
+  await keystore.init();
+  await keystore.importWallet(MNEMONIC, PASSWORD);
+  await keystore.importPrivateKey(IMPORTED_KEY, PASSWORD);
+  keystore.lock();
+  assert.ok(await keystore.unlock(PASSWORD));
+  return keystore;
+}
+
+// Everything reachable from the keystore object, including non-enumerable properties
+function dump(keystore) {
+  return util.inspect(keystore, { depth: Infinity, showHidden: true, maxArrayLength: Infinity, maxStringLength: Infinity });
+}
+
+test('unlocked keystore keeps no plaintext keys or mnemonic in memory', async (t) => {
+  const keystore = await unlockedKeystore(t);
+  const hdWallet = ethers.HDNodeWallet.fromPhrase(MNEMONIC, '', "m/44'/60'/0'/0/0");
+  const imported = new ethers.Wallet(IMPORTED_KEY);
+
+  const signature = await keystore.signMessage('hello', hdWallet.address);
+  assert.equal(ethers.verifyMessage('hello', signature), hdWallet.address);
+  await keystore.signTransaction({ to: hdWallet.address, value: 1n, chainId: 1, gasLimit: 21000n, gasPrice: 1n }, imported.address);
+
+  const state = dump(keystore).toLowerCase();
+  for (const key of [hdWallet.privateKey, IMPORTED_KEY]) {
+    assert.ok(!state.includes(key.slice(2)), 'private key found in keystore state');
+  }
+  assert.ok(!state.includes(MNEMONIC), 'mnemonic found in keystore state');
+  assert.ok(!state.includes(PASSWORD), 'password found in keystore state');
+
+  // The sealed copies are ciphertext, not the raw key bytes
+  for (const key of [hdWallet.privateKey, IMPORTED_KEY]) {
+    const keyBytes = Buffer.from(ethers.getBytes(key));
+    for (const entry of keystore.session._sealed.values()) {
+      assert.ok(!entry.data.includes(keyBytes));
+    }
+  }
+});
+
+test('signing zeroes the decrypted key once the call is done', async (t) => {
+  const keystore = await unlockedKeystore(t);
+  const imported = new ethers.Wallet(IMPORTED_KEY);
+
+  const seen = [];
+  const use = keystore.session.use.bind(keystore.session);
+  keystore.session.use = (name, fn) => use(name, (plaintext) => {
+    seen.push(plaintext);
+    assert.equal(ethers.hexlify(plaintext), IMPORTED_KEY);
+    return fn(plaintext);
+  });
+
+  await keystore.signMessage('hello', imported.address);
+
+  assert.equal(seen.length, 1);
+  assert.ok(seen[0].every(byte => byte === 0));
+});
+
+test('an unlocked keystore saves changes without the password', async (t) => {
+  const keystore = await unlockedKeystore(t);
+  const account = await keystore.createNextAccount(null);
+  await keystore.setAccountLabel(account.address, 'Savings', null);
+
+  keystore.lock();
+  assert.ok(await keystore.unlock(PASSWORD));
+  assert.equal(keystore.getAccountDetails(account.address).label, 'Savings');
+});
+
+test('an unlocked keystore refuses to save over a file another process changed', async (t) => {
+  const keystore = await unlockedKeystore(t);
+  const other = new Keystore({ keystoreDir: keystore.keystoreDir });
+  await other.init();
+  await other.changePassword(PASSWORD, 'a new password');
+
+  await assert.rejects(keystore.createNextAccount(null), /changed by another process/);
+
+  await keystore.load();
+  assert.ok(await keystore.unlock('a new password'));
+});
+
+test('lock destroys the session key and sealed secrets', async (t) => {
+  const keystore = await unlockedKeystore(t);
+  const session = keystore.session;
+  const sessionKey = session._key;
+  const sealed = [...session._sealed.values()];
+
+  keystore.lock();
+
+  assert.equal(keystore.session, null);
+  assert.equal(keystore.walletData, null);
+  assert.ok(sessionKey.every(byte => byte === 0));
+  assert.equal(session._sealed.size, 0);
+  for (const entry of sealed) {
+    assert.ok(entry.data.every(byte => byte === 0));
+  }
+  await assert.rejects(keystore.signMessage('hello', new ethers.Wallet(IMPORTED_KEY).address), /locked/);
+});
+
+test('saving the unlocked keystore keeps its secrets on disk', async (t) => {
+  const keystore = await unlockedKeystore(t);
+  await keystore.setAccountLabel(new ethers.Wallet(IMPORTED_KEY).address, 'Imported', PASSWORD);
+
+  keystore.lock();
+  await keystore.unlock(PASSWORD);
+
+  assert.equal(keystore.exportMnemonic().mnemonic, MNEMONIC);
+  assert.equal(await keystore.exportPrivateKey(new ethers.Wallet(IMPORTED_KEY).address), IMPORTED_KEY);
+  assert.equal(keystore.getAccountDetails(new ethers.Wallet(IMPORTED_KEY).address).origin, 'imported');
+});
+
+test('typed data is signed by the requested account', async (t) => {
+  const keystore = await unlockedKeystore(t);
+  const imported = new ethers.Wallet(IMPORTED_KEY);
+  const domain = { name: 'Mail', version: '1', chainId: 1 };
+  const types = { Mail: [{ name: 'contents', type: 'string' }] };
+  const value = { contents: 'hello' };
+
+  const signature = await keystore.signTypedData(domain, types, value, imported.address);
+
+  assert.equal(ethers.verifyTypedData(domain, types, value, signature), imported.address);
+});
+
+test('legacy keystore files move to backups/legacy/ after the first save', async (t) => {
+  const keystore = await unlockedKeystore(t);
+  const dir = keystore.keystoreDir;
+  await fs.rename(path.join(dir, 'keystore.json'), path.join(dir, 'keystore-2024-01-31T12-00-00-000Z.json'));
+  await fs.writeFile(path.join(dir, 'notes.json'), '{}');
+
+  const legacy = new Keystore({ keystoreDir: dir });
+  await legacy.init();
+  assert.equal(await legacy.countKeystoreFiles(), 1);
+  assert.ok(await legacy.unlock(PASSWORD));
+  await legacy.createNextAccount(null);
+
+  const files = await fs.readdir(dir);
+  assert.ok(files.includes('keystore.json'));
+  assert.ok(!files.some(file => file.startsWith('keystore-')));
+  assert.deepEqual(await fs.readdir(path.join(dir, 'backups', 'legacy')), ['keystore-2024-01-31T12-00-00-000Z.json']);
+  assert.equal(await legacy.countKeystoreFiles(), 1);
+});
+
+test('an edited public index is rebuilt on unlock and reported', async (t) => {
+  const keystore = await unlockedKeystore(t);
+  const file = path.join(keystore.keystoreDir, 'keystore.json');
+  const data = JSON.parse(await fs.readFile(file, 'utf8'));
+  const genuine = data.index.accounts[0].address;
+
+  // A consistent edit passes the checksum, so it is listed while locked
+  data.index.accounts[0].address = '0x000000000000000000000000000000000000dEaD';
+  data.index.checksum = keystore._checksumIndex(data.index.accounts);
+  await fs.writeFile(file, JSON.stringify(data));
+  keystore.lock();
+  await keystore.load();
+  assert.ok(keystore.getAccounts().includes('0x000000000000000000000000000000000000dead'));
+
+  assert.deepEqual(await keystore.unlock(PASSWORD), { migration: null, indexRepaired: true });
+  assert.match(Keystore.unlockNotices({ migration: null, indexRepaired: true })[0], /rebuilt/);
+  const repaired = JSON.parse(await fs.readFile(file, 'utf8'));
+  assert.equal(repaired.index.accounts[0].address, genuine);
+
+  keystore.lock();
+  assert.deepEqual(await keystore.unlock(PASSWORD), { migration: null, indexRepaired: false });
+});
+
+test('a public index failing its checksum is ignored while locked', async (t) => {
+  const keystore = await unlockedKeystore(t);
+  const file = path.join(keystore.keystoreDir, 'keystore.json');
+  const data = JSON.parse(await fs.readFile(file, 'utf8'));
+  data.index.accounts[0].label = 'edited';
+  await fs.writeFile(file, JSON.stringify(data));
+  keystore.lock();
+  await keystore.load();
+
+  assert.equal(keystore.isPublicIndexCorrupted(), true);
+  assert.deepEqual(keystore.getAccounts(), []);
+  assert.deepEqual(await keystore.unlock(PASSWORD), { migration: null, indexRepaired: true });
+  keystore.lock();
+  assert.equal(keystore.isPublicIndexCorrupted(), false);
+});
+
+// A keystore file whose wallet data is the given object, as older (or newer)
+// versions wrote it
+async function writeKeystore(t, walletData) {
+  const keystoreDir = await fs.mkdtemp(path.join(os.tmpdir(), 'keystore-test-'));
+  t.after(() => fs.rm(keystoreDir, { recursive: true, force: true }));
+
+  const file = path.join(keystoreDir, 'keystore.json');
+  await fs.writeFile(file, JSON.stringify({
+    id: crypto.randomUUID(),
+    crypto: await CryptoUtils.encrypt(JSON.stringify(walletData), PASSWORD)
+  }));
+  const keystore = new Keystore({ keystoreDir });
+  await keystore.init();
+  return { keystore, file };
+}
+
+test('unlocking an old-schema keystore migrates it and returns the steps', async (t) => {
+  const wallet = ethers.Wallet.fromPhrase(MNEMONIC);
+  const { keystore, file } = await writeKeystore(t, {
+    mnemonic: MNEMONIC,
+    accounts: [{ address: wallet.address, path: "m/44'/60'/0'/0/0", privateKey: wallet.privateKey }]
+  });
+  const original = await fs.readFile(file, 'utf8');
+
+  const { migration } = await keystore.unlock(PASSWORD);
+
+  assert.equal(migration.from, 0);
+  assert.equal(migration.to, KEYSTORE_SCHEMA_VERSION);
+  assert.deepEqual(migration.steps.map(step => step.version), [1, 2]);
+  assert.equal(await fs.readFile(migration.backupPath, 'utf8'), JSON.stringify(JSON.parse(original), null, 2));
+  assert.match(Keystore.unlockNotices({ migration })[0], /migrated from schema 0 to 2/);
+
+  const details = keystore.getAccountDetails(wallet.address);
+  assert.equal(details.label, 'Account 1');
+  assert.equal(details.index, 0);
+  assert.equal(ethers.verifyMessage('hello', await keystore.signMessage('hello', wallet.address)), wallet.address);
+
+  // The stored HD key is gone and the next unlock has nothing to migrate
+  keystore.lock();
+  await keystore.load();
+  assert.ok(!(await keystore._decryptWalletData(PASSWORD)).accounts[0].privateKey);
+  assert.equal((await keystore.unlock(PASSWORD)).migration, null);
+});
+
+test('wallet data from a newer schema is refused and left untouched', async (t) => {
+  const wallet = ethers.Wallet.fromPhrase(MNEMONIC);
+  const { keystore, file } = await writeKeystore(t, {
+    schemaVersion: KEYSTORE_SCHEMA_VERSION + 1,
+    mnemonic: MNEMONIC,
+    accounts: [{ address: wallet.address, path: "m/44'/60'/0'/0/0" }]
+  });
+  const original = await fs.readFile(file, 'utf8');
+
+  await assert.rejects(keystore.unlock(PASSWORD), /newer than this wallet supports/);
+
+  assert.equal(keystore.isLocked, true);
+  assert.equal(await fs.readFile(file, 'utf8'), original);
+  assert.deepEqual(await fs.readdir(keystore.keystoreDir), ['keystore.json']);
+});
+
+test('only index 0 of the wallet template is kept as the primary account', async (t) => {
+  const keystore = await unlockedKeystore(t);
+  const primary = ethers.HDNodeWallet.fromPhrase(MNEMONIC, '', "m/44'/60'/0'/0/0");
+  const other = await keystore.createNextAccount(null, { derivationPath: "m/44'/60'/1'/0/{index}" });
+  assert.equal(other.index, 0);
+
+  await assert.rejects(keystore.hideAccount(primary.address, null), /Cannot hide the primary account/);
+  await assert.rejects(keystore.removeAccount(primary.address, null), /Cannot remove the primary account/);
+
+  await keystore.hideAccount(other.address, null);
+  const removed = await keystore.removeAccount(other.address, null);
+  assert.equal(removed.origin, 'hd');
+  assert.ok(!keystore.getAccounts(true).includes(other.address.toLowerCase()));
+});
+
+test('a password change re-encrypts or deletes the backups under the old password', async (t) => {
+  const keystore = await unlockedKeystore(t);
+  const backups = path.join(keystore.keystoreDir, 'backups');
+
+  await keystore.changePassword(PASSWORD, 'second password', { backups: 'reencrypt' });
+  const { backups: history } = await keystore.changePassword('second password', 'third password', { backups: 'reencrypt' });
+
+  assert.ok(history.reencrypted.length > 0);
+  assert.deepEqual(history.removed, []);
+  assert.deepEqual(history.left, []);
+  for (const file of history.reencrypted) {
+    const { crypto: encrypted } = JSON.parse(await fs.readFile(file, 'utf8'));
+    await assert.rejects(CryptoUtils.decrypt(encrypted, 'second password'), /Invalid password/);
+    assert.ok(await CryptoUtils.decrypt(encrypted, 'third password'));
+  }
+
+  const purged = await keystore.changePassword('third password', 'fourth password', { backups: 'purge' });
+  assert.ok(purged.backups.removed.length > 0);
+  assert.deepEqual(await fs.readdir(backups), []);
+  await assert.rejects(keystore.changePassword('fourth password', 'fifth password', { backups: 'shred' }), /Unknown backup option/);
+});
+
+test('upgrading or restoring refuses a file another process changed', async (t) => {
+  const keystore = await unlockedKeystore(t);
+  const archive = await keystore.exportBackup(PASSWORD, 'backup password');
+  const payload = await WalletBackup.decrypt(archive, 'backup password');
+  const other = new Keystore({ keystoreDir: keystore.keystoreDir });
+  await other.init();
+  await other.changePassword(PASSWORD, 'a new password');
+
+  await assert.rejects(keystore.upgradeEncryption(PASSWORD, { N: 2048, r: 8, p: 1 }), /changed by another process/);
+  await assert.rejects(keystore.restoreFromBackup(payload, 'a third password'), /changed by another process/);
+  assert.equal(keystore.isLocked, false);
+});
@@ -0,0 +1,102 @@
+import { DerivationPaths, DEFAULT_DERIVATION_PATH } from './derivation.js';
+import { MnemonicUtils } from './mnemonic.js';
+
+// Outer keystore file format. Minor versions only add fields older code can
+// ignore; a newer major version is refused.
+export const KEYSTORE_VERSION = '1.1.0';
+
+// Ordered steps that bring the decrypted wallet data up to date. Each step's
+// version is the schemaVersion it produces; payloads without one are version 0.
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Fill in account fields missing from wallets imported by older versions',
+    up(walletData) {
+      const template = walletData.derivationPath || DEFAULT_DERIVATION_PATH;
+      walletData.derivationPath = template;
+      if (walletData.mnemonic && !walletData.language) {
+        walletData.language = MnemonicUtils.detectLanguage(walletData.mnemonic) || 'en';
+      }
+
+      walletData.accounts.forEach((acc, i) => {
+        acc.path = acc.path ?? null;
+        acc.index = acc.index ?? DerivationPaths.indexOf(template, acc.path);
+        acc.visible = acc.visible ?? true;
+        acc.label = acc.label ?? `Account ${i + 1}`;
+      });
+
+      if (walletData.nextAccountIndex === undefined) {
+        const used = walletData.accounts
+          .filter(acc => acc.index !== null && acc.path === DerivationPaths.pathFor(template, acc.index))
+          .map(acc => acc.index);
+        walletData.nextAccountIndex = used.length > 0 ? Math.max(...used) + 1 : 1;
+      }
+    }
+  },
+  {
+    version: 2,
+    description: 'Drop stored HD private keys, they are derived from the seed',
+    up(walletData) {
+      const stored = walletData.mnemonic
+        ? walletData.accounts.filter(acc => acc.path && acc.privateKey)
+        : [];
+      if (stored.length === 0) {
+        return;
+      }
+
+      // A key that doesn't match its path is kept rather than lost
+      const root = DerivationPaths.rootFromMnemonic(walletData.mnemonic, walletData.passphrase);
+      for (const acc of stored) {
+        if (root.derivePath(acc.path).address.toLowerCase() === acc.address.toLowerCase()) {
+          delete acc.privateKey;
+        }
+      }
+    }
+  }
+];
+
+export const KEYSTORE_SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+export class KeystoreMigrations {
+  static schemaVersionOf(walletData) {
+    return walletData.schemaVersion ?? 0;
+  }
+
+  static assertSupportedFile(keystoreData) {
+    // Files from before the version was recorded are 1.0.0
+    const version = keystoreData?.version ?? '1.0.0';
+    const major = parseInt(String(version), 10);
+    const supported = parseInt(KEYSTORE_VERSION, 10);
+    if (!Number.isInteger(major) || major > supported) {
+      throw new Error(
+        `Keystore file version ${version} is newer than this wallet supports (${KEYSTORE_VERSION}) - upgrade daemon-wallet to open it`
+      );
+    }
+  }
+
+  static assertSupportedSchema(walletData) {
+    const version = this.schemaVersionOf(walletData);
+    if (!Number.isInteger(version) || version > KEYSTORE_SCHEMA_VERSION) {
+      throw new Error(
+        `Wallet data schema version ${version} is newer than this wallet supports (${KEYSTORE_SCHEMA_VERSION}) - upgrade daemon-wallet to open it`
+      );
+    }
+  }
+
+  static pending(walletData) {
+    this.assertSupportedSchema(walletData);
+    const version = this.schemaVersionOf(walletData);
+    return MIGRATIONS.filter(migration => migration.version > version);
+  }
+
+  // Migrates in place; returns the steps that ran
+  static migrate(walletData) {
+    const applied = [];
+    for (const migration of this.pending(walletData)) {
+      migration.up(walletData);
+      walletData.schemaVersion = migration.version;
+      applied.push({ version: migration.version, description: migration.description });
+    }
+    return applied;
+  }
+}
@@ -0,0 +1,182 @@
+import { ethers } from 'ethers';
+
+export const MNEMONIC_WORD_COUNTS = [12, 15, 18, 21, 24];
+
+export const MNEMONIC_LANGUAGES = {
+  en: 'English',
+  es: 'Spanish',
+  fr: 'French',
+  it: 'Italian',
+  pt: 'Portuguese',
+  cz: 'Czech',
+  ja: 'Japanese',
+  ko: 'Korean',
+  zh_cn: 'Chinese (Simplified)',
+  zh_tw: 'Chinese (Traditional)'
+};
+
+const MAX_SUGGESTIONS = 3;
+const MAX_EDIT_DISTANCE = 2;
+
+export class MnemonicUtils {
+  static getWordlist(language = 'en') {
+    const wordlist = ethers.wordlists[language];
+    if (!wordlist) {
+      throw new Error(`Unsupported mnemonic language: ${language} (use ${Object.keys(MNEMONIC_LANGUAGES).join(', ')})`);
+    }
+    return wordlist;
+  }
+
+  static generate(options = {}) {
+    const words = options.words ?? 12;
+    if (!MNEMONIC_WORD_COUNTS.includes(words)) {
+      throw new Error(`Mnemonic length must be one of ${MNEMONIC_WORD_COUNTS.join(', ')} words`);
+    }
+
+    // 12 words = 128 bits of entropy, each 3 extra words add 32 bits
+    const entropy = ethers.randomBytes((words / 3) * 4);
+    const mnemonic = ethers.Mnemonic.fromEntropy(entropy, null, this.getWordlist(options.language));
+    return mnemonic.phrase;
+  }
+
+  // Lower-case, NFKD and single separators, the form BIP-39 hashes
+  static splitWords(phrase) {
+    return phrase.normalize('NFKD').toLowerCase().trim().split(/\s+/).filter(Boolean);
+  }
+
+  static normalize(phrase, language = null) {
+    const words = this.splitWords(phrase);
+    const lang = language || this.detectLanguage(phrase) || 'en';
+    return this.getWordlist(lang).join(words);
+  }
+
+  // Language the phrase is valid in; otherwise the wordlist containing most of
+  // its words (wordlists overlap, e.g. both Chinese lists share characters)
+  static detectLanguage(phrase) {
+    const words = this.splitWords(phrase);
+    let best = null;
+    let bestCount = 0;
+
+    for (const language of Object.keys(MNEMONIC_LANGUAGES)) {
+      const wordlist = this.getWordlist(language);
+      const count = words.filter(word => wordlist.getWordIndex(word) >= 0).length;
+      if (count === words.length && ethers.Mnemonic.isValidMnemonic(wordlist.join(words), wordlist)) {
+        return language;
+      }
+      if (count > bestCount) {
+        best = language;
+        bestCount = count;
+      }
+    }
+
+    return best;
+  }
+
+  // Returns { valid, language, words, errors }; each error has a message and,
+  // for unknown words, the word position and suggestions from the wordlist
+  static validate(phrase, language = null) {
+    const words = this.splitWords(phrase);
+    const lang = language || this.detectLanguage(phrase) || 'en';
+    const wordlist = this.getWordlist(lang);
+    const errors = [];
+
+    if (!MNEMONIC_WORD_COUNTS.includes(words.length)) {
+      errors.push({
+        message: `Mnemonic must have ${MNEMONIC_WORD_COUNTS.join(', ')} words (got ${words.length})`
+      });
+    }
+
+    words.forEach((word, i) => {
+      if (wordlist.getWordIndex(word) < 0) {
+        const suggestions = this.suggest(word, lang);
+        errors.push({
+          position: i + 1,
+          word,
+          suggestions,
+          message: `Word ${i + 1} "${word}" is not in the ${MNEMONIC_LANGUAGES[lang]} wordlist` +
+            (suggestions.length > 0 ? ` (did you mean: ${suggestions.join(', ')}?)` : '')
+        });
+      }
+    });
+
+    // The checksum only means something once every word is known
+    if (errors.length === 0 && !ethers.Mnemonic.isValidMnemonic(wordlist.join(words), wordlist)) {
+      errors.push({
+        message: 'Invalid mnemonic checksum - check the word order and for swapped words'
+      });
+    }
+
+    return {
+      valid: errors.length === 0,
+      language: lang,
+      words: words.length,
+      errors
+    };
+  }
+
+  // Throws with every problem found; returns the normalized phrase and its language
+  static assertValid(phrase, language = null) {
+    const result = this.validate(phrase, language);
+    if (!result.valid) {
+      throw new Error(`Invalid mnemonic: ${result.errors.map(e => e.message).join('; ')}`);
+    }
+    return {
+      phrase: this.normalize(phrase, result.language),
+      language: result.language
+    };
+  }
+
+  static suggest(word, language = 'en') {
+    const wordlist = this.getWordlist(language);
+    const candidates = [];
+    // Short words would match half the list otherwise
+    const maxDistance = Math.min(MAX_EDIT_DISTANCE, Math.floor(word.length / 3));
+
+    for (let i = 0; i < 2048; i++) {
+      const candidate = wordlist.getWord(i);
+      // BIP-39 English words are unique in their first four letters
+      const distance = word.length >= 4 && candidate.startsWith(word.slice(0, 4))
+        ? 0
+        : this._editDistance(word, candidate);
+      if (distance <= maxDistance) {
+        candidates.push({ candidate, distance });
+      }
+    }
+
+    return candidates
+      .sort((a, b) => a.distance - b.distance)
+      .slice(0, MAX_SUGGESTIONS)
+      .map(c => c.candidate);
+  }
+
+  static toMnemonic(phrase, passphrase = '') {
+    const language = this.detectLanguage(phrase) || 'en';
+    return ethers.Mnemonic.fromPhrase(phrase, passphrase || '', this.getWordlist(language));
+  }
+
+  // Levenshtein distance where swapping two adjacent letters counts as one edit
+  static _editDistance(a, b) {
+    if (Math.abs(a.length - b.length) > MAX_EDIT_DISTANCE) {
+      return MAX_EDIT_DISTANCE + 1;
+    }
+
+    let beforePrevious = null;
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      for (let j = 1; j <= b.length; j++) {
+        current[j] = Math.min(
+          previous[j] + 1,
+          current[j - 1] + 1,
+          previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+        );
+        if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+          current[j] = Math.min(current[j], beforePrevious[j - 2] + 1);
+        }
+      }
+      beforePrevious = previous;
+      previous = current;
+    }
+    return previous[b.length];
+  }
+}
@@ -0,0 +1,287 @@
+import crypto from 'node:crypto';
+import { Buffer } from 'node:buffer';
+import { ethers } from 'ethers';
+import { MnemonicUtils, MNEMONIC_LANGUAGES } from './mnemonic.js';
+
+// Share layout (SLIP-39 style, written with the BIP-39 English wordlist):
+//   identifier (15 bits) | threshold-1 (4) | index-1 (4) | value length (6)
+//   | share value | checksum (22+ bits, padded to a whole word)
+// Every share of one backup has the same identifier and threshold. The shared
+// value carries a digest of the secret, so combining shares of different
+// backups or a corrupted share is detected.
+const ID_BITS = 15;
+const HEADER_BITS = ID_BITS + 4 + 4 + 6;
+const MIN_CHECKSUM_BITS = 22;
+const BITS_PER_WORD = 11;
+const MAX_SHARES = 16;
+const DIGEST_LENGTH = 4;
+const CHECKSUM_CUSTOMIZATION = 'daemon-wallet-shamir';
+
+const FORMAT_VERSION = 1;
+const SECRET_TYPES = { mnemonic: 0, privateKey: 1 };
+const LANGUAGES = Object.keys(MNEMONIC_LANGUAGES);
+
+// GF(256) with the AES polynomial x^8 + x^4 + x^3 + x + 1
+const EXP = new Uint8Array(510);
+const LOG = new Uint8Array(256);
+let value = 1;
+for (let i = 0; i < 255; i++) {
+  EXP[i] = EXP[i + 255] = value;
+  LOG[value] = i;
+  value ^= (value << 1) ^ (value & 0x80 ? 0x11b : 0);
+}
+
+function gfMul(a, b) {
+  return a === 0 || b === 0 ? 0 : EXP[LOG[a] + LOG[b]];
+}
+
+function gfDiv(a, b) {
+  return a === 0 ? 0 : EXP[LOG[a] + 255 - LOG[b]];
+}
+
+export class ShamirBackup {
+  // secret: { mnemonic, language } or { privateKey }
+  static createShares(secret, threshold, count) {
+    if (!Number.isInteger(count) || count < 1 || count > MAX_SHARES) {
+      throw new Error(`Number of shares must be between 1 and ${MAX_SHARES}`);
+    }
+    if (!Number.isInteger(threshold) || threshold < 1 || threshold > count) {
+      throw new Error('Threshold must be between 1 and the number of shares');
+    }
+
+    const payload = this._encodeSecret(secret);
+    const identifier = crypto.randomInt(0, 2 ** ID_BITS);
+    const values = this._split(payload, threshold, count);
+
+    return values.map((shareValue, i) => this._encodeShare({
+      identifier,
+      threshold,
+      index: i + 1,
+      value: shareValue
+    }));
+  }
+
+  // Returns { mnemonic, language } or { privateKey }
+  static recover(shareStrings) {
+    const shares = shareStrings.map((share, i) => {
+      try {
+        return this.decodeShare(share);
+      } catch (err) {
+        throw new Error(`Share ${i + 1}: ${err.message}`);
+      }
+    });
+
+    if (shares.length === 0) {
+      throw new Error('No shares given');
+    }
+
+    const [first] = shares;
+    for (const share of shares) {
+      if (share.identifier !== first.identifier || share.threshold !== first.threshold) {
+        throw new Error('Shares belong to different backups');
+      }
+      if (share.value.length !== first.value.length) {
+        throw new Error('Shares belong to different backups');
+      }
+    }
+
+    const indices = new Set(shares.map(share => share.index));
+    if (indices.size !== shares.length) {
+      throw new Error('The same share was entered twice');
+    }
+
+    if (shares.length < first.threshold) {
+      throw new Error(`This backup needs ${first.threshold} shares, got ${shares.length}`);
+    }
+
+    const payload = this._combine(shares.slice(0, first.threshold));
+    return this._decodeSecret(payload);
+  }
+
+  // Checks words and checksum; returns { identifier, threshold, index, value }
+  static decodeShare(shareWords) {
+    const wordlist = MnemonicUtils.getWordlist('en');
+    const words = MnemonicUtils.splitWords(shareWords);
+
+    let bits = 0n;
+    words.forEach((word, i) => {
+      const index = wordlist.getWordIndex(word);
+      if (index < 0) {
+        const suggestions = MnemonicUtils.suggest(word, 'en');
+        throw new Error(
+          `word ${i + 1} "${word}" is not a valid share word` +
+          (suggestions.length > 0 ? ` (did you mean: ${suggestions.join(', ')}?)` : '')
+        );
+      }
+      bits = (bits << BigInt(BITS_PER_WORD)) | BigInt(index);
+    });
+
+    const totalBits = words.length * BITS_PER_WORD;
+    if (totalBits < HEADER_BITS + MIN_CHECKSUM_BITS) {
+      throw new Error('share is too short');
+    }
+
+    const field = (offset, length) =>
+      Number((bits >> BigInt(totalBits - offset - length)) & ((1n << BigInt(length)) - 1n));
+
+    const identifier = field(0, ID_BITS);
+    const threshold = field(ID_BITS, 4) + 1;
+    const index = field(ID_BITS + 4, 4) + 1;
+    const length = field(ID_BITS + 8, 6);
+
+    if (this._shareBits(length) !== totalBits) {
+      throw new Error(`wrong number of words (${words.length})`);
+    }
+
+    const valueBytes = new Uint8Array(length);
+    for (let i = 0; i < length; i++) {
+      valueBytes[i] = field(HEADER_BITS + i * 8, 8);
+    }
+
+    const share = { identifier, threshold, index, value: valueBytes };
+    const dataBits = HEADER_BITS + length * 8;
+    const checksum = bits & ((1n << BigInt(totalBits - dataBits)) - 1n);
+    if (checksum !== this._checksum(share, totalBits - dataBits)) {
+      throw new Error('invalid checksum - check the words for typos');
+    }
+
+    return share;
+  }
+
+  static _encodeShare(share) {
+    const wordlist = MnemonicUtils.getWordlist('en');
+    const length = share.value.length;
+    const totalBits = this._shareBits(length);
+    const checksumBits = totalBits - HEADER_BITS - length * 8;
+
+    let bits = BigInt(share.identifier);
+    bits = (bits << 4n) | BigInt(share.threshold - 1);
+    bits = (bits << 4n) | BigInt(share.index - 1);
+    bits = (bits << 6n) | BigInt(length);
+    for (const byte of share.value) {
+      bits = (bits << 8n) | BigInt(byte);
+    }
+    bits = (bits << BigInt(checksumBits)) | this._checksum(share, checksumBits);
+
+    const words = [];
+    for (let offset = totalBits - BITS_PER_WORD; offset >= 0; offset -= BITS_PER_WORD) {
+      words.push(wordlist.getWord(Number((bits >> BigInt(offset)) & 0x7ffn)));
+    }
+    return words.join(' ');
+  }
+
+  static _shareBits(length) {
+    const minimum = HEADER_BITS + length * 8 + MIN_CHECKSUM_BITS;
+    return Math.ceil(minimum / BITS_PER_WORD) * BITS_PER_WORD;
+  }
+
+  static _checksum(share, checksumBits) {
+    const digest = crypto.createHash('sha256')
+      .update(CHECKSUM_CUSTOMIZATION)
+      .update(Buffer.from([
+        share.identifier >> 8, share.identifier & 0xff,
+        share.threshold, share.index
+      ]))
+      .update(share.value)
+      .digest();
+
+    return BigInt('0x' + digest.toString('hex')) >> BigInt(256 - checksumBits);
+  }
+
+  // payload = version/type | language | secret | digest(secret)
+  static _encodeSecret(secret) {
+    let type;
+    let language = 0;
+    let bytes;
+
+    if (secret.mnemonic) {
+      type = SECRET_TYPES.mnemonic;
+      const lang = secret.language || MnemonicUtils.detectLanguage(secret.mnemonic) || 'en';
+      language = LANGUAGES.indexOf(lang);
+      const mnemonic = ethers.Mnemonic.fromPhrase(secret.mnemonic, null, MnemonicUtils.getWordlist(lang));
+      bytes = ethers.getBytes(mnemonic.entropy);
+    } else if (secret.privateKey) {
+      type = SECRET_TYPES.privateKey;
+      bytes = ethers.getBytes(secret.privateKey);
+    } else {
+      throw new Error('Nothing to back up: no mnemonic or private key');
+    }
+
+    const header = Buffer.from([(FORMAT_VERSION << 4) | type, language]);
+    return new Uint8Array(Buffer.concat([header, bytes, this._digest(header, bytes)]));
+  }
+
+  static _decodeSecret(payload) {
+    const header = payload.slice(0, 2);
+    const bytes = payload.slice(2, payload.length - DIGEST_LENGTH);
+    const digest = payload.slice(payload.length - DIGEST_LENGTH);
+
+    if (!Buffer.from(digest).equals(this._digest(header, bytes))) {
+      throw new Error('Shares do not fit together - they may belong to different backups or one is wrong');
+    }
+
+    if (header[0] >> 4 !== FORMAT_VERSION) {
+      throw new Error(`Unsupported share format version ${header[0] >> 4}`);
+    }
+
+    const type = header[0] & 0x0f;
+    if (type === SECRET_TYPES.mnemonic) {
+      const language = LANGUAGES[header[1]];
+      if (!language) {
+        throw new Error('Unknown mnemonic language in shares');
+      }
+      const mnemonic = ethers.Mnemonic.fromEntropy(bytes, null, MnemonicUtils.getWordlist(language));
+      return { mnemonic: mnemonic.phrase, language };
+    }
+    if (type === SECRET_TYPES.privateKey) {
+      return { privateKey: ethers.hexlify(bytes) };
+    }
+    throw new Error(`Unknown secret type ${type} in shares`);
+  }
+
+  static _digest(header, bytes) {
+    return crypto.createHash('sha256').update(header).update(bytes).digest().subarray(0, DIGEST_LENGTH);
+  }
+
+  // Split byte-wise: random polynomial of degree threshold-1 with the secret
+  // byte as constant term, evaluated at x = 1..count
+  static _split(secret, threshold, count) {
+    const shares = Array.from({ length: count }, () => new Uint8Array(secret.length));
+
+    for (let b = 0; b < secret.length; b++) {
+      const coefficients = [secret[b], ...crypto.randomBytes(threshold - 1)];
+      for (let i = 0; i < count; i++) {
+        const x = i + 1;
+        let y = 0;
+        for (let c = coefficients.length - 1; c >= 0; c--) {
+          y = gfMul(y, x) ^ coefficients[c];
+        }
+        shares[i][b] = y;
+      }
+    }
+
+    return shares;
+  }
+
+  // Lagrange interpolation at x = 0
+  static _combine(shares) {
+    const length = shares[0].value.length;
+    const secret = new Uint8Array(length);
+
+    for (let b = 0; b < length; b++) {
+      let result = 0;
+      for (const share of shares) {
+        let basis = 1;
+        for (const other of shares) {
+          if (other !== share) {
+            basis = gfMul(basis, gfDiv(other.index, other.index ^ share.index));
+          }
+        }
+        result ^= gfMul(share.value[b], basis);
+      }
+      secret[b] = result;
+    }
+
+    return secret;
+  }
+}
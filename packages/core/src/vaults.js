@@ -0,0 +1,110 @@
+import fs from 'node:fs/promises';
+import { Keystore, DEFAULT_VAULT } from './keystore.js';
+
+export class VaultManager {
+  constructor(config) {
+    this.config = config;
+  }
+
+  getActive() {
+    return this.config.get('vaults.active') || DEFAULT_VAULT;
+  }
+
+  async use(name) {
+    if (!(await this.exists(name))) {
+      throw new Error(`Vault "${name}" does not exist`);
+    }
+
+    this.config.set('vaults.active', name);
+    await this.config.save();
+  }
+
+  async exists(name) {
+    if (name === DEFAULT_VAULT) {
+      return true;
+    }
+    try {
+      const stats = await fs.stat(Keystore.vaultDir(name));
+      return stats.isDirectory();
+    } catch (err) {
+      if (err.code === 'ENOENT') {
+        return false;
+      }
+      throw err;
+    }
+  }
+
+  async names() {
+    const names = [DEFAULT_VAULT];
+    try {
+      const entries = await fs.readdir(Keystore.vaultsRoot, { withFileTypes: true });
+      // Directories that aren't valid vault names were not made by us
+      for (const entry of entries) {
+        if (entry.isDirectory() && entry.name !== DEFAULT_VAULT && Keystore.isValidVaultName(entry.name)) {
+          names.push(entry.name);
+        }
+      }
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        throw err;
+      }
+    }
+    return names.sort((a, b) => (a === DEFAULT_VAULT ? -1 : b === DEFAULT_VAULT ? 1 : a.localeCompare(b)));
+  }
+
+  async list() {
+    const active = this.getActive();
+    const vaults = [];
+
+    for (const name of await this.names()) {
+      const keystore = this.open(name);
+      await keystore.load();
+      vaults.push({
+        name,
+        active: name === active,
+        hasKeystore: keystore.hasKeystore(),
+        accounts: keystore.getAccounts(true).length,
+        path: keystore.keystoreDir
+      });
+    }
+
+    return vaults;
+  }
+
+  async create(name) {
+    if (name === DEFAULT_VAULT) {
+      throw new Error(`"${DEFAULT_VAULT}" is reserved`);
+    }
+    Keystore.validateVaultName(name);
+
+    if (await this.exists(name)) {
+      throw new Error(`Vault "${name}" already exists`);
+    }
+
+    await fs.mkdir(Keystore.vaultDir(name), { recursive: true, mode: 0o700 });
+    return this.open(name);
+  }
+
+  async remove(name) {
+    if (name === DEFAULT_VAULT) {
+      throw new Error(`The ${DEFAULT_VAULT} vault can't be removed; use "wallet-cli delete" to delete its wallet`);
+    }
+
+    if (!(await this.exists(name))) {
+      throw new Error(`Vault "${name}" does not exist`);
+    }
+
+    await fs.rm(Keystore.vaultDir(name), { recursive: true, force: true });
+
+    if (this.getActive() === name) {
+      await this.use(DEFAULT_VAULT);
+    }
+  }
+
+  open(name = this.getActive()) {
+    return new Keystore({
+      vault: name,
+      kdf: this.config.get('security.kdf')
+    });
+  }
+}
@@ -48,7 +48,8 @@ export class DaemonStateManager extends EventEmitter {
 
   canTransitionTo(newState) {
     const validTransitions = {
-      [DAEMON_STATES.STARTING]: [DAEMON_STATES.READY, DAEMON_STATES.ERROR],
+      // A daemon started with an existing keystore goes straight to locked
+      [DAEMON_STATES.STARTING]: [DAEMON_STATES.READY, DAEMON_STATES.LOCKED, DAEMON_STATES.ERROR],
       [DAEMON_STATES.READY]: [DAEMON_STATES.LOCKED, DAEMON_STATES.ERROR],
       [DAEMON_STATES.LOCKED]: [DAEMON_STATES.UNLOCKED, DAEMON_STATES.ERROR, DAEMON_STATES.READY],
       [DAEMON_STATES.UNLOCKED]: [DAEMON_STATES.LOCKED, DAEMON_STATES.ERROR, DAEMON_STATES.READY],
@@ -1,12 +1,9 @@
-import { Keystore } from '@daemon-wallet/core';
+import { Keystore, VaultManager, DEFAULT_VAULT } from '@daemon-wallet/core';
 import { EventEmitter } from 'node:events';
 import fs from 'node:fs/promises';
 import path from 'node:path';
-import os from 'node:os';
 import chalk from 'chalk';
 
-const KEYSTORE_DIR = path.join(os.homedir(), '.daemon-wallet', 'keystore');
-
 export const KEYSTORE_EVENTS = {
   LOADED: 'loaded',
   CHANGED: 'changed',
@@ -15,31 +12,39 @@ export const KEYSTORE_EVENTS = {
   ERROR: 'error'
 };
 
+// Tracks every vault on disk; each vault has its own Keystore and password.
+// Accounts of all unlocked vaults are exposed, the active vault first.
 export class EnhancedKeystore extends EventEmitter {
-  constructor() {
+  constructor(config) {
     super();
-    this.keystore = new Keystore();
+    this.config = config;
+    this.vaultManager = new VaultManager(config);
+    this.vaults = new Map(); // vault name -> Keystore
+    this.activeVault = DEFAULT_VAULT;
     this.watcher = null;
     this.isWatching = false;
-    this.lastModified = null;
+    this.lastModified = new Map(); // vault name -> latest keystore mtime
+    this.unreadableVaults = new Set(); // vault names already reported as failing to open
   }
 
   async init() {
     try {
-      // Initialize base keystore
-      await this.keystore.init();
-      
+      this.activeVault = this.vaultManager.getActive();
+
+      // Initialize a keystore per vault
+      await this.syncVaults();
+
       // Start watching for changes
       await this.startWatching();
-      
+
       // Check current state
-      if (this.keystore.hasKeystore()) {
+      if (this.hasKeystore()) {
         this.emit(KEYSTORE_EVENTS.LOADED);
         console.log(chalk.green('✅ Keystore loaded and watching for changes'));
       } else {
         console.log(chalk.yellow('📭 No keystore found, watching for creation'));
       }
-      
+
     } catch (error) {
       console.error(chalk.red('❌ Keystore initialization failed:'), error.message);
       this.emit(KEYSTORE_EVENTS.ERROR, error);
@@ -47,24 +52,68 @@ export class EnhancedKeystore extends EventEmitter {
     }
   }
 
+  // Pick up vaults created or removed by the CLI
+  async syncVaults() {
+    const names = await this.vaultManager.names();
+
+    for (const name of names) {
+      if (!this.vaults.has(name)) {
+        // One broken vault must not keep the others from loading; it is
+        // retried on every poll but reported once
+        const keystore = this.vaultManager.open(name);
+        try {
+          await keystore.init();
+        } catch (error) {
+          if (!this.unreadableVaults.has(name)) {
+            this.unreadableVaults.add(name);
+            console.error(chalk.red('❌ Cannot open vault:'), `${name}: ${error.message}`);
+          }
+          continue;
+        }
+        this.unreadableVaults.delete(name);
+        this.vaults.set(name, keystore);
+        this.lastModified.set(name, await this.getLatestModified(name));
+        this._warnIfIndexCorrupted(name, keystore);
+
+        if (keystore.hasKeystore() && this.isWatching) {
+          console.log(chalk.green('✅ New vault detected:'), name);
+          this.emit(KEYSTORE_EVENTS.LOADED, { vault: name });
+        }
+      }
+    }
+
+    for (const [name, keystore] of this.vaults) {
+      if (!names.includes(name)) {
+        const wasLocked = keystore.isLocked;
+        keystore.lock();
+        this.vaults.delete(name);
+        this.lastModified.delete(name);
+
+        if (this.activeVault === name) {
+          this.activeVault = DEFAULT_VAULT;
+        }
+
+        console.log(chalk.yellow('📭 Vault removed:'), name);
+        if (!wasLocked) {
+          this.emit(KEYSTORE_EVENTS.LOCKED, { vault: name });
+        }
+        this.emit(KEYSTORE_EVENTS.CHANGED, { vault: name, removed: true });
+      }
+    }
+  }
+
   async startWatching() {
     if (this.isWatching) {
       return;
     }
 
     try {
-      // Ensure directory exists
-      await fs.mkdir(KEYSTORE_DIR, { recursive: true });
-      
-      // Get initial state
-      await this.updateLastModified();
-      
       // Start polling for changes (fs.watch can be unreliable)
       this.startPolling();
       this.isWatching = true;
-      
-      console.log(chalk.blue('👁️  Watching keystore directory:'), KEYSTORE_DIR);
-      
+
+      console.log(chalk.blue('👁️  Watching vaults:'), Array.from(this.vaults.keys()).join(', '));
+
     } catch (error) {
       console.error(chalk.red('❌ Failed to start keystore watching:'), error.message);
       this.emit(KEYSTORE_EVENTS.ERROR, error);
@@ -73,97 +122,135 @@ export class EnhancedKeystore extends EventEmitter {
 
   startPolling() {
     // Poll every 2 seconds for changes
-    this.pollInterval = setInterval(async () => {
-      try {
-        const currentModified = await this.getLatestModified();
-        
-        if (currentModified !== this.lastModified) {
-          console.log(chalk.yellow('🔄 Keystore change detected, reloading...'));
-          await this.reload();
-          this.lastModified = currentModified;
-        }
-      } catch (error) {
-        // Ignore polling errors (directory might not exist yet)
-      }
-    }, 2000);
+    this.pollInterval = setInterval(() => this.poll(), 2000);
   }
 
-  async updateLastModified() {
+  async poll() {
     try {
-      this.lastModified = await this.getLatestModified();
+      await this.syncVaults();
+
+      for (const name of this.vaults.keys()) {
+        const currentModified = await this.getLatestModified(name);
+
+        if (currentModified !== this.lastModified.get(name)) {
+          console.log(chalk.yellow('🔄 Keystore change detected, reloading vault:'), name);
+          await this.reload(name);
+          this.lastModified.set(name, currentModified);
+        }
+      }
     } catch (error) {
-      this.lastModified = null;
+      // Ignore polling errors (directory might not exist yet)
+    }
+  }
+
+  // Its accounts are missing from eth_accounts until the vault is unlocked
+  _warnIfIndexCorrupted(name, keystore) {
+    if (keystore.isPublicIndexCorrupted()) {
+      console.log(chalk.yellow('⚠️  Public account index is corrupted, ignoring it until the next unlock:'), name);
     }
   }
 
-  async getLatestModified() {
+  async getLatestModified(name) {
     try {
-      const files = await fs.readdir(KEYSTORE_DIR);
+      const dir = this.vaults.get(name)?.keystoreDir ?? this.vaultManager.open(name).keystoreDir;
+      const files = await fs.readdir(dir);
       const keystoreFiles = files.filter(f => f.endsWith('.json'));
-      
+
       if (keystoreFiles.length === 0) {
         return null;
       }
 
       let latest = 0;
       for (const file of keystoreFiles) {
-        const filePath = path.join(KEYSTORE_DIR, file);
+        const filePath = path.join(dir, file);
         const stats = await fs.stat(filePath);
         if (stats.mtime.getTime() > latest) {
           latest = stats.mtime.getTime();
         }
       }
-      
+
       return latest;
     } catch (error) {
       return null;
     }
   }
 
-  async reload() {
+  async reload(name = this.activeVault) {
+    const keystore = this.vaults.get(name);
+    if (!keystore) {
+      return;
+    }
+
     try {
-      const wasLocked = this.keystore.isLocked;
-      const hadKeystore = this.keystore.hasKeystore();
-      
+      const wasLocked = keystore.isLocked;
+      const hadKeystore = keystore.hasKeystore();
+      const previousId = keystore.encryptedData?.id;
+      const previousCrypto = JSON.stringify(keystore.encryptedData?.crypto ?? null);
+
       // Reload the keystore
-      await this.keystore.load();
-      
-      const hasKeystore = this.keystore.hasKeystore();
-      
+      await keystore.load();
+
+      const hasKeystore = keystore.hasKeystore();
+      const sameWallet = hasKeystore && keystore.encryptedData?.id === previousId;
+
+      // Our own writes (a migration on unlock, legacy files moved aside, an
+      // account change) leave the file as the keystore already holds it
+      if (sameWallet && JSON.stringify(keystore.encryptedData.crypto) === previousCrypto) {
+        return;
+      }
+
+      this._warnIfIndexCorrupted(name, keystore);
+
+      // Another process rewrote the file (password change, imported key,
+      // removed account): the session's data and password are stale, and
+      // saving them would revert that change, so unlock again
+      if (!wasLocked) {
+        keystore.lock();
+        this.emit(KEYSTORE_EVENTS.LOCKED, { vault: name });
+      }
+
       // Emit appropriate events
       if (!hadKeystore && hasKeystore) {
-        console.log(chalk.green('✅ New keystore detected and loaded'));
-        this.emit(KEYSTORE_EVENTS.LOADED);
+        console.log(chalk.green('✅ New keystore detected and loaded:'), name);
+        this.emit(KEYSTORE_EVENTS.LOADED, { vault: name });
       } else if (hadKeystore && !hasKeystore) {
-        console.log(chalk.yellow('📭 Keystore removed'));
-        this.emit(KEYSTORE_EVENTS.CHANGED, { removed: true });
+        console.log(chalk.yellow('📭 Keystore removed:'), name);
+        this.emit(KEYSTORE_EVENTS.CHANGED, { vault: name, removed: true });
       } else if (hasKeystore) {
-        console.log(chalk.blue('🔄 Keystore updated'));
-        this.emit(KEYSTORE_EVENTS.CHANGED, { updated: true });
+        console.log(chalk.blue('🔄 Keystore updated:'), name);
+        this.emit(KEYSTORE_EVENTS.CHANGED, { vault: name, updated: true, replaced: !sameWallet });
       }
-      
-      // If was unlocked and still has keystore, it's now locked
-      if (!wasLocked && hasKeystore && this.keystore.isLocked) {
-        this.emit(KEYSTORE_EVENTS.LOCKED);
-      }
-      
+
     } catch (error) {
       console.error(chalk.red('❌ Keystore reload failed:'), error.message);
       this.emit(KEYSTORE_EVENTS.ERROR, error);
     }
   }
 
-  async unlock(password) {
+  async unlock(password, vault = null) {
+    const name = vault ?? this.activeVault;
+
     try {
-      const result = await this.keystore.unlock(password);
-      
+      const keystore = this._getVault(name);
+      const result = await keystore.unlock(password);
+
       if (result) {
-        console.log(chalk.green('🔓 Keystore unlocked'));
+        // Unlocking may have rewritten the file (schema migration, legacy
+        // files moved aside); that must not look like an outside change
+        this.lastModified.set(name, await this.getLatestModified(name));
+
+        // The most recently unlocked vault becomes the primary one for DApps
+        this.activeVault = name;
+        console.log(chalk.green('🔓 Keystore unlocked:'), name);
+        for (const notice of Keystore.unlockNotices(result)) {
+          console.log(chalk.yellow(`⚠️  ${name}:`), notice);
+        }
         this.emit(KEYSTORE_EVENTS.UNLOCKED, {
-          accounts: this.keystore.getAccounts()
+          vault: name,
+          accounts: this.getAccounts()
         });
       }
-      
+
       return result;
     } catch (error) {
       console.error(chalk.red('❌ Unlock failed:'), error.message);
@@ -172,11 +259,157 @@ export class EnhancedKeystore extends EventEmitter {
     }
   }
 
-  lock() {
+  // Hidden wallet accounts live only in memory until the vault is locked
+  async openHiddenWallet(passphrase, vault = null, count = 1) {
+    const name = vault ?? this.activeVault;
+    const accounts = this._getVault(name).openHiddenWallet(passphrase, count);
+
+    console.log(chalk.green('🔓 Hidden wallet opened:'), `${name} (${accounts.length} account(s))`);
+    this.emit(KEYSTORE_EVENTS.UNLOCKED, {
+      vault: name,
+      accounts: this.getAccounts()
+    });
+
+    return accounts;
+  }
+
+  // Account changes are made here rather than by the CLI: the unlocked vault
+  // saves with its own session, so the CLI needs no password and the daemon
+  // is the only writer while it runs
+  async createAccount(options = {}, vault = null) {
+    const name = vault ?? this.activeVault;
+    const account = await this._getUnlockedVault(name).createNextAccount(null, {
+      derivationPath: options.derivationPath || undefined
+    });
+    await this._savedByDaemon(name);
+
+    console.log(chalk.green('➕ Account created:'), `${account.address} (${name})`);
+    return { vault: name, ...account };
+  }
+
+  async setAccountLabel(address, label) {
+    const keystore = this._findVaultForAddress(address);
+    await keystore.setAccountLabel(address, label, null);
+    await this._savedByDaemon(keystore.vault);
+
+    console.log(chalk.blue('🏷️  Account labelled:'), `${address} → ${label}`);
+    return { vault: keystore.vault, ...keystore.getAccountDetails(address) };
+  }
+
+  async setAccountVisibility(address, visible) {
+    const keystore = this._findVaultForAddress(address);
+    if (visible) {
+      await keystore.showAccount(address, null);
+    } else {
+      await keystore.hideAccount(address, null);
+    }
+    await this._savedByDaemon(keystore.vault);
+
+    console.log(chalk.blue(visible ? '👁️  Account shown:' : '🙈 Account hidden:'), address);
+    return { vault: keystore.vault, ...keystore.getAccountDetails(address) };
+  }
+
+  async setAccountTags(address, tags) {
+    const keystore = this._findVaultForAddress(address);
+    await keystore.setAccountTags(address, tags, null);
+    await this._savedByDaemon(keystore.vault);
+
+    console.log(chalk.blue('🏷️  Account tagged:'), address);
+    return { vault: keystore.vault, ...keystore.getAccountDetails(address) };
+  }
+
+  // The account comes back with the vault's new order
+  async moveAccount(address, position) {
+    const keystore = this._findVaultForAddress(address);
+    await keystore.moveAccount(address, position, null);
+    await this._savedByDaemon(keystore.vault);
+
+    console.log(chalk.blue('↕️  Account moved:'), `${address} → ${position + 1}`);
+    return {
+      vault: keystore.vault,
+      ...keystore.getAccountDetails(address),
+      order: keystore.getAllAccountDetails(true)
+    };
+  }
+
+  async removeAccount(address) {
+    const keystore = this._findVaultForAddress(address);
+    const removed = await keystore.removeAccount(address, null);
+    await this._savedByDaemon(keystore.vault);
+
+    console.log(chalk.yellow('🗑️  Account removed:'), `${removed.address} (${keystore.vault})`);
+    return { vault: keystore.vault, ...removed };
+  }
+
+  async importPrivateKey(privateKey, options = {}, vault = null) {
+    const name = vault ?? this.activeVault;
+    const keystore = this._getUnlockedVault(name);
+    const { address, upgraded } = await keystore.importPrivateKey(privateKey, null, { label: options.label || undefined });
+    await this._savedByDaemon(name);
+
+    console.log(chalk.green('🔑 Private key imported:'), `${address} (${name})`);
+    return { vault: name, ...keystore.getAccountDetails(address), upgraded };
+  }
+
+  async addWatchOnlyAccount(address, options = {}, vault = null) {
+    const name = vault ?? this.activeVault;
+    const keystore = this._getUnlockedVault(name);
+    const account = await keystore.addWatchOnlyAccount(address, null, { label: options.label || undefined });
+    await this._savedByDaemon(name);
+
+    console.log(chalk.green('👁️  Watch-only account added:'), `${account.address} (${name})`);
+    return { vault: name, ...keystore.getAccountDetails(account.address) };
+  }
+
+  // Re-encrypts the unlocked vault; its session reseals the new password.
+  // options.backups is passed on (see Keystore.changePassword)
+  async changePassword(oldPassword, newPassword, vault = null, options = {}) {
+    const name = vault ?? this.activeVault;
+    const { backups } = await this._getUnlockedVault(name).changePassword(oldPassword, newPassword, options);
+    await this._savedByDaemon(name);
+
+    console.log(chalk.green('🔑 Password changed:'), name);
+    return { vault: name, backups };
+  }
+
+  // Details per vault; locked vaults answer from their public index
+  getAccountDetails(vault = null, includeHidden = false) {
+    const vaults = vault ? [[vault, this._getVault(vault)]] : this._orderedVaults();
+
+    return vaults.map(([name, keystore]) => {
+      let accounts = [];
+      try {
+        accounts = keystore.getAllAccountDetails(includeHidden);
+      } catch (error) {
+        // Locked keystore written before the public index existed
+      }
+      return { vault: name, locked: keystore.isLocked, accounts };
+    });
+  }
+
+  // Our own write doesn't need the reload the poll would do for it
+  async _savedByDaemon(name) {
+    this.lastModified.set(name, await this.getLatestModified(name));
+    this.emit(KEYSTORE_EVENTS.CHANGED, { vault: name, updated: true, replaced: false });
+  }
+
+  _getUnlockedVault(name) {
+    const keystore = this._getVault(name);
+    if (keystore.isLocked) {
+      throw new Error(`Vault ${name} is locked. Unlock it first.`);
+    }
+    return keystore;
+  }
+
+  // Lock one vault, or every vault when none is given
+  lock(vault = null) {
     try {
-      this.keystore.lock();
-      console.log(chalk.yellow('🔒 Keystore locked'));
-      this.emit(KEYSTORE_EVENTS.LOCKED);
+      const names = vault ? [vault] : Array.from(this.vaults.keys());
+      for (const name of names) {
+        this._getVault(name).lock();
+      }
+      console.log(chalk.yellow('🔒 Keystore locked:'), vault || 'all vaults');
+      this.emit(KEYSTORE_EVENTS.LOCKED, { vault });
     } catch (error) {
       console.error(chalk.red('❌ Lock failed:'), error.message);
       this.emit(KEYSTORE_EVENTS.ERROR, error);
@@ -184,54 +417,125 @@ export class EnhancedKeystore extends EventEmitter {
     }
   }
 
-  // Proxy methods to underlying keystore
+  _getVault(name) {
+    const keystore = this.vaults.get(name);
+    if (!keystore) {
+      throw new Error(`Unknown vault: ${name}`);
+    }
+    return keystore;
+  }
+
+  // Active vault first, then the others by name
+  _orderedVaults() {
+    const vaults = Array.from(this.vaults.entries());
+    return vaults.sort(([a], [b]) => {
+      if (a === this.activeVault) return -1;
+      if (b === this.activeVault) return 1;
+      return a.localeCompare(b);
+    });
+  }
+
+  _findVaultForAddress(address) {
+    if (this.isLocked) {
+      throw new Error('Keystore is locked');
+    }
+
+    for (const [, keystore] of this._orderedVaults()) {
+      if (!keystore.isLocked && keystore.getAccounts(true).includes(address.toLowerCase())) {
+        return keystore;
+      }
+    }
+    throw new Error(`Account ${address} not found in any unlocked vault`);
+  }
+
+  // Proxy methods to underlying keystores
   hasKeystore() {
-    return this.keystore.hasKeystore();
+    return Array.from(this.vaults.values()).some(keystore => keystore.hasKeystore());
   }
 
   get isLocked() {
-    return this.keystore.isLocked;
+    return Array.from(this.vaults.values()).every(keystore => keystore.isLocked);
+  }
+
+  get keystore() {
+    return this.vaults.get(this.activeVault);
   }
 
   getAccounts() {
-    return this.keystore.getAccounts();
+    const options = { watchOnly: this.config.get('security.exposeWatchOnly') === true };
+
+    // While everything is locked, show the active vault's public addresses
+    if (this.isLocked) {
+      return this.keystore?.getAccounts(false, options) || [];
+    }
+
+    return this._orderedVaults()
+      .filter(([, keystore]) => !keystore.isLocked)
+      .flatMap(([, keystore]) => keystore.getAccounts(false, options));
+  }
+
+  getWatchOnlyAccounts() {
+    if (this.isLocked) {
+      return this.keystore?.getWatchOnlyAccounts() || [];
+    }
+
+    return this._orderedVaults()
+      .filter(([, keystore]) => !keystore.isLocked)
+      .flatMap(([, keystore]) => keystore.getWatchOnlyAccounts());
+  }
+
+  isWatchOnly(address) {
+    return Array.from(this.vaults.values()).some(keystore => keystore.isWatchOnly(address));
+  }
+
+  getVaultStatus() {
+    return this._orderedVaults().map(([name, keystore]) => ({
+      name,
+      active: name === this.activeVault,
+      locked: keystore.isLocked,
+      hasKeystore: keystore.hasKeystore(),
+      accounts: keystore.getAccounts()
+    }));
   }
 
   async signTransaction(tx, address) {
-    return await this.keystore.signTransaction(tx, address);
+    return await this._findVaultForAddress(address).signTransaction(tx, address);
   }
 
   async signMessage(message, address) {
-    return await this.keystore.signMessage(message, address);
+    return await this._findVaultForAddress(address).signMessage(message, address);
+  }
+
+  async signTypedData(domain, types, value, address) {
+    return await this._findVaultForAddress(address).signTypedData(domain, types, value, address);
   }
 
   get encryptedData() {
-    return this.keystore.encryptedData;
+    return this.keystore?.encryptedData ?? null;
   }
 
   async countKeystoreFiles() {
-    try {
-      const files = await fs.readdir(KEYSTORE_DIR);
-      return files.filter(f => f.endsWith('.json')).length;
-    } catch (error) {
-      return 0;
+    let count = 0;
+    for (const keystore of this.vaults.values()) {
+      count += await keystore.countKeystoreFiles();
     }
+    return count;
   }
 
   async destroy() {
     this.isWatching = false;
-    
+
     if (this.pollInterval) {
       clearInterval(this.pollInterval);
       this.pollInterval = null;
     }
-    
+
     if (this.watcher) {
       this.watcher.close();
       this.watcher = null;
     }
-    
+
     this.removeAllListeners();
     console.log(chalk.blue('🛑 Keystore watching stopped'));
   }
-}
\ No newline at end of file
+}
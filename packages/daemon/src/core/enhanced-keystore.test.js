@@ -0,0 +1,86 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import crypto from 'node:crypto';
+import { ethers } from 'ethers';
+
+// Vault paths come from the home directory when core is loaded
+const home = await fs.mkdtemp(path.join(os.tmpdir(), 'enhanced-keystore-test-'));
+process.env.HOME = home;
+after(() => fs.rm(home, { recursive: true, force: true }));
+
+const { Keystore, CryptoUtils } = await import('@daemon-wallet/core');
+const { EnhancedKeystore, KEYSTORE_EVENTS } = await import('./enhanced-keystore.js');
+
+const PASSWORD = 'correct horse battery';
+const MNEMONIC = 'test test test test test test test test test test test junk';
+const config = { get: () => undefined };
+
+function quiet(t) {
+  for (const method of ['log', 'warn', 'error']) {
+    t.mock.method(console, method, () => {});
+  }
+}
+
+// A keystore file as the first versions wrote it: no file version, no
+// public index and wallet data without a schemaVersion
+async function writeOldSchemaKeystore(vault) {
+  const dir = Keystore.vaultDir(vault);
+  await fs.mkdir(dir, { recursive: true });
+  const wallet = ethers.Wallet.fromPhrase(MNEMONIC);
+  const walletData = {
+    mnemonic: MNEMONIC,
+    accounts: [{ address: wallet.address, path: "m/44'/60'/0'/0/0", privateKey: wallet.privateKey }]
+  };
+  const file = path.join(dir, 'keystore.json');
+  await fs.writeFile(file, JSON.stringify({
+    id: crypto.randomUUID(),
+    crypto: await CryptoUtils.encrypt(JSON.stringify(walletData), PASSWORD)
+  }));
+  const past = new Date(Date.now() - 60000);
+  await fs.utimes(file, past, past);
+  return file;
+}
+
+test('a vault migrated by its own unlock stays unlocked after a poll', async (t) => {
+  quiet(t);
+  const file = await writeOldSchemaKeystore('old');
+  const keystore = new EnhancedKeystore(config);
+  await keystore.syncVaults();
+
+  const { migration } = await keystore.unlock(PASSWORD, 'old');
+  assert.deepEqual(migration.steps.map(step => step.version), [1, 2]);
+  assert.equal(JSON.parse(await fs.readFile(file, 'utf8')).version, '1.1.0');
+
+  await keystore.poll();
+  assert.equal(keystore.vaults.get('old').isLocked, false);
+
+  // A poll that caught the write before unlock recorded it changes nothing either
+  await keystore.reload('old');
+  assert.equal(keystore.vaults.get('old').isLocked, false);
+});
+
+test('a vault rewritten by another process is locked on the next poll', async (t) => {
+  quiet(t);
+  const cli = new Keystore({ vault: 'shared' });
+  await cli.init();
+  await cli.importWallet(MNEMONIC, PASSWORD);
+  cli.lock();
+
+  const keystore = new EnhancedKeystore(config);
+  await keystore.syncVaults();
+  assert.ok(await keystore.unlock(PASSWORD, 'shared'));
+  const locked = [];
+  keystore.on(KEYSTORE_EVENTS.LOCKED, event => locked.push(event.vault));
+
+  await cli.load();
+  await cli.changePassword(PASSWORD, 'a new password');
+  const future = new Date(Date.now() + 60000);
+  await fs.utimes(cli.keystorePath, future, future);
+  await keystore.poll();
+
+  assert.equal(keystore.vaults.get('shared').isLocked, true);
+  assert.deepEqual(locked, ['shared']);
+});
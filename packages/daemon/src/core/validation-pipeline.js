@@ -66,7 +66,7 @@ export class ValidationPipeline {
     }
 
     // Some operations allowed even when not fully ready
-    const alwaysAllowed = ['get_status', 'ping', 'shutdown'];
+    const alwaysAllowed = ['get_status', 'ping', 'subscribe', 'shutdown'];
     if (!alwaysAllowed.includes(request.type) && state === DAEMON_STATES.STARTING) {
       throw new ValidationError(
         VALIDATION_ERRORS.DAEMON_NOT_READY,
@@ -80,12 +80,27 @@ export class ValidationPipeline {
     // Operations that require keystore to exist
     const keystoreRequired = [
       'unlock_keystore',
+      'open_hidden_wallet',
+      'create_account',
+      'set_account_label',
+      'hide_account',
+      'show_account',
+      'set_account_tags',
+      'move_account',
+      'remove_account',
+      'import_private_key',
+      'add_watch_account',
+      'change_password',
       'get_accounts', 
       'sign_transaction',
       'sign_message',
       'eth_accounts',
+      'eth_requestAccounts',
       'eth_sendTransaction',
-      'personal_sign'
+      'eth_sign',
+      'personal_sign',
+      'eth_signTypedData_v3',
+      'eth_signTypedData_v4'
     ];
 
     if (keystoreRequired.includes(request.type)) {
@@ -103,12 +118,26 @@ export class ValidationPipeline {
     // Operations that require unlocked wallet
     const unlockRequired = [
       'get_accounts',
+      'open_hidden_wallet',
+      'create_account',
+      'set_account_label',
+      'hide_account',
+      'show_account',
+      'set_account_tags',
+      'move_account',
+      'remove_account',
+      'import_private_key',
+      'add_watch_account',
+      'change_password',
       'sign_transaction', 
       'sign_message',
       'eth_accounts',
+      'eth_requestAccounts',
       'eth_sendTransaction',
       'personal_sign',
-      'eth_sign'
+      'eth_sign',
+      'eth_signTypedData_v3',
+      'eth_signTypedData_v4'
     ];
 
     if (unlockRequired.includes(request.type)) {
@@ -186,6 +215,16 @@ export class ValidationPipeline {
     // Validate required fields per request type
     const requiredFields = {
       'unlock_keystore': ['data.password'],
+      'open_hidden_wallet': ['data.passphrase'],
+      'set_account_label': ['data.address', 'data.label'],
+      'hide_account': ['data.address'],
+      'show_account': ['data.address'],
+      'set_account_tags': ['data.address', 'data.tags'],
+      'move_account': ['data.address', 'data.position'],
+      'remove_account': ['data.address'],
+      'import_private_key': ['data.privateKey'],
+      'add_watch_account': ['data.address'],
+      'change_password': ['data.oldPassword', 'data.newPassword'],
       'sign_transaction': ['data.transaction', 'data.address'],
       'sign_message': ['data.message', 'data.address'],
       'eth_sendTransaction': ['data.transaction']
@@ -212,6 +251,7 @@ export class ValidationPipeline {
       'sign_transaction': 10,
       'sign_message': 20,
       'unlock_keystore': 5,
+      'open_hidden_wallet': 5,
       'get_status': 100,
       'get_accounts': 50
     };
@@ -3,25 +3,35 @@ import { ValidationPipeline, ValidationError } from './core/validation-pipeline.
 import { EnhancedKeystore, KEYSTORE_EVENTS } from './core/enhanced-keystore.js';
 import { SessionManager } from './session.js';
 import { DaemonIPCServer } from './ipc-server.js';
+import { DaemonRPCServer } from './rpc-server.js';
+import { DAEMON_VERSION } from './version.js';
 import { NativeMessaging } from './messaging.js';
 import { ApprovalUI } from './approval.js';
-import { Config } from '@daemon-wallet/core';
+import { SigningService, SigningError, SIGNING_ERRORS, fromJSONTransaction, fromJSONMessage } from './signing.js';
+import { Config, IPCAuth, IPC_EVENTS } from '@daemon-wallet/core';
 import { ethers } from 'ethers';
 import chalk from 'chalk';
 
+// How extension requests appear in prompts and events
+const EXTENSION_ORIGIN = 'browser extension';
+
 export class EnhancedDaemonService {
   constructor() {
     // Core components
     this.stateManager = new DaemonStateManager();
-    this.keystore = new EnhancedKeystore();
-    this.sessionManager = new SessionManager({ autoLock: false }); // No auto-lock by default
     this.config = new Config();
+    this.keystore = new EnhancedKeystore(this.config);
+    this.sessionManager = new SessionManager({ autoLock: false }); // No auto-lock by default
     this.validationPipeline = new ValidationPipeline(this.stateManager, this.keystore);
     
     // Services
     this.ipcServer = null;
+    this.rpcServer = null;
     this.nativeMessaging = new NativeMessaging();
     this.approvalUI = new ApprovalUI();
+    this.signing = new SigningService(this.keystore, this.approvalUI, {
+      publish: (event, data) => this._publish(event, data)
+    });
     this.provider = null;
     
     // State
@@ -34,36 +44,60 @@ export class EnhancedDaemonService {
     // State manager events
     this.stateManager.on(DAEMON_EVENTS.STATE_CHANGED, ({ from, to, metadata }) => {
       console.log(chalk.blue('🔄 State:'), chalk.gray(from), '→', this._getStateColor(to));
+      this._publish(IPC_EVENTS.STATE_CHANGED, {
+        from,
+        to,
+        metadata: { ...metadata, error: metadata?.error?.message }
+      });
     });
 
     this.stateManager.on(DAEMON_EVENTS.ERROR, (error) => {
       console.error(chalk.red('❌ Daemon error:'), error.message);
+      this._publish(IPC_EVENTS.ERROR, { message: error?.message || 'Unknown error' });
     });
 
     // Keystore events
-    this.keystore.on(KEYSTORE_EVENTS.LOADED, () => {
+    this.keystore.on(KEYSTORE_EVENTS.LOADED, (details = {}) => {
       console.log(chalk.green('📦 Keystore loaded'));
+      this._publish(IPC_EVENTS.KEYSTORE_LOADED, details);
       this.stateManager.emit(DAEMON_EVENTS.KEYSTORE_LOADED);
       this._updateStateFromKeystore();
     });
 
     this.keystore.on(KEYSTORE_EVENTS.CHANGED, (details) => {
       console.log(chalk.yellow('🔄 Keystore changed:'), details);
+      this._publish(IPC_EVENTS.KEYSTORE_CHANGED, details);
       this.stateManager.emit(DAEMON_EVENTS.KEYSTORE_CHANGED, details);
       this._updateStateFromKeystore();
+      // DApps see new, hidden or shown accounts without a new unlock
+      this.sessionManager.updateAccounts(this.keystore.getAccounts());
     });
 
     this.keystore.on(KEYSTORE_EVENTS.UNLOCKED, (data) => {
+      this._publish(IPC_EVENTS.VAULT_UNLOCKED, data);
       this.sessionManager.unlock(data.accounts);
-      this.stateManager.transition(DAEMON_STATES.UNLOCKED, { 
-        accounts: data.accounts,
-        unlockTime: Date.now()
-      });
+      // Unlocking a second vault only adds accounts to the running session
+      if (!this.stateManager.isState(DAEMON_STATES.UNLOCKED)) {
+        this.stateManager.transition(DAEMON_STATES.UNLOCKED, { 
+          accounts: data.accounts,
+          vault: data.vault,
+          unlockTime: Date.now()
+        });
+      }
     });
 
-    this.keystore.on(KEYSTORE_EVENTS.LOCKED, () => {
+    this.keystore.on(KEYSTORE_EVENTS.LOCKED, (data = {}) => {
+      this._publish(IPC_EVENTS.VAULT_LOCKED, data);
+      // Other vaults may still be unlocked
+      if (!this.keystore.isLocked) {
+        this.sessionManager.unlock(this.keystore.getAccounts());
+        return;
+      }
+
       this.sessionManager.lock();
-      this.stateManager.transition(DAEMON_STATES.LOCKED);
+      if (!this.stateManager.isState(DAEMON_STATES.LOCKED)) {
+        this.stateManager.transition(DAEMON_STATES.LOCKED);
+      }
     });
 
     this.keystore.on(KEYSTORE_EVENTS.ERROR, (error) => {
@@ -78,6 +112,19 @@ export class EnhancedDaemonService {
     this.sessionManager.on('locked', () => {
       console.log(chalk.yellow('🔒 Session locked'));
     });
+
+    this.sessionManager.on('session-added', () => {
+      this._publish(IPC_EVENTS.SESSION_ADDED, { activeSessions: this.sessionManager.activeSessions });
+    });
+
+    this.sessionManager.on('session-removed', () => {
+      this._publish(IPC_EVENTS.SESSION_REMOVED, { activeSessions: this.sessionManager.activeSessions });
+    });
+  }
+
+  // Events for `wallet-cli daemon watch`; nobody hears them before the IPC server is up
+  _publish(event, data) {
+    this.ipcServer?.publish(event, data);
   }
 
   async start() {
@@ -99,10 +146,14 @@ export class EnhancedDaemonService {
       // Setup Ethereum provider
       const network = this.config.getDefaultNetwork();
       this.provider = new ethers.JsonRpcProvider(network.rpc);
+      this.signing.provider = this.provider;
       console.log(chalk.green('✅ Ethereum provider connected'));
 
       // Start IPC server
       await this.startIPCServer();
+
+      // Local JSON-RPC endpoint, when enabled
+      await this.startRPCServer();
       
       // Determine daemon mode
       await this.setupDaemonMode();
@@ -126,12 +177,20 @@ export class EnhancedDaemonService {
     try {
       const socketPath = this.config.getDaemonSocket();
       console.log(chalk.yellow('🔧 Setting up IPC server at:'), socketPath);
+
+      // Optional second factor on top of the owner-only socket
+      let token = null;
+      if (this.config.get('daemon.requireToken')) {
+        token = await IPCAuth.loadOrCreateToken(this.config.getDaemonTokenFile());
+        console.log(chalk.blue('🔑 IPC clients must present the token in:'), this.config.getDaemonTokenFile());
+      }
       
       this.ipcServer = new DaemonIPCServer(
         socketPath,
         this.sessionManager,
         this.keystore,
-        this.approvalUI
+        this.approvalUI,
+        { token, signing: this.signing }
       );
 
       // Enhanced IPC server with validation pipeline
@@ -146,6 +205,28 @@ export class EnhancedDaemonService {
     }
   }
 
+  async startRPCServer() {
+    if (!this.config.get('daemon.rpc')) {
+      return;
+    }
+
+    const port = this.config.get('daemon.port');
+    this.rpcServer = new DaemonRPCServer(port, this.keystore, this.signing, {
+      provider: this.provider,
+      validationPipeline: this.validationPipeline
+    });
+
+    try {
+      await this.rpcServer.start();
+      console.log(chalk.green('✅ JSON-RPC server started'));
+    } catch (error) {
+      // Another node (anvil, hardhat) may hold the port; the daemon works without it
+      this.rpcServer = null;
+      const reason = error.code === 'EADDRINUSE' ? `port ${port} is already in use` : error.message;
+      console.error(chalk.yellow('⚠️  JSON-RPC server not started:'), reason);
+    }
+  }
+
   _setupEnhancedIPCHandlers() {
     // Override the message handler to use validation pipeline
     const originalHandleMessage = this.ipcServer.handleMessage.bind(this.ipcServer);
@@ -285,12 +366,16 @@ export class EnhancedDaemonService {
     const daemonStatus = this.getStatus();
     const keystoreCount = await this.keystore.countKeystoreFiles();
     
+    // Addresses come from the keystore's public index while locked, so the
+    // extension can show which accounts exist before the user unlocks
     const status = {
       locked: daemonStatus.locked,
-      accounts: daemonStatus.locked ? [] : this.keystore.getAccounts(),
+      accounts: this.keystore.getAccounts(),
       activeSessions: daemonStatus.activeSessions,
       hasKeystore: daemonStatus.hasKeystore,
       keystoreCount,
+      activeVault: this.keystore.activeVault,
+      vaults: this.keystore.getVaultStatus(),
       state: daemonStatus.state
     };
 
@@ -373,7 +458,8 @@ export class EnhancedDaemonService {
       console.log(chalk.blue('🌐 Account access request from:'), chalk.bold(origin));
       
       // Ask user for permission
-      const approved = await this.approvalUI.promptAccountAccess(origin);
+      const approved = await this.signing.requestApproval('account_access', { origin }, () =>
+        this.approvalUI.promptAccountAccess(origin));
       
       if (approved) {
         const accounts = this.keystore.getAccounts();
@@ -396,118 +482,77 @@ export class EnhancedDaemonService {
       }
       
       const txRequest = params[0];
-      if (!txRequest) {
-        throw new Error('Transaction parameters required');
+      if (!txRequest?.from) {
+        throw new Error('Transaction parameters with a from address required');
+      }
+      if (!this.provider) {
+        throw new Error('No provider configured to send the transaction');
       }
 
-      console.log(chalk.blue('💸 Transaction request:'));
-      console.log(chalk.gray(`  From: ${txRequest.from}`));
-      console.log(chalk.gray(`  To: ${txRequest.to}`));
-      console.log(chalk.gray(`  Value: ${txRequest.value || '0x0'}`));
-
-      // Show approval UI
-      const approved = await this.approvalUI.promptTransactionApproval(txRequest);
-      
-      if (!approved) {
-        console.log(chalk.red('❌ Transaction rejected'));
-        this.approvalUI.showTransactionResult(false);
-        return this.nativeMessaging.sendError(id, 4001, 'User rejected the request');
+      let signedTx;
+      try {
+        signedTx = await this.signing.approveAndSignTransaction(
+          fromJSONTransaction(txRequest), txRequest.from, EXTENSION_ORIGIN);
+      } catch (error) {
+        if (error.code === SIGNING_ERRORS.USER_REJECTED) {
+          this.approvalUI.showTransactionResult(false);
+        }
+        throw error;
       }
 
-      // Sign and send transaction
       try {
-        const signedTx = await this.keystore.signTransaction(txRequest, txRequest.from);
         const txResponse = await this.provider.broadcastTransaction(signedTx);
-        
         console.log(chalk.green('✅ Transaction sent:'), txResponse.hash);
         this.approvalUI.showTransactionResult(true, txResponse.hash);
         this.nativeMessaging.sendResponse(id, txResponse.hash);
-        
       } catch (error) {
-        console.error(chalk.red('❌ Transaction failed:'), error.message);
         this.approvalUI.showTransactionResult(false, null, error.message);
         throw error;
       }
 
     } catch (error) {
-      console.error(chalk.red('❌ eth_sendTransaction error:'), error.message);
-      this.nativeMessaging.sendError(id, -1, error.message);
+      this._sendSigningError(id, 'eth_sendTransaction', error);
     }
   }
 
   async handleEthSign(id, params) {
+    const [address, message] = params;
+    return await this._handleMessageSignature(id, 'eth_sign', message, address);
+  }
+
+  async handlePersonalSign(id, params) {
+    const [message, address] = params;
+    return await this._handleMessageSignature(id, 'personal_sign', message, address);
+  }
+
+  async _handleMessageSignature(id, kind, message, address) {
     try {
       if (this.stateManager.isState(DAEMON_STATES.LOCKED)) {
         throw new Error('Wallet is locked. Unlock first.');
       }
-      
-      const [address, message] = params;
-      if (!address || !message) {
+      if (!address || typeof message !== 'string') {
         throw new Error('Address and message required');
       }
 
-      console.log(chalk.blue('✍️  Message signing request:'));
-      console.log(chalk.gray(`  Address: ${address}`));
-      console.log(chalk.gray(`  Message: ${message}`));
-
-      // Show approval UI
-      const approved = await this.approvalUI.promptMessageSignature({
-        address,
-        message
-      });
-      
-      if (!approved) {
-        console.log(chalk.red('❌ Message signing rejected'));
-        return this.nativeMessaging.sendError(id, 4001, 'User rejected the request');
-      }
-
-      // Sign message
-      const signature = await this.keystore.signMessage(message, address);
-      console.log(chalk.green('✅ Message signed'));
+      const signature = await this.signing.approveAndSignMessage(kind, fromJSONMessage(message), address, EXTENSION_ORIGIN);
       this.nativeMessaging.sendResponse(id, signature);
 
     } catch (error) {
-      console.error(chalk.red('❌ eth_sign error:'), error.message);
-      this.nativeMessaging.sendError(id, -1, error.message);
+      this._sendSigningError(id, kind, error);
     }
   }
 
-  async handlePersonalSign(id, params) {
-    try {
-      if (this.stateManager.isState(DAEMON_STATES.LOCKED)) {
-        throw new Error('Wallet is locked. Unlock first.');
-      }
-      
-      const [message, address] = params;
-      if (!address || !message) {
-        throw new Error('Address and message required');
-      }
-
-      console.log(chalk.blue('✍️  Personal message signing request:'));
-      console.log(chalk.gray(`  Address: ${address}`));
-      console.log(chalk.gray(`  Message: ${message}`));
-
-      // Show approval UI
-      const approved = await this.approvalUI.promptMessageSignature({
-        address,
-        message,
-        type: 'personal_sign'
-      });
-      
-      if (!approved) {
-        console.log(chalk.red('❌ Personal message signing rejected'));
-        return this.nativeMessaging.sendError(id, 4001, 'User rejected the request');
+  // Refusals keep their EIP-1193 code (4001 rejected, 4100 watch-only); the
+  // signing service has already logged rejections
+  _sendSigningError(id, method, error) {
+    if (error instanceof SigningError) {
+      if (error.code === SIGNING_ERRORS.UNAUTHORIZED) {
+        console.log(chalk.yellow('👁️  Signing refused:'), error.message);
       }
-
-      // Sign message
-      const signature = await this.keystore.signMessage(message, address);
-      console.log(chalk.green('✅ Personal message signed'));
-      this.nativeMessaging.sendResponse(id, signature);
-
-    } catch (error) {
-      console.error(chalk.red('❌ personal_sign error:'), error.message);
-      this.nativeMessaging.sendError(id, -1, error.message);
+      return this.nativeMessaging.sendError(id, error.code, error.message);
     }
+    console.error(chalk.red(`❌ ${method} error:`), error.message);
+    this.nativeMessaging.sendError(id, -1, error.message);
   }
 
   _updateStateFromKeystore() {
@@ -537,7 +582,7 @@ export class EnhancedDaemonService {
       hasKeystore: this.keystore.hasKeystore(),
       keystoreCount: 0, // Will be filled by IPC handler
       uptime: Date.now() - this.startTime,
-      version: '0.2.0-enhanced'
+      version: DAEMON_VERSION
     };
   }
 
@@ -563,6 +608,10 @@ export class EnhancedDaemonService {
         if (this.ipcServer) {
           await this.ipcServer.stop();
         }
+
+        if (this.rpcServer) {
+          await this.rpcServer.stop();
+        }
         
         console.log(chalk.green('✅ Enhanced Daemon shutdown complete'));
         process.exit(0);
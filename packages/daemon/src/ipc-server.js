@@ -1,11 +1,49 @@
-import { IPCServer, IPCMessage, IPC_MESSAGE_TYPES } from '@daemon-wallet/core';
+import { IPCServer, IPCMessage, IPC_MESSAGE_TYPES, IPC_EVENTS, Keystore } from '@daemon-wallet/core';
+import { ethers } from 'ethers';
+import { DAEMON_VERSION } from './version.js';
+import { SigningService } from './signing.js';
+
+// How signing requests over the socket appear in prompts and events
+const IPC_ORIGIN = 'local script (IPC)';
+
+// Requests handleMessage answers, announced to clients in the hello
+const SUPPORTED_TYPES = [
+  IPC_MESSAGE_TYPES.GET_STATUS,
+  IPC_MESSAGE_TYPES.UNLOCK_KEYSTORE,
+  IPC_MESSAGE_TYPES.LOCK_KEYSTORE,
+  IPC_MESSAGE_TYPES.OPEN_HIDDEN_WALLET,
+  IPC_MESSAGE_TYPES.CREATE_ACCOUNT,
+  IPC_MESSAGE_TYPES.SET_ACCOUNT_LABEL,
+  IPC_MESSAGE_TYPES.HIDE_ACCOUNT,
+  IPC_MESSAGE_TYPES.SHOW_ACCOUNT,
+  IPC_MESSAGE_TYPES.SET_ACCOUNT_TAGS,
+  IPC_MESSAGE_TYPES.MOVE_ACCOUNT,
+  IPC_MESSAGE_TYPES.REMOVE_ACCOUNT,
+  IPC_MESSAGE_TYPES.IMPORT_PRIVATE_KEY,
+  IPC_MESSAGE_TYPES.ADD_WATCH_ACCOUNT,
+  IPC_MESSAGE_TYPES.CHANGE_PASSWORD,
+  IPC_MESSAGE_TYPES.LIST_ACCOUNT_DETAILS,
+  IPC_MESSAGE_TYPES.SIGN_TRANSACTION,
+  IPC_MESSAGE_TYPES.SIGN_MESSAGE,
+  IPC_MESSAGE_TYPES.SUBSCRIBE,
+  IPC_MESSAGE_TYPES.SHUTDOWN
+];
 
 export class DaemonIPCServer {
-  constructor(socketPath, sessionManager, keystore, approvalUI) {
-    this.server = new IPCServer(socketPath);
+  constructor(socketPath, sessionManager, keystore, approvalUI, options = {}) {
+    const { signing, ...serverOptions } = options;
+    this.server = new IPCServer(socketPath, {
+      version: DAEMON_VERSION,
+      supportedTypes: SUPPORTED_TYPES,
+      ...serverOptions
+    });
     this.sessionManager = sessionManager;
     this.keystore = keystore;
     this.approvalUI = approvalUI;
+    // Shared with the extension, so prompts never overlap
+    this.signing = signing ?? new SigningService(keystore, approvalUI, {
+      publish: (event, data) => this.publish(event, data)
+    });
     
     this.setupEventHandlers();
   }
@@ -19,6 +57,7 @@ export class DaemonIPCServer {
         const errorResponse = new IPCMessage(IPC_MESSAGE_TYPES.ERROR, {
           message: err.message
         });
+        errorResponse.id = message.id;
         this.server.sendToClient(socket, errorResponse);
       }
     });
@@ -26,6 +65,11 @@ export class DaemonIPCServer {
     this.server.on('error', (err) => {
       console.error('IPC Server Error:', err);
     });
+
+    this.server.on('rejected', ({ reason, pid, uid }) => {
+      const peer = pid ? ` (pid ${pid}, uid ${uid})` : '';
+      console.warn('🚫 IPC connection rejected:', `${reason}${peer}`);
+    });
   }
 
   async handleMessage(message, socket) {
@@ -42,12 +86,86 @@ export class DaemonIPCServer {
         await this.handleLockKeystore(message, socket);
         break;
 
+      case IPC_MESSAGE_TYPES.OPEN_HIDDEN_WALLET:
+        await this.handleOpenHiddenWallet(message, socket);
+        break;
+
+      case IPC_MESSAGE_TYPES.CREATE_ACCOUNT:
+        await this.handleAccountRequest(message, socket, ({ derivationPath, vault }) =>
+          this.keystore.createAccount({ derivationPath }, vault));
+        break;
+
+      case IPC_MESSAGE_TYPES.SET_ACCOUNT_LABEL:
+        await this.handleAccountRequest(message, socket, ({ address, label }) =>
+          this.keystore.setAccountLabel(address, label));
+        break;
+
+      case IPC_MESSAGE_TYPES.HIDE_ACCOUNT:
+        await this.handleAccountRequest(message, socket, ({ address }) =>
+          this.keystore.setAccountVisibility(address, false));
+        break;
+
+      case IPC_MESSAGE_TYPES.SHOW_ACCOUNT:
+        await this.handleAccountRequest(message, socket, ({ address }) =>
+          this.keystore.setAccountVisibility(address, true));
+        break;
+
+      case IPC_MESSAGE_TYPES.SET_ACCOUNT_TAGS:
+        await this.handleAccountRequest(message, socket, ({ address, tags }) =>
+          this.keystore.setAccountTags(address, tags));
+        break;
+
+      case IPC_MESSAGE_TYPES.MOVE_ACCOUNT:
+        await this.handleAccountRequest(message, socket, ({ address, position }) =>
+          this.keystore.moveAccount(address, position));
+        break;
+
+      case IPC_MESSAGE_TYPES.REMOVE_ACCOUNT:
+        await this.handleAccountRequest(message, socket, ({ address }) =>
+          this.keystore.removeAccount(address));
+        break;
+
+      case IPC_MESSAGE_TYPES.IMPORT_PRIVATE_KEY:
+        await this.handleAccountRequest(message, socket, ({ privateKey, vault, label }) =>
+          this.keystore.importPrivateKey(privateKey, { label }, vault));
+        break;
+
+      case IPC_MESSAGE_TYPES.ADD_WATCH_ACCOUNT:
+        await this.handleAccountRequest(message, socket, ({ address, vault, label }) =>
+          this.keystore.addWatchOnlyAccount(address, { label }, vault));
+        break;
+
+      case IPC_MESSAGE_TYPES.CHANGE_PASSWORD:
+        await this.handleAccountRequest(message, socket, ({ oldPassword, newPassword, vault, backups }) =>
+          this.keystore.changePassword(oldPassword, newPassword, vault, { backups }));
+        break;
+
+      case IPC_MESSAGE_TYPES.LIST_ACCOUNT_DETAILS:
+        await this.handleListAccountDetails(message, socket);
+        break;
+
+      case IPC_MESSAGE_TYPES.SIGN_TRANSACTION:
+        await this.handleSignRequest(message, socket, async ({ transaction, address }) => ({
+          signedTransaction: await this.signing.approveAndSignTransaction(transaction, address, IPC_ORIGIN)
+        }));
+        break;
+
+      case IPC_MESSAGE_TYPES.SIGN_MESSAGE:
+        await this.handleSignRequest(message, socket, async ({ message: text, bytes, address }) => ({
+          signature: await this.signing.approveAndSignMessage('message', bytes ? ethers.getBytes(text) : text, address, IPC_ORIGIN)
+        }));
+        break;
+
+      case IPC_MESSAGE_TYPES.SUBSCRIBE:
+        await this.handleSubscribe(message, socket);
+        break;
+
       case IPC_MESSAGE_TYPES.SHUTDOWN:
         await this.handleShutdown(message, socket);
         break;
 
       default:
-        throw new Error(`Unknown IPC message type: ${message.type}`);
+        throw new Error(`Unknown IPC message type: ${message.type} - this daemon (${DAEMON_VERSION}) may be older than the CLI; restart it`);
     }
   }
 
@@ -75,8 +193,13 @@ export class DaemonIPCServer {
     
     const response = new IPCMessage(IPC_MESSAGE_TYPES.STATUS_RESPONSE, {
       ...status,
+      // Session accounts are cleared on lock; the keystore still knows the public addresses
+      accounts: status.locked ? this.keystore.getAccounts() : status.accounts,
       hasKeystore: this.keystore.hasKeystore(),
-      keystoreCount
+      keystoreCount,
+      watchOnly: this.keystore.getWatchOnlyAccounts?.() || [],
+      activeVault: this.keystore.activeVault,
+      vaults: this.keystore.getVaultStatus?.() || []
     });
     
     // Use the same ID as the request
@@ -87,13 +210,13 @@ export class DaemonIPCServer {
 
   async handleUnlockKeystore(message, socket) {
     try {
-      const { password } = message.data;
+      const { password, vault } = message.data;
       
       if (!password) {
         throw new Error('Password required');
       }
 
-      const success = await this.keystore.unlock(password);
+      const success = await this.keystore.unlock(password, vault);
       
       if (success) {
         const accounts = this.keystore.getAccounts();
@@ -101,7 +224,9 @@ export class DaemonIPCServer {
         
         const response = new IPCMessage(IPC_MESSAGE_TYPES.UNLOCK_RESPONSE, {
           success: true,
-          accounts
+          vault: vault || this.keystore.activeVault,
+          accounts,
+          notices: Keystore.unlockNotices(success)
         });
         
         response.id = message.id;
@@ -128,12 +253,135 @@ export class DaemonIPCServer {
   }
 
   async handleLockKeystore(message, socket) {
-    this.keystore.lock();
-    this.sessionManager.lock();
+    this.keystore.lock(message.data?.vault || null);
+
+    // Locking one vault leaves the others usable
+    if (this.keystore.isLocked) {
+      this.sessionManager.lock();
+    } else {
+      this.sessionManager.unlock(this.keystore.getAccounts());
+    }
     
     // No response needed for lock
   }
 
+  async handleOpenHiddenWallet(message, socket) {
+    try {
+      const { passphrase, vault, count } = message.data;
+
+      if (!passphrase) {
+        throw new Error('Passphrase required');
+      }
+
+      const accounts = await this.keystore.openHiddenWallet(passphrase, vault, count);
+
+      const response = new IPCMessage(IPC_MESSAGE_TYPES.HIDDEN_WALLET_RESPONSE, {
+        success: true,
+        vault: vault || this.keystore.activeVault,
+        accounts
+      });
+
+      response.id = message.id;
+      this.server.sendToClient(socket, response);
+
+    } catch (err) {
+      const response = new IPCMessage(IPC_MESSAGE_TYPES.HIDDEN_WALLET_RESPONSE, {
+        success: false,
+        error: err.message
+      });
+
+      response.id = message.id;
+      this.server.sendToClient(socket, response);
+    }
+  }
+
+  // Runs one account change on the daemon's keystore and answers with the account
+  async handleAccountRequest(message, socket, action) {
+    let response;
+    try {
+      const account = await action(message.data || {});
+      response = new IPCMessage(IPC_MESSAGE_TYPES.ACCOUNT_RESPONSE, {
+        success: true,
+        account
+      });
+    } catch (err) {
+      response = new IPCMessage(IPC_MESSAGE_TYPES.ACCOUNT_RESPONSE, {
+        success: false,
+        error: err.message
+      });
+    }
+
+    response.id = message.id;
+    this.server.sendToClient(socket, response);
+  }
+
+  // Waits for the approval prompt; a rejection is answered with code 4001
+  async handleSignRequest(message, socket, action) {
+    let response;
+    try {
+      response = new IPCMessage(IPC_MESSAGE_TYPES.SIGN_RESPONSE, {
+        success: true,
+        ...await action(message.data || {})
+      });
+    } catch (err) {
+      response = new IPCMessage(IPC_MESSAGE_TYPES.SIGN_RESPONSE, {
+        success: false,
+        error: err.message,
+        code: err.code ?? null
+      });
+    }
+
+    response.id = message.id;
+    this.server.sendToClient(socket, response);
+  }
+
+  async handleListAccountDetails(message, socket) {
+    const { vault, includeHidden } = message.data || {};
+    let response;
+    try {
+      response = new IPCMessage(IPC_MESSAGE_TYPES.ACCOUNT_DETAILS_RESPONSE, {
+        success: true,
+        vaults: this.keystore.getAccountDetails(vault || null, includeHidden === true)
+      });
+    } catch (err) {
+      response = new IPCMessage(IPC_MESSAGE_TYPES.ACCOUNT_DETAILS_RESPONSE, {
+        success: false,
+        error: err.message
+      });
+    }
+
+    response.id = message.id;
+    this.server.sendToClient(socket, response);
+  }
+
+  async handleSubscribe(message, socket) {
+    const events = message.data?.events || null;
+    const known = Object.values(IPC_EVENTS);
+    const unknown = (events || []).filter(event => !known.includes(event));
+
+    let response;
+    if (unknown.length > 0) {
+      response = new IPCMessage(IPC_MESSAGE_TYPES.SUBSCRIBE_RESPONSE, {
+        success: false,
+        error: `Unknown event: ${unknown.join(', ')} (known: ${known.join(', ')})`
+      });
+    } else {
+      this.server.subscribe(socket, events);
+      response = new IPCMessage(IPC_MESSAGE_TYPES.SUBSCRIBE_RESPONSE, {
+        success: true,
+        events: events || known
+      });
+    }
+
+    response.id = message.id;
+    this.server.sendToClient(socket, response);
+  }
+
+  // Tells `daemon watch` clients what just happened
+  publish(event, data = {}) {
+    this.server.publish(event, data);
+  }
+
   async handleShutdown(message, socket) {
     // Graceful shutdown
     this.keystore.lock();
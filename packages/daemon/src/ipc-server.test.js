@@ -0,0 +1,89 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { once } from 'node:events';
+import { ethers } from 'ethers';
+import { IPCClient, IPC_EVENTS } from '@daemon-wallet/core';
+import { DaemonIPCServer } from './ipc-server.js';
+
+const WALLET = new ethers.Wallet('0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d');
+
+// A daemon IPC server over a keystore holding WALLET, with prompts answered
+// from the given list, and a client connected to it
+async function connect(t, answers = []) {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'daemon-ipc-test-'));
+  const keystore = {
+    isLocked: false,
+    isWatchOnly: () => false,
+    signMessage: async (message) => {
+      if (keystore.isLocked) {
+        throw new Error('Keystore is locked');
+      }
+      return await WALLET.signMessage(message);
+    }
+  };
+  const approvalUI = { promptMessageSignature: async () => answers.shift() };
+  const server = new DaemonIPCServer(path.join(dir, 'daemon.sock'), {}, keystore, approvalUI);
+  await server.start();
+
+  const client = new IPCClient(server.server.socketPath);
+  client.on('error', () => {});
+  await client.connect();
+  t.after(async () => {
+    client.disconnect();
+    await server.stop();
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+  return { server, client, keystore };
+}
+
+test('a signed message comes back once the prompt is approved', async (t) => {
+  const { client } = await connect(t, [true, true]);
+
+  const signature = await client.signMessage('hello', WALLET.address);
+  assert.equal(ethers.verifyMessage('hello', signature), WALLET.address);
+
+  const bytes = ethers.toUtf8Bytes('raw');
+  assert.equal(ethers.verifyMessage(bytes, await client.signMessage(bytes, WALLET.address)), WALLET.address);
+});
+
+test('a refused or failed signing request is answered with its error', async (t) => {
+  const { client, keystore } = await connect(t, [false, true]);
+
+  await assert.rejects(client.signMessage('hello', WALLET.address), { code: 4001, message: 'User rejected the request' });
+
+  keystore.isLocked = true;
+  await assert.rejects(client.signMessage('hello', WALLET.address), /Keystore is locked/);
+});
+
+test('subscribers get the approval and signing events', async (t) => {
+  const { client } = await connect(t, [true]);
+  const watcher = new IPCClient(client.socketPath);
+  await watcher.connect();
+  t.after(() => watcher.disconnect());
+
+  const { events } = await watcher.subscribe([IPC_EVENTS.APPROVAL_RESOLVED, IPC_EVENTS.SIGNING_RESULT]);
+  assert.deepEqual(events, [IPC_EVENTS.APPROVAL_RESOLVED, IPC_EVENTS.SIGNING_RESULT]);
+
+  const received = [];
+  watcher.on('event', event => received.push(event));
+  await client.signMessage('hello', WALLET.address);
+  while (received.length < 2) {
+    await once(watcher, 'event');
+  }
+
+  assert.deepEqual(received.map(({ event }) => event), [IPC_EVENTS.APPROVAL_RESOLVED, IPC_EVENTS.SIGNING_RESULT]);
+  assert.equal(received[0].data.approved, true);
+  assert.deepEqual(received[1].data, { kind: 'message', address: WALLET.address, success: true });
+});
+
+test('subscribing to an unknown event is refused', async (t) => {
+  const { client } = await connect(t);
+
+  await assert.rejects(client.subscribe(['no_such_event']), /Unknown event: no_such_event/);
+});
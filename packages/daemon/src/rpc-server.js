@@ -0,0 +1,302 @@
+import http from 'node:http';
+import { Buffer } from 'node:buffer';
+import chalk from 'chalk';
+import { SigningError, SIGNING_ERRORS, fromJSONTransaction, fromJSONMessage } from './signing.js';
+
+const RPC_HOST = '127.0.0.1';
+const RPC_MAX_BODY_SIZE = 1024 * 1024;
+
+// JSON-RPC 2.0 error codes
+const RPC_ERRORS = {
+  PARSE_ERROR: -32700,
+  INVALID_REQUEST: -32600,
+  METHOD_NOT_FOUND: -32601,
+  INVALID_PARAMS: -32602,
+  INTERNAL_ERROR: -32603,
+  SERVER_ERROR: -32000
+};
+
+// v1 (eth_signTypedData) takes a list of typed values, not EIP-712 data,
+// and is not offered
+const TYPED_DATA_METHODS = ['eth_signTypedData_v3', 'eth_signTypedData_v4'];
+
+// Answered by the daemon, after the same validation as extension requests
+const WALLET_METHODS = ['eth_accounts', 'eth_requestAccounts', 'eth_sendTransaction', 'eth_sign', 'personal_sign', ...TYPED_DATA_METHODS];
+
+// Anything else in these namespaces is a read call for the configured
+// provider, except signing the daemon doesn't offer here: a dev node could
+// answer it with keys of its own
+const FORWARDED_PREFIXES = ['eth_', 'net_', 'web3_'];
+const NEVER_FORWARDED = ['eth_signTransaction', 'eth_signTypedData', 'eth_signTypedData_v1'];
+
+class RPCError extends Error {
+  constructor(code, message, data = undefined) {
+    super(message);
+    this.code = code;
+    this.data = data;
+  }
+}
+
+// Ethereum JSON-RPC on localhost for Foundry, Hardhat and other local tools.
+// Read calls go to the provider; accounts and signing go through the same
+// validation and approval prompts as the browser extension.
+export class DaemonRPCServer {
+  constructor(port, keystore, signing, options = {}) {
+    this.port = port;
+    this.keystore = keystore;
+    this.signing = signing;
+    this.provider = options.provider ?? null;
+    this.validationPipeline = options.validationPipeline ?? null;
+    this.origin = `local JSON-RPC (${RPC_HOST}:${port})`;
+    this.server = null;
+  }
+
+  async start() {
+    this.server = http.createServer((req, res) => {
+      this._handleHTTP(req, res).catch((err) => {
+        console.error(chalk.red('❌ JSON-RPC error:'), err.message);
+        if (!res.headersSent) {
+          this._sendJSON(res, 500, this._errorResponse(null, new RPCError(RPC_ERRORS.INTERNAL_ERROR, err.message)));
+        }
+      });
+    });
+
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, RPC_HOST, () => {
+        this.server.removeListener('error', reject);
+        resolve();
+      });
+    });
+    console.log('📡 JSON-RPC server listening on:', `http://${RPC_HOST}:${this.port}`);
+  }
+
+  async stop() {
+    if (this.server) {
+      // Requests waiting on an approval prompt would hold the server open
+      this.server.closeAllConnections();
+      await new Promise(resolve => this.server.close(() => resolve()));
+      this.server = null;
+    }
+  }
+
+  async _handleHTTP(req, res) {
+    // Browsers send an Origin; a web page must not reach the wallet this way,
+    // and a rebound DNS name shows up as a foreign Host
+    if (req.headers.origin) {
+      return this._sendJSON(res, 403, { error: 'Browser requests are not accepted; use the extension' });
+    }
+    if (!this._isLocalHost(req.headers.host)) {
+      return this._sendJSON(res, 403, { error: `Host ${req.headers.host} is not this machine` });
+    }
+    if (req.method !== 'POST') {
+      res.setHeader('Allow', 'POST');
+      return this._sendJSON(res, 405, { error: 'Send JSON-RPC requests with POST' });
+    }
+
+    let body;
+    try {
+      body = JSON.parse(await this._readBody(req));
+    } catch (err) {
+      const error = err instanceof RPCError ? err : new RPCError(RPC_ERRORS.PARSE_ERROR, `Parse error: ${err.message}`);
+      return this._sendJSON(res, 200, this._errorResponse(null, error));
+    }
+
+    if (Array.isArray(body)) {
+      if (body.length === 0) {
+        return this._sendJSON(res, 200, this._errorResponse(null, new RPCError(RPC_ERRORS.INVALID_REQUEST, 'Empty batch')));
+      }
+      // In order, so a batch never shows two prompts at once
+      const responses = [];
+      for (const request of body) {
+        responses.push(await this._handleRequest(request));
+      }
+      return this._sendJSON(res, 200, responses);
+    }
+    return this._sendJSON(res, 200, await this._handleRequest(body));
+  }
+
+  async _handleRequest(request) {
+    const id = request?.id ?? null;
+    try {
+      if (!request || request.jsonrpc !== '2.0' || typeof request.method !== 'string') {
+        throw new RPCError(RPC_ERRORS.INVALID_REQUEST, 'Invalid JSON-RPC 2.0 request');
+      }
+      const params = request.params ?? [];
+      if (!Array.isArray(params)) {
+        throw new RPCError(RPC_ERRORS.INVALID_PARAMS, 'params must be an array');
+      }
+
+      const result = await this._dispatch(request.method, params, id);
+      return { jsonrpc: '2.0', id, result };
+    } catch (err) {
+      return this._errorResponse(id, err);
+    }
+  }
+
+  async _dispatch(method, params, id) {
+    if (WALLET_METHODS.includes(method)) {
+      await this._validate(method, params, id);
+    }
+
+    switch (method) {
+      case 'eth_accounts':
+        return this.keystore.getAccounts();
+
+      case 'eth_requestAccounts':
+        return await this._requestAccounts();
+
+      case 'eth_sendTransaction':
+        return await this._sendTransaction(params);
+
+      case 'eth_sign': {
+        const [address, message] = params;
+        return await this._signMessage('eth_sign', message, address);
+      }
+
+      case 'personal_sign': {
+        const [message, address] = params;
+        return await this._signMessage('personal_sign', message, address);
+      }
+
+      default:
+        if (TYPED_DATA_METHODS.includes(method)) {
+          return await this._signTypedData(params);
+        }
+        if (FORWARDED_PREFIXES.some(prefix => method.startsWith(prefix)) && !NEVER_FORWARDED.includes(method)) {
+          return await this._forward(method, params);
+        }
+        throw new RPCError(RPC_ERRORS.METHOD_NOT_FOUND, `Method not supported: ${method}`);
+    }
+  }
+
+  // The extension's checks: daemon state, unlocked wallet, rate limits
+  async _validate(method, params, id) {
+    if (!this.validationPipeline) {
+      return;
+    }
+    await this.validationPipeline.validate({
+      id,
+      type: method,
+      data: { params, transaction: method === 'eth_sendTransaction' ? params[0] : undefined },
+      origin: 'rpc',
+      timestamp: Date.now()
+    });
+  }
+
+  // The prompt a DApp connecting through the extension gets
+  async _requestAccounts() {
+    console.log(chalk.blue('🌐 Account access request from:'), chalk.bold(this.origin));
+    const approved = await this.signing.requestApproval('account_access', { origin: this.origin }, () =>
+      this.signing.approvalUI.promptAccountAccess(this.origin));
+    if (!approved) {
+      console.log(chalk.red('❌ Account access denied'));
+      throw new SigningError(SIGNING_ERRORS.USER_REJECTED, 'User rejected the request');
+    }
+    console.log(chalk.green('✅ Account access approved'));
+    return this.keystore.getAccounts();
+  }
+
+  async _sendTransaction(params) {
+    const txRequest = params[0];
+    if (!txRequest?.from) {
+      throw new RPCError(RPC_ERRORS.INVALID_PARAMS, 'Transaction with a from address required');
+    }
+    if (!this.provider) {
+      throw new RPCError(RPC_ERRORS.SERVER_ERROR, 'No provider configured to send the transaction');
+    }
+
+    const signedTransaction = await this.signing.approveAndSignTransaction(
+      fromJSONTransaction(txRequest), txRequest.from, this.origin);
+    let response;
+    try {
+      response = await this.provider.broadcastTransaction(signedTransaction);
+    } catch (err) {
+      throw this._upstreamError(err);
+    }
+    console.log(chalk.green('✅ Transaction sent:'), response.hash);
+    return response.hash;
+  }
+
+  async _signMessage(kind, message, address) {
+    if (!address || typeof message !== 'string') {
+      throw new RPCError(RPC_ERRORS.INVALID_PARAMS, 'Address and message required');
+    }
+    return await this.signing.approveAndSignMessage(kind, fromJSONMessage(message), address, this.origin);
+  }
+
+  async _signTypedData(params) {
+    const [address, payload] = params;
+    let typedData;
+    try {
+      typedData = typeof payload === 'string' ? JSON.parse(payload) : payload;
+    } catch (err) {
+      throw new RPCError(RPC_ERRORS.INVALID_PARAMS, `Typed data is not valid JSON: ${err.message}`);
+    }
+    if (!address || !typedData?.domain || !typedData?.types || !typedData?.message) {
+      throw new RPCError(RPC_ERRORS.INVALID_PARAMS, 'Address and typed data with domain, types and message required');
+    }
+    return await this.signing.approveAndSignTypedData(typedData, address, this.origin);
+  }
+
+  async _forward(method, params) {
+    if (!this.provider) {
+      throw new RPCError(RPC_ERRORS.SERVER_ERROR, 'No provider configured');
+    }
+    try {
+      return await this.provider.send(method, params);
+    } catch (err) {
+      throw this._upstreamError(err);
+    }
+  }
+
+  // The node's own error, revert data included, so tools can decode it
+  _upstreamError(err) {
+    const upstream = err.info?.error ?? err.error;
+    return new RPCError(
+      Number.isInteger(upstream?.code) ? upstream.code : RPC_ERRORS.SERVER_ERROR,
+      upstream?.message ?? err.shortMessage ?? err.message,
+      upstream?.data ?? err.data ?? undefined
+    );
+  }
+
+  _errorResponse(id, err) {
+    const error = {
+      code: Number.isInteger(err.code) ? err.code : RPC_ERRORS.SERVER_ERROR,
+      message: err.message
+    };
+    if (err.data !== undefined) {
+      error.data = err.data;
+    } else if (typeof err.code === 'string') {
+      // Validation failures, e.g. a locked wallet, keep their reason
+      error.data = { reason: err.code };
+    }
+    return { jsonrpc: '2.0', id, error };
+  }
+
+  _isLocalHost(host) {
+    if (!host) {
+      return false;
+    }
+    const name = host.replace(/:\d+$/, '');
+    return ['127.0.0.1', 'localhost', '[::1]'].includes(name);
+  }
+
+  async _readBody(req) {
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of req) {
+      size += chunk.length;
+      if (size > RPC_MAX_BODY_SIZE) {
+        throw new RPCError(RPC_ERRORS.INVALID_REQUEST, `Request body exceeds ${RPC_MAX_BODY_SIZE} bytes`);
+      }
+      chunks.push(chunk);
+    }
+    return Buffer.concat(chunks).toString('utf8');
+  }
+
+  _sendJSON(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  }
+}
@@ -0,0 +1,173 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { Buffer } from 'node:buffer';
+import { DaemonRPCServer } from './rpc-server.js';
+import { SigningService } from './signing.js';
+import { ValidationPipeline } from './core/validation-pipeline.js';
+import { DAEMON_STATES } from './core/daemon-state.js';
+
+const ACCOUNT = '0xf39fd6e51aad88f6f4ce6ab8827279cfffb92266';
+
+async function startRPC(t, options = {}) {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+
+  const keystore = {
+    getAccounts: () => [ACCOUNT],
+    isWatchOnly: () => false,
+    hasKeystore: () => true
+  };
+  const approvalUI = options.approvalUI ?? {};
+  const signing = new SigningService(keystore, approvalUI);
+  const rpc = new DaemonRPCServer(0, keystore, signing, {
+    provider: options.provider ?? null,
+    validationPipeline: options.validationPipeline ?? null
+  });
+  await rpc.start();
+  t.after(() => rpc.stop());
+  return { rpc, port: rpc.server.address().port };
+}
+
+// http.request rather than fetch, which won't send a custom Host header
+function request(port, options = {}) {
+  const { method = 'POST', body, headers = {} } = options;
+  return new Promise((resolve, reject) => {
+    const req = http.request({ host: '127.0.0.1', port, method, headers }, (res) => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => resolve({
+        status: res.statusCode,
+        headers: res.headers,
+        body: JSON.parse(Buffer.concat(chunks).toString('utf8'))
+      }));
+    });
+    req.on('error', reject);
+    req.end(body === undefined ? undefined : (typeof body === 'string' ? body : JSON.stringify(body)));
+  });
+}
+
+function call(method, params = [], id = 1) {
+  return { jsonrpc: '2.0', id, method, params };
+}
+
+test('browser requests, foreign hosts and non-POST requests are refused', async (t) => {
+  const { port } = await startRPC(t);
+
+  const fromPage = await request(port, { body: call('eth_accounts'), headers: { Origin: 'https://example.com' } });
+  assert.equal(fromPage.status, 403);
+
+  const rebound = await request(port, { body: call('eth_accounts'), headers: { Host: 'attacker.example:8545' } });
+  assert.equal(rebound.status, 403);
+  assert.match(rebound.body.error, /attacker\.example/);
+
+  const get = await request(port, { method: 'GET' });
+  assert.equal(get.status, 405);
+  assert.equal(get.headers.allow, 'POST');
+
+  const local = await request(port, { body: call('eth_accounts'), headers: { Host: `localhost:${port}` } });
+  assert.deepEqual(local.body, { jsonrpc: '2.0', id: 1, result: [ACCOUNT] });
+});
+
+test('a body over 1 MiB is refused as an invalid request', async (t) => {
+  const { port } = await startRPC(t);
+
+  const response = await request(port, { body: 'x'.repeat(1024 * 1024 + 1) });
+
+  assert.equal(response.body.error.code, -32600);
+  assert.match(response.body.error.message, /exceeds/);
+});
+
+test('an empty batch is an error and a batch is answered in order, one call at a time', async (t) => {
+  let active = 0;
+  let maxActive = 0;
+  const provider = {
+    send: async (method, params) => {
+      active++;
+      maxActive = Math.max(maxActive, active);
+      await new Promise(resolve => setTimeout(resolve, 10));
+      active--;
+      return `${method}:${params[0]}`;
+    }
+  };
+  const { port } = await startRPC(t, { provider });
+
+  const empty = await request(port, { body: [] });
+  assert.deepEqual(empty.body, { jsonrpc: '2.0', id: null, error: { code: -32600, message: 'Empty batch' } });
+
+  const batch = await request(port, {
+    body: [call('eth_getBalance', ['a'], 1), { id: 2 }, call('eth_getBalance', ['b'], 3)]
+  });
+  assert.deepEqual(batch.body.map(response => response.id), [1, 2, 3]);
+  assert.equal(batch.body[0].result, 'eth_getBalance:a');
+  assert.equal(batch.body[1].error.code, -32600);
+  assert.equal(batch.body[2].result, 'eth_getBalance:b');
+  assert.equal(maxActive, 1);
+});
+
+test('read calls are forwarded; unoffered signing methods never are', async (t) => {
+  const forwarded = [];
+  const provider = {
+    send: async (method, params) => {
+      forwarded.push(method);
+      return '0x10';
+    }
+  };
+  const { port } = await startRPC(t, { provider });
+
+  const blockNumber = await request(port, { body: call('eth_blockNumber') });
+  assert.equal(blockNumber.body.result, '0x10');
+
+  for (const method of ['eth_signTransaction', 'eth_signTypedData', 'wallet_addEthereumChain']) {
+    const response = await request(port, { body: call(method, [{}]) });
+    assert.equal(response.body.error.code, -32601, method);
+  }
+  assert.deepEqual(forwarded, ['eth_blockNumber']);
+});
+
+test('node errors keep their code and revert data', async (t) => {
+  const revertData = '0x08c379a00000000000000000000000000000000000000000000000000000000000000020';
+  const provider = {
+    send: async () => {
+      const err = new Error('could not coalesce error');
+      err.info = { error: { code: 3, message: 'execution reverted', data: revertData } };
+      throw err;
+    }
+  };
+  const { port } = await startRPC(t, { provider });
+
+  const response = await request(port, { body: call('eth_call', [{ to: ACCOUNT, data: '0x' }, 'latest']) });
+
+  assert.deepEqual(response.body.error, { code: 3, message: 'execution reverted', data: revertData });
+});
+
+test('validation failures carry their reason', async (t) => {
+  const stateManager = { getCurrentState: () => DAEMON_STATES.LOCKED };
+  const keystore = { hasKeystore: () => true };
+  const { port } = await startRPC(t, { validationPipeline: new ValidationPipeline(stateManager, keystore) });
+
+  for (const method of ['eth_sendTransaction', 'eth_requestAccounts', 'eth_signTypedData_v4']) {
+    const response = await request(port, { body: call(method, [{ from: ACCOUNT }]) });
+    assert.equal(response.body.error.code, -32000, method);
+    assert.deepEqual(response.body.error.data, { reason: 'wallet_locked' }, method);
+  }
+});
+
+test('eth_requestAccounts returns the accounts only once access is approved', async (t) => {
+  const answers = [false, true];
+  const prompts = [];
+  const approvalUI = {
+    promptAccountAccess: async (origin) => {
+      prompts.push(origin);
+      return answers.shift();
+    }
+  };
+  const { rpc, port } = await startRPC(t, { approvalUI });
+
+  const denied = await request(port, { body: call('eth_requestAccounts') });
+  assert.deepEqual(denied.body.error, { code: 4001, message: 'User rejected the request' });
+
+  const approved = await request(port, { body: call('eth_requestAccounts') });
+  assert.deepEqual(approved.body.result, [ACCOUNT]);
+  assert.deepEqual(prompts, [rpc.origin, rpc.origin]);
+});
@@ -25,6 +25,14 @@ export class SessionManager extends EventEmitter {
     this.emit('unlocked', accounts);
   }
 
+  // The account list changed while unlocked (account created, hidden, shown)
+  updateAccounts(accounts) {
+    if (this.isUnlocked) {
+      this.accounts = accounts;
+      this.emit('accounts-changed', accounts);
+    }
+  }
+
   lock() {
     this.isUnlocked = false;
     this.accounts = [];
@@ -0,0 +1,195 @@
+import crypto from 'node:crypto';
+import chalk from 'chalk';
+import { ethers } from 'ethers';
+import { IPC_EVENTS } from '@daemon-wallet/core';
+
+// EIP-1193 provider error codes, also sent to IPC clients
+export const SIGNING_ERRORS = {
+  USER_REJECTED: 4001,
+  UNAUTHORIZED: 4100
+};
+
+export class SigningError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'SigningError';
+    this.code = code;
+  }
+}
+
+// Transactions as plain JSON: bigints become hex quantities
+export function toJSONTransaction(tx) {
+  return Object.fromEntries(Object.entries(tx)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([key, value]) => [key, typeof value === 'bigint' ? ethers.toQuantity(value) : value]));
+}
+
+// JSON-RPC transaction parameters (hex quantities, gas or gasLimit, input or
+// data) as an ethers transaction request
+export function fromJSONTransaction(tx) {
+  const request = {
+    from: tx.from,
+    to: tx.to ?? null,
+    value: tx.value,
+    data: tx.data ?? tx.input,
+    nonce: tx.nonce != null ? Number(tx.nonce) : undefined,
+    gasLimit: tx.gas ?? tx.gasLimit,
+    gasPrice: tx.gasPrice,
+    maxFeePerGas: tx.maxFeePerGas,
+    maxPriorityFeePerGas: tx.maxPriorityFeePerGas,
+    chainId: tx.chainId != null ? Number(tx.chainId) : undefined,
+    type: tx.type != null ? Number(tx.type) : undefined,
+    accessList: tx.accessList
+  };
+  return Object.fromEntries(Object.entries(request).filter(([, value]) => value !== undefined));
+}
+
+// eth_sign and personal_sign carry hex data; anything else is signed as text
+export function fromJSONMessage(message) {
+  return ethers.isHexString(message, true) ? ethers.getBytes(message) : message;
+}
+
+// Approval prompts and signing shared by the browser extension and local
+// clients. Prompts run one at a time, since they share the terminal.
+export class SigningService {
+  constructor(keystore, approvalUI, options = {}) {
+    this.keystore = keystore;
+    this.approvalUI = approvalUI;
+    this.provider = options.provider ?? null; // Fills in missing transaction fields
+    this.publish = options.publish ?? (() => {});
+    this._approvals = Promise.resolve();
+  }
+
+  // Shows an approval prompt, announcing the request and the user's answer
+  async requestApproval(kind, details, prompt) {
+    const requestId = crypto.randomUUID();
+    const turn = this._approvals.then(async () => {
+      this.publish(IPC_EVENTS.APPROVAL_REQUESTED, { requestId, kind, ...details });
+
+      let approved = false;
+      try {
+        approved = await prompt();
+        return approved;
+      } finally {
+        this.publish(IPC_EVENTS.APPROVAL_RESOLVED, { requestId, kind, approved });
+      }
+    });
+    // A failed prompt must not block the ones queued after it
+    this._approvals = turn.catch(() => {});
+    return await turn;
+  }
+
+  // Refuse before showing an approval prompt the user could never complete
+  assertCanSign(address) {
+    if (address && this.keystore.isWatchOnly(address)) {
+      throw new SigningError(SIGNING_ERRORS.UNAUTHORIZED,
+        `Account ${address} is watch-only: the wallet holds no private key for it, so it cannot sign`);
+    }
+  }
+
+  async signMessage(kind, message, address) {
+    try {
+      const signature = await this.keystore.signMessage(message, address);
+      this.publish(IPC_EVENTS.SIGNING_RESULT, { kind, address, success: true });
+      return signature;
+    } catch (error) {
+      this.publish(IPC_EVENTS.SIGNING_RESULT, { kind, address, success: false, error: error.message });
+      throw error;
+    }
+  }
+
+  async signTypedData(typedData, address) {
+    const { domain, types, message } = typedData;
+    // ethers derives the domain type itself and refuses it in types
+    const { EIP712Domain, ...messageTypes } = types;
+    try {
+      const signature = await this.keystore.signTypedData(domain, messageTypes, message, address);
+      this.publish(IPC_EVENTS.SIGNING_RESULT, { kind: 'typed_data', address, success: true });
+      return signature;
+    } catch (error) {
+      this.publish(IPC_EVENTS.SIGNING_RESULT, { kind: 'typed_data', address, success: false, error: error.message });
+      throw error;
+    }
+  }
+
+  async signTransaction(tx, address) {
+    try {
+      const signedTransaction = await this.keystore.signTransaction(tx, address);
+      const hash = ethers.keccak256(signedTransaction);
+      this.publish(IPC_EVENTS.SIGNING_RESULT, { kind: 'transaction', address, success: true, hash });
+      return signedTransaction;
+    } catch (error) {
+      this.publish(IPC_EVENTS.SIGNING_RESULT, { kind: 'transaction', address, success: false, error: error.message });
+      throw error;
+    }
+  }
+
+  // Prompt, then sign; rejections throw SigningError with USER_REJECTED.
+  // message is a string, or bytes shown as hex in the prompt.
+  async approveAndSignMessage(kind, message, address, origin) {
+    this.assertCanSign(address);
+
+    const shown = typeof message === 'string' ? message : ethers.hexlify(message);
+    console.log(chalk.blue(`✍️  ${kind} request from ${origin}:`), chalk.gray(address));
+    const approved = await this.requestApproval(kind, { origin, address, message: shown }, () =>
+      this.approvalUI.promptMessageSignature({ address, message: shown, type: kind }));
+    if (!approved) {
+      console.log(chalk.red(`❌ ${kind} rejected`));
+      throw new SigningError(SIGNING_ERRORS.USER_REJECTED, 'User rejected the request');
+    }
+
+    const signature = await this.signMessage(kind, message, address);
+    console.log(chalk.green(`✅ ${kind} signed for ${origin}`));
+    return signature;
+  }
+
+  // EIP-712 { domain, types, primaryType, message }, shown as JSON in the prompt
+  async approveAndSignTypedData(typedData, address, origin) {
+    this.assertCanSign(address);
+
+    console.log(chalk.blue(`✍️  Typed data request from ${origin}:`), chalk.gray(address));
+    const approved = await this.requestApproval('typed_data', { origin, address, typedData }, () =>
+      this.approvalUI.promptMessageSignature({ address, message: JSON.stringify(typedData), type: 'typed_data' }));
+    if (!approved) {
+      console.log(chalk.red('❌ typed_data rejected'));
+      throw new SigningError(SIGNING_ERRORS.USER_REJECTED, 'User rejected the request');
+    }
+
+    const signature = await this.signTypedData(typedData, address);
+    console.log(chalk.green(`✅ typed_data signed for ${origin}`));
+    return signature;
+  }
+
+  // Prompt with the transaction as it will be signed, then sign it without
+  // sending; resolves with the serialized signed transaction
+  async approveAndSignTransaction(tx, address, origin) {
+    this.assertCanSign(address);
+
+    const populated = await this._populateTransaction({ ...tx, from: address });
+    const shown = toJSONTransaction(populated);
+    console.log(chalk.blue(`💸 Transaction signing request from ${origin}:`), chalk.gray(address));
+    const approved = await this.requestApproval('transaction', { origin, transaction: shown }, () =>
+      this.approvalUI.promptTransactionApproval({ ...shown, gas: shown.gasLimit }));
+    if (!approved) {
+      console.log(chalk.red('❌ Transaction rejected'));
+      throw new SigningError(SIGNING_ERRORS.USER_REJECTED, 'User rejected the request');
+    }
+
+    const signedTransaction = await this.signTransaction(populated, address);
+    console.log(chalk.green(`✅ Transaction signed for ${origin}`));
+    return signedTransaction;
+  }
+
+  // Nonce, gas, fees and chain id the caller left out come from the provider;
+  // a complete transaction is signed as given, without one
+  async _populateTransaction(tx) {
+    const hasFees = tx.gasPrice != null || tx.maxFeePerGas != null;
+    if (tx.nonce != null && tx.gasLimit != null && tx.chainId != null && hasFees) {
+      return tx;
+    }
+    if (!this.provider) {
+      throw new Error('Transaction needs nonce, gasLimit, chainId and fees: the daemon has no provider to fill them in');
+    }
+    return await new ethers.VoidSigner(tx.from, this.provider).populateTransaction(tx);
+  }
+}
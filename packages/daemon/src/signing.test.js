@@ -0,0 +1,149 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ethers } from 'ethers';
+import { IPC_EVENTS } from '@daemon-wallet/core';
+import { SigningService, SIGNING_ERRORS, fromJSONTransaction, fromJSONMessage } from './signing.js';
+
+const WALLET = new ethers.Wallet('0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d');
+const WATCHED = '0x000000000000000000000000000000000000dEaD';
+
+// A keystore holding WALLET that can be locked, and a signing service whose
+// prompts answer from the given list
+function signingService(t, answers = []) {
+  t.mock.method(console, 'log', () => {});
+
+  const keystore = {
+    isLocked: false,
+    isWatchOnly: address => address.toLowerCase() === WATCHED.toLowerCase(),
+    signMessage: async (message) => {
+      if (keystore.isLocked) {
+        throw new Error('Keystore is locked');
+      }
+      return await WALLET.signMessage(message);
+    },
+    signTransaction: async tx => await WALLET.signTransaction(tx)
+  };
+  const prompt = async () => answers.shift();
+  const approvalUI = {
+    promptMessageSignature: t.mock.fn(prompt),
+    promptTransactionApproval: t.mock.fn(prompt)
+  };
+  const events = [];
+  const signing = new SigningService(keystore, approvalUI, {
+    publish: (event, data) => events.push({ event, ...data })
+  });
+  return { signing, keystore, approvalUI, events };
+}
+
+test('an approved message is signed and the result is published', async (t) => {
+  const { signing, events } = signingService(t, [true]);
+
+  const signature = await signing.approveAndSignMessage('message', 'hello', WALLET.address, 'test');
+
+  assert.equal(ethers.verifyMessage('hello', signature), WALLET.address);
+  assert.deepEqual(events.map(({ event }) => event), [
+    IPC_EVENTS.APPROVAL_REQUESTED,
+    IPC_EVENTS.APPROVAL_RESOLVED,
+    IPC_EVENTS.SIGNING_RESULT
+  ]);
+  assert.equal(events[0].requestId, events[1].requestId);
+  assert.equal(events[1].approved, true);
+  assert.deepEqual(events[2], { event: IPC_EVENTS.SIGNING_RESULT, kind: 'message', address: WALLET.address, success: true });
+});
+
+test('a refused request throws 4001 and signs nothing', async (t) => {
+  const { signing, events } = signingService(t, [false]);
+
+  await assert.rejects(
+    signing.approveAndSignMessage('message', 'hello', WALLET.address, 'test'),
+    { name: 'SigningError', code: SIGNING_ERRORS.USER_REJECTED }
+  );
+  assert.deepEqual(events.map(({ event, approved }) => [event, approved]), [
+    [IPC_EVENTS.APPROVAL_REQUESTED, undefined],
+    [IPC_EVENTS.APPROVAL_RESOLVED, false]
+  ]);
+});
+
+test('watch-only accounts are refused before any prompt', async (t) => {
+  const { signing, approvalUI } = signingService(t, [true]);
+
+  await assert.rejects(
+    signing.approveAndSignMessage('message', 'hello', WATCHED, 'test'),
+    { code: SIGNING_ERRORS.UNAUTHORIZED }
+  );
+  assert.equal(approvalUI.promptMessageSignature.mock.callCount(), 0);
+});
+
+test('signing with a locked wallet fails and publishes the failure', async (t) => {
+  const { signing, keystore, events } = signingService(t, [true]);
+  keystore.isLocked = true;
+
+  await assert.rejects(signing.approveAndSignMessage('message', 'hello', WALLET.address, 'test'), /locked/);
+  assert.deepEqual(events.at(-1), {
+    event: IPC_EVENTS.SIGNING_RESULT,
+    kind: 'message',
+    address: WALLET.address,
+    success: false,
+    error: 'Keystore is locked'
+  });
+});
+
+test('prompts are shown one at a time, in order', async (t) => {
+  const { signing, approvalUI } = signingService(t);
+  const pending = [];
+  approvalUI.promptMessageSignature.mock.mockImplementation(({ message }) =>
+    new Promise(resolve => pending.push({ message, resolve })));
+
+  const first = signing.approveAndSignMessage('message', 'first', WALLET.address, 'test');
+  const second = signing.approveAndSignMessage('message', 'second', WALLET.address, 'test');
+  while (pending.length === 0) {
+    await new Promise(resolve => setImmediate(resolve));
+  }
+  await new Promise(resolve => setImmediate(resolve));
+  assert.deepEqual(pending.map(({ message }) => message), ['first']);
+
+  // A refusal must not hold up the next prompt
+  pending[0].resolve(false);
+  await assert.rejects(first, { code: SIGNING_ERRORS.USER_REJECTED });
+  while (pending.length === 1) {
+    await new Promise(resolve => setImmediate(resolve));
+  }
+  assert.equal(pending[1].message, 'second');
+  pending[1].resolve(true);
+  assert.equal(ethers.verifyMessage('second', await second), WALLET.address);
+});
+
+test('a complete transaction is signed without a provider and its hash published', async (t) => {
+  const { signing, approvalUI, events } = signingService(t, [true]);
+  const tx = { to: WATCHED, value: 1n, nonce: 0, gasLimit: 21000n, maxFeePerGas: 2n, maxPriorityFeePerGas: 1n, chainId: 1 };
+
+  const signed = await signing.approveAndSignTransaction(tx, WALLET.address, 'test');
+
+  const parsed = ethers.Transaction.from(signed);
+  assert.equal(parsed.from, WALLET.address);
+  assert.equal(parsed.to, WATCHED);
+  assert.equal(approvalUI.promptTransactionApproval.mock.calls[0].arguments[0].gas, '0x5208');
+  assert.equal(events.at(-1).hash, ethers.keccak256(signed));
+});
+
+test('an incomplete transaction without a provider is refused before the prompt', async (t) => {
+  const { signing, approvalUI } = signingService(t, [true]);
+
+  await assert.rejects(signing.approveAndSignTransaction({ to: WATCHED, value: 1n }, WALLET.address, 'test'), /no provider/);
+  assert.equal(approvalUI.promptTransactionApproval.mock.callCount(), 0);
+});
+
+test('JSON-RPC transactions and messages are read the same way for every client', () => {
+  assert.deepEqual(fromJSONTransaction({ from: WALLET.address, to: WATCHED, gas: '0x5208', input: '0x', nonce: '0x1', chainId: '0x1' }), {
+    from: WALLET.address,
+    to: WATCHED,
+    data: '0x',
+    nonce: 1,
+    gasLimit: '0x5208',
+    chainId: 1
+  });
+  assert.equal(fromJSONTransaction({ from: WALLET.address }).to, null);
+
+  assert.deepEqual(fromJSONMessage('0x6869'), ethers.getBytes('0x6869'));
+  assert.equal(fromJSONMessage('hello'), 'hello');
+});
@@ -0,0 +1,6 @@
+import { createRequire } from 'node:module';
+
+const require = createRequire(import.meta.url);
+
+// Reported in status and in the IPC hello, so the CLI can tell an old daemon
+export const DAEMON_VERSION = require('../package.json').version;